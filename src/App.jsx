@@ -1,15 +1,26 @@
 import React, { useState, useMemo } from "react";
 import WaveformPlot from "./components/WaveformPlot";
 import ConstellationPlot from "./components/ConstellationPlot";
+import SpectrumPlot from "./components/SpectrumPlot";
 import {
   generateTimeArray,
   generateSignal,
   downconvert,
   upconvert,
   downsampleForChart,
+  amDemodulate,
+  AM_DETECTORS,
+  ssbDemodulate,
+  ssbTestMessage,
+  SSB_SIDEBANDS,
+  SSB_METHODS,
 } from "./dsp/iq";
+import { movingAverageLPF, sincLPF } from "./dsp/filter";
+import { fftReal, toDb } from "./dsp/fft";
+import { toneFit } from "./dsp/measure";
 
 const COLORS = {
+  audio: "#0891b2",
   input: "#1aad50",
   I: "#2563eb",
   Q: "#dc2626",
@@ -18,6 +29,11 @@ const COLORS = {
 
 const SIMPLE_TYPES = ["sine", "cosine", "square", "sawtooth"];
 
+// Lowest SSB message tone: the phasing method's 201-tap Hilbert transformer
+// at 2 kHz holds the unwanted sideband about 40 dB down at 20 Hz, but only
+// 15 dB at 10 Hz. The carrier slider's SSB minimum keeps fc / 3 above it.
+const SSB_MIN_MODULATING_FREQ = 20;
+
 function isSimple(type) {
   return SIMPLE_TYPES.includes(type);
 }
@@ -34,7 +50,7 @@ export default function App() {
   // Modulated signal params
   const [carrierFreq, setCarrierFreq] = useState(100);
   const [fmIndex] = useState(4);
-  const [amIndex] = useState(1);
+  const [amIndex, setAmIndex] = useState(1);
   const [modulatingFreq, setModulatingFreq] = useState(20);
   const [chirpEndFreq, setChirpEndFreq] = useState(150);
   const [startFreq, setStartFreq] = useState(5);
@@ -43,7 +59,7 @@ export default function App() {
   const mixerFreq = useMemo(() => {
     if (isSimple(signalType)) return frequency;
     if (signalType === 'chirp') return startFreq;
-    return carrierFreq; // AM/FM: tune to carrier
+    return carrierFreq; // AM/FM/SSB: tune to carrier
   }, [signalType, frequency, carrierFreq, startFreq]);
 
   // Sampling (fixed)
@@ -57,6 +73,14 @@ export default function App() {
   // I/Q hover state for live equations
   const [iqHover, setIqHover] = useState(null);
 
+  // AM detector
+  const [amDetector, setAmDetector] = useState("envelope");
+
+  // SSB: transmitted sideband and method, and the sideband the receiver expects
+  const [ssbSideband, setSsbSideband] = useState("usb");
+  const [ssbMethod, setSsbMethod] = useState("phasing");
+  const [ssbReceiver, setSsbReceiver] = useState("usb");
+
   // Build signal params based on type
   const signalParams = useMemo(() => {
     if (isSimple(signalType)) {
@@ -68,6 +92,9 @@ export default function App() {
     if (signalType === "am") {
       return { carrierFreq, modulatingFreq, modulationIndex: amIndex };
     }
+    if (signalType === "ssb") {
+      return { carrierFreq, modulatingFreq, sideband: ssbSideband, method: ssbMethod };
+    }
     // fm
     return { carrierFreq, modulatingFreq, modulationIndex: fmIndex };
   }, [
@@ -80,6 +107,8 @@ export default function App() {
     fmIndex,
     startFreq,
     chirpEndFreq,
+    ssbSideband,
+    ssbMethod,
   ]);
 
   // Compute all signals
@@ -90,13 +119,62 @@ export default function App() {
     const { I: rawI, Q: rawQ } = downconvert(inputSignal, t, mixerFreq);
     const reconstructed = upconvert(rawI, rawQ, t, mixerFreq);
 
-    return { t, inputSignal, rawI, rawQ, reconstructed };
+    // AM: low-pass away the 2·fc mixing products, then detect. The filter
+    // needs roughly 6·fs/fc taps to fall off between fc and 2·fc.
+    let am = null;
+    if (signalType === "am") {
+      const taps = Math.min(1201, Math.max(101, Math.ceil((6 * sampleRate) / carrierFreq) | 1));
+      const I = sincLPF(rawI, carrierFreq, sampleRate, taps);
+      const Q = sincLPF(rawQ, carrierFreq, sampleRate, taps);
+      const skip = Math.floor(taps / 2);
+      const detectors = AM_DETECTORS.map((d) => {
+        const output = amDemodulate(I, Q, d.value);
+        return { ...d, output, fit: toneFit(output, modulatingFreq, sampleRate, { skip }) };
+      });
+      const { output, fit } = detectors.find((d) => d.value === amDetector);
+      const gain = fit.amplitude > 0 ? amIndex / fit.amplitude : 0;
+      am = {
+        recovered: output.map((v) => (v - fit.offset) * gain),
+        original: t.map((ti) => amIndex * Math.cos(2 * Math.PI * modulatingFreq * ti)),
+        table: detectors.map(({ value, label, fit: f }) => ({ value, label, distortionPct: f.distortionPct })),
+      };
+    }
+
+    // SSB: the message spans f..2f beside the carrier. A receiver set to the
+    // other sideband only hears the signal once tuned to its far edge,
+    // fc ± 3f, and then every audio frequency f comes out as 3f − f.
+    let ssb = null;
+    if (signalType === "ssb") {
+      const edge = 3 * modulatingFreq;
+      const lo = ssbReceiver === ssbSideband
+        ? carrierFreq
+        : carrierFreq + (ssbSideband === "usb" ? edge : -edge);
+      const taps = Math.min(1201, Math.max(101, Math.ceil((6 * sampleRate) / lo) | 1));
+      const { I: mixI, Q: mixQ } = downconvert(inputSignal, t, lo);
+      const I = sincLPF(mixI, edge, sampleRate, taps);
+      const Q = sincLPF(mixQ, edge, sampleRate, taps);
+      const recovered = ssbDemodulate(I, Q, { sideband: ssbReceiver });
+      const original = ssbTestMessage(t, modulatingFreq);
+      const spectrum = (x) => {
+        const s = fftReal(x, sampleRate, { window: "hann", zeroPad: 4 });
+        return { frequencies: s.frequencies, db: toDb(s.magnitudes) };
+      };
+      ssb = { lo, recovered, original, rf: spectrum(inputSignal), audio: [spectrum(original), spectrum(recovered)] };
+    }
+
+    return { t, inputSignal, rawI, rawQ, reconstructed, am, ssb };
   }, [
     signalType,
     signalParams,
     mixerFreq,
     sampleRate,
     duration,
+    carrierFreq,
+    modulatingFreq,
+    amIndex,
+    amDetector,
+    ssbSideband,
+    ssbReceiver,
   ]);
 
   // Chart data
@@ -108,6 +186,31 @@ export default function App() {
     () => downsampleForChart(results.t, { input: results.inputSignal, I: results.rawI, Q: results.rawQ }),
     [results],
   );
+  const amChartData = useMemo(
+    () => results.am && downsampleForChart(results.t, { original: results.am.original, recovered: results.am.recovered }),
+    [results],
+  );
+  const ssbCharts = useMemo(() => {
+    if (!results.ssb) return null;
+    const { rf, audio: [original, recovered] } = results.ssb;
+    const span = 3 * modulatingFreq;
+    const rfData = [];
+    for (let i = 0; i < rf.frequencies.length; i++) {
+      const f = rf.frequencies[i];
+      if (f >= carrierFreq - 1.5 * span && f <= carrierFreq + 1.5 * span) rfData.push({ f, mag: Math.max(rf.db[i], -80) });
+    }
+    const audioData = [];
+    for (let i = 0; i < original.frequencies.length; i++) {
+      const f = original.frequencies[i];
+      if (f > 1.5 * span) break;
+      audioData.push({ f, original: Math.max(original.db[i], -80), recovered: Math.max(recovered.db[i], -80) });
+    }
+    return {
+      waveform: downsampleForChart(results.t, { original: results.ssb.original, recovered: results.ssb.recovered }),
+      rf: rfData,
+      audio: audioData,
+    };
+  }, [results, carrierFreq, modulatingFreq]);
   const reconstructedChartData = useMemo(
     () => downsampleForChart(results.t, { input: results.inputSignal, output: results.reconstructed }),
     [results],
@@ -128,19 +231,7 @@ export default function App() {
     const belowRaw = downconvert(sigBelow, t, fc);
 
     // Simple moving-average LPF to strip double-frequency terms
-    const lpf = (arr, windowSize = 40) => {
-      const out = new Float64Array(arr.length);
-      for (let i = 0; i < arr.length; i++) {
-        let sum = 0;
-        let count = 0;
-        for (let j = Math.max(0, i - windowSize); j <= Math.min(arr.length - 1, i + windowSize); j++) {
-          sum += arr[j];
-          count++;
-        }
-        out[i] = sum / count;
-      }
-      return out;
-    };
+    const lpf = (arr) => movingAverageLPF(arr, 40);
 
     return {
       t,
@@ -343,6 +434,7 @@ export default function App() {
                     setSignalType(type);
                     if (type === 'am') { setCarrierFreq(100); setModulatingFreq(20); }
                     if (type === 'fm') { setCarrierFreq(100); setModulatingFreq(25); }
+                    if (type === 'ssb') { setCarrierFreq(100); setModulatingFreq(20); }
                     if (type === 'chirp') { setStartFreq(5); setChirpEndFreq(150); }
                   }}
                 >
@@ -355,6 +447,7 @@ export default function App() {
                   <optgroup label="Modulated">
                     <option value="am">AM (Amplitude Modulation)</option>
                     <option value="fm">FM (Frequency Modulation)</option>
+                    <option value="ssb">SSB (Single Sideband)</option>
                     <option value="chirp">Chirp (Frequency Sweep)</option>
                   </optgroup>
                 </select>
@@ -376,14 +469,14 @@ export default function App() {
                 </div>
               )}
 
-              {/* AM / FM controls */}
-              {(signalType === "am" || signalType === "fm") && (
+              {/* AM / FM / SSB controls */}
+              {(signalType === "am" || signalType === "fm" || signalType === "ssb") && (
                 <>
                   <div className="control-group">
                     <label>Carrier Frequency</label>
                     <input
                       type="range"
-                      min={10}
+                      min={signalType === "ssb" ? 60 : 10}
                       max={100}
                       step={1}
                       value={carrierFreq}
@@ -395,8 +488,8 @@ export default function App() {
                     <label>Modulating Frequency</label>
                     <input
                       type="range"
-                      min={1}
-                      max={Math.floor(carrierFreq / 2)}
+                      min={signalType === "ssb" ? SSB_MIN_MODULATING_FREQ : 1}
+                      max={Math.floor(carrierFreq / (signalType === "ssb" ? 3 : 2))}
                       step={1}
                       value={modulatingFreq}
                       onChange={(e) =>
@@ -405,6 +498,40 @@ export default function App() {
                     />
                     <span className="control-value">{modulatingFreq} Hz</span>
                   </div>
+                  {signalType === "am" && (
+                    <div className="control-group">
+                      <label>Modulation Index</label>
+                      <input
+                        type="range"
+                        min={0.1}
+                        max={1.5}
+                        step={0.05}
+                        value={amIndex}
+                        onChange={(e) => setAmIndex(Number(e.target.value))}
+                      />
+                      <span className="control-value">{Math.round(amIndex * 100)}%</span>
+                    </div>
+                  )}
+                  {signalType === "ssb" && (
+                    <>
+                      <div className="control-group">
+                        <label>Sideband</label>
+                        <select value={ssbSideband} onChange={(e) => setSsbSideband(e.target.value)}>
+                          {SSB_SIDEBANDS.map((s) => (
+                            <option key={s.value} value={s.value}>{s.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="control-group">
+                        <label>Method</label>
+                        <select value={ssbMethod} onChange={(e) => setSsbMethod(e.target.value)}>
+                          {SSB_METHODS.map((m) => (
+                            <option key={m.value} value={m.value}>{m.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </>
+                  )}
                 </>
               )}
 
@@ -456,6 +583,7 @@ export default function App() {
               data={inputChartData}
               traces={[{ key: "input", color: COLORS.input, label: "Input" }]}
               yDomain={[-(amplitude || 1) * 1.5, (amplitude || 1) * 1.5]}
+              audio={[{ label: "Input", samples: results.inputSignal, sampleRate }]}
             />
           </div>
         </div>
@@ -504,6 +632,11 @@ export default function App() {
                 iqTraces.I && { key: "I", color: COLORS.I, label: "I" },
                 iqTraces.Q && { key: "Q", color: COLORS.Q, label: "Q" },
               ].filter(Boolean)}
+              audio={[
+                { label: "Signal", samples: results.inputSignal, sampleRate },
+                { label: "I", samples: results.rawI, sampleRate },
+                { label: "Q", samples: results.rawQ, sampleRate },
+              ]}
               onHover={setIqHover}
             />
           </div>
@@ -548,12 +681,178 @@ export default function App() {
                 { key: "input", color: COLORS.input, label: "Original" },
                 { key: "output", color: COLORS.output, label: "Reconstructed" },
               ]}
+              audio={[
+                { label: "Original", samples: results.inputSignal, sampleRate },
+                { label: "Reconstructed", samples: results.reconstructed, sampleRate },
+              ]}
             />
           </div>
         </div>
       </div>
 
-      {/* ===== SECTION 4: NEXT STEPS ===== */}
+      {/* ===== SECTION 4: AM DEMODULATION (AM only) ===== */}
+      {amChartData && (
+        <div className="section-card">
+          <div className="section-header">
+            <h2>📻 AM Demodulation</h2>
+            <p className="section-desc">
+              Recover the modulating tone from <span style={{ color: '#2563eb' }}>I</span>/<span style={{ color: '#dc2626' }}>Q</span>
+            </p>
+          </div>
+
+          <div className="section-content">
+            <div className="subsection">
+              <p className="chart-desc" style={{ marginBottom: 16, fontFamily: 'JetBrains Mono, monospace' }}>
+                <span className="math">
+                  {amDetector === "envelope" && <>message(t) = √(<span style={{ color: '#2563eb' }}>I</span>² + <span style={{ color: '#dc2626' }}>Q</span>²)</>}
+                  {amDetector === "synchronous" && <>message(t) = <span style={{ color: '#2563eb' }}>I</span>·cos φ + <span style={{ color: '#dc2626' }}>Q</span>·sin φ  (φ = carrier phase)</>}
+                  {amDetector === "squareLaw" && <>message(t) = <span style={{ color: '#2563eb' }}>I</span>² + <span style={{ color: '#dc2626' }}>Q</span>²</>}
+                </span>
+              </p>
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.7, marginBottom: 12 }}>
+                The envelope detector follows the signal's amplitude. Push the modulation index past
+                100% and the envelope would have to go negative — it can't, so it folds over and the
+                tone distorts. The synchronous detector keeps the sign and stays clean. The square-law
+                detector distorts a little even at low modulation.
+              </p>
+              <div className="controls-grid" style={{ marginBottom: 12 }}>
+                <div className="control-group">
+                  <label>Detector</label>
+                  <select value={amDetector} onChange={(e) => setAmDetector(e.target.value)}>
+                    {AM_DETECTORS.map((d) => (
+                      <option key={d.value} value={d.value}>{d.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {results.am.table.map((d) => (
+                  <div className="control-group" key={d.value}>
+                    <label>{d.label} distortion</label>
+                    <span className="control-value">{d.distortionPct.toFixed(1)}%</span>
+                  </div>
+                ))}
+              </div>
+              <div className="legend">
+                <span className="legend-item">
+                  <span className="legend-dot" style={{ background: COLORS.input }} />
+                  Original tone
+                </span>
+                <span className="legend-item">
+                  <span className="legend-dot" style={{ background: COLORS.audio }} />
+                  Recovered
+                </span>
+              </div>
+              <WaveformPlot
+                data={amChartData}
+                traces={[
+                  { key: "original", color: COLORS.input, label: "Original" },
+                  { key: "recovered", color: COLORS.audio, label: "Recovered" },
+                ]}
+                audio={[
+                  { label: "Original", samples: results.am.original, sampleRate },
+                  { label: "Recovered", samples: results.am.recovered, sampleRate },
+                ]}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ===== SECTION 4: SSB DEMODULATION (SSB only) ===== */}
+      {ssbCharts && (
+        <div className="section-card">
+          <div className="section-header">
+            <h2>📻 SSB Demodulation</h2>
+            <p className="section-desc">
+              Pick out one sideband with <span style={{ color: '#2563eb' }}>I</span>/<span style={{ color: '#dc2626' }}>Q</span>
+            </p>
+          </div>
+
+          <div className="section-content">
+            <div className="subsection">
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.7, marginBottom: 12 }}>
+                AM sends the message twice, as mirror images above and below the carrier, plus the carrier
+                itself. Single sideband sends only one copy: the upper (USB) or the lower (LSB).
+                The <strong>phasing</strong> method builds it from the message and its 90°-shifted copy (a
+                Hilbert transform): mixed with cos and sin, one sideband adds up and the other cancels.
+                The <strong>filter</strong> method makes ordinary double-sideband and cuts one half away with
+                a very sharp filter. The message here is two tones, {modulatingFreq} Hz and
+                {" "}{2 * modulatingFreq} Hz at half the size, so you can tell which way round the spectrum is.
+              </p>
+              <div className="legend">
+                <span className="legend-item">
+                  <span className="legend-dot" style={{ background: COLORS.input }} />
+                  RF spectrum around {carrierFreq} Hz
+                </span>
+              </div>
+              <SpectrumPlot data={ssbCharts.rf} color={COLORS.input} height={180} />
+            </div>
+            <div className="subsection">
+              <p className="chart-desc" style={{ marginBottom: 16, fontFamily: 'JetBrains Mono, monospace' }}>
+                <span className="math">
+                  audio(t) = <span style={{ color: '#2563eb' }}>I</span> {ssbReceiver === "usb" ? "−" : "+"} Ĥ{"{"}<span style={{ color: '#dc2626' }}>Q</span>{"}"}
+                </span>
+              </p>
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.7, marginBottom: 12 }}>
+                This is where telling positive from negative frequencies pays off. After mixing down, the
+                upper sideband sits at positive frequencies and the lower at negative ones. I alone can't tell
+                them apart, but combining I with the Hilbert transform of Q keeps one side and cancels the
+                other. Set the receiver to the wrong sideband and it hears nothing at the carrier. It only
+                picks the signal up when tuned to the sideband's far edge ({results.ssb.lo} Hz here), and
+                then every tone comes out mirrored: low becomes high. Watch the two tones swap places in the
+                audio spectrum. That inverted, garbled speech is the familiar sound of SSB on the wrong setting.
+              </p>
+              <div className="controls-grid" style={{ marginBottom: 12 }}>
+                <div className="control-group">
+                  <label>Receiver Sideband</label>
+                  <select value={ssbReceiver} onChange={(e) => setSsbReceiver(e.target.value)}>
+                    {SSB_SIDEBANDS.map((s) => (
+                      <option key={s.value} value={s.value}>{s.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="control-group">
+                  <label>Receiver Tuned To</label>
+                  <span className="control-value">
+                    {results.ssb.lo} Hz{ssbReceiver !== ssbSideband ? " (wrong sideband)" : ""}
+                  </span>
+                </div>
+              </div>
+              <div className="legend">
+                <span className="legend-item">
+                  <span className="legend-dot" style={{ background: COLORS.input }} />
+                  Original message
+                </span>
+                <span className="legend-item">
+                  <span className="legend-dot" style={{ background: COLORS.audio }} />
+                  Recovered audio
+                </span>
+              </div>
+              <WaveformPlot
+                data={ssbCharts.waveform}
+                traces={[
+                  { key: "original", color: COLORS.input, label: "Original" },
+                  { key: "recovered", color: COLORS.audio, label: "Recovered" },
+                ]}
+                audio={[
+                  { label: "Original", samples: results.ssb.original, sampleRate },
+                  { label: "Recovered", samples: results.ssb.recovered, sampleRate },
+                ]}
+              />
+              <p className="chart-desc" style={{ marginBottom: 4, marginTop: 16, fontWeight: 600 }}>Audio spectrum</p>
+              <SpectrumPlot
+                data={ssbCharts.audio}
+                height={180}
+                traces={[
+                  { key: "original", color: COLORS.input, label: "Original" },
+                  { key: "recovered", color: COLORS.audio, label: "Recovered" },
+                ]}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ===== SECTION 5: NEXT STEPS ===== */}
       <div className="section-card">
         <div className="section-header">
           <h2>🚀 Try it yourself</h2>
@@ -569,8 +868,9 @@ export default function App() {
               Watch how the <strong style={{ color: '#2563eb' }}>I</strong> and <strong style={{ color: '#dc2626' }}>Q</strong> channels
               change for each one — use the checkboxes to isolate individual traces.
               Notice how <strong>AM</strong> produces a slow envelope in I/Q,{" "}
-              <strong>FM</strong> creates rapid oscillations, and <strong>chirp</strong> sweeps
-              through frequencies over time.
+              <strong>FM</strong> creates rapid oscillations, <strong>chirp</strong> sweeps
+              through frequencies over time, and <strong>SSB</strong> makes I + jQ turn one way only:
+              counter-clockwise for the upper sideband, clockwise for the lower.
             </p>
             <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.7, marginTop: 12 }}>
               Ready to see what this looks like in a real receiver?
@@ -602,7 +902,7 @@ export default function App() {
         </div>
       </div>
 
-      {/* ===== SECTION 5: HISTORY ===== */}
+      {/* ===== SECTION 6: HISTORY ===== */}
       <div className="section-card">
         <div className="section-header">
           <h2>📜 A brief history of I/Q</h2>
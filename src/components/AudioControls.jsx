@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { prepareAudio } from '../dsp/audio';
+
+// One AudioContext for the whole page, created on the first click (browsers
+// only allow audio to start from a user gesture), and one clip at a time.
+let context = null;
+let active = null;
+
+function audioContext() {
+  if (!context) {
+    const Context = window.AudioContext || window.webkitAudioContext;
+    context = new Context();
+  }
+  return context;
+}
+
+/**
+ * Play buttons for pipeline signals, through Web Audio.
+ * `sources` is a list of { label, samples, sampleRate }; each gets a button
+ * that plays it resampled to the output rate, and stops it on a second
+ * click. Loop repeats the clip (the synthetic signals are only tens of
+ * milliseconds long); Normalize levels it to a fixed peak. While a clip is
+ * playing, changing its signal restarts it with the new samples.
+ */
+export default function AudioControls({ sources }) {
+  const [playing, setPlaying] = useState(null); // label
+  const [loop, setLoop] = useState(false);
+  const [normalize, setNormalize] = useState(true);
+  const nodeRef = useRef(null);
+  const samplesRef = useRef(null);
+
+  const stop = () => {
+    if (nodeRef.current) nodeRef.current.stop();
+  };
+
+  const play = (source, options = { loop, normalize }) => {
+    const ctx = audioContext();
+    ctx.resume();
+    if (active) active.stop();
+
+    const data = prepareAudio(source.samples, source.sampleRate, ctx.sampleRate, {
+      normalize: options.normalize,
+      fade: options.loop ? 0 : 0.005,
+    });
+    if (data.length === 0) return;
+    const buffer = ctx.createBuffer(1, data.length, ctx.sampleRate);
+    buffer.copyToChannel(data, 0);
+    const node = ctx.createBufferSource();
+    node.buffer = buffer;
+    node.loop = options.loop;
+    node.connect(ctx.destination);
+    node.onended = () => {
+      if (active === node) active = null;
+      if (nodeRef.current === node) {
+        nodeRef.current = null;
+        setPlaying(null);
+      }
+    };
+    node.start();
+
+    active = node;
+    nodeRef.current = node;
+    samplesRef.current = source.samples;
+    setPlaying(source.label);
+  };
+
+  // Follow the pipeline: restart when the playing signal is recomputed
+  useEffect(() => {
+    if (!playing || !nodeRef.current) return;
+    const source = sources.find((s) => s.label === playing);
+    if (!source) stop();
+    else if (source.samples !== samplesRef.current) play(source);
+  });
+
+  // Stop on unmount
+  useEffect(() => stop, []);
+
+  const toggleLoop = () => {
+    setLoop(!loop);
+    if (nodeRef.current) nodeRef.current.loop = !loop;
+  };
+
+  const toggleNormalize = () => {
+    setNormalize(!normalize);
+    const source = sources.find((s) => s.label === playing);
+    if (source && nodeRef.current) play(source, { loop, normalize: !normalize });
+  };
+
+  return (
+    <div className="audio-controls">
+      <div className="mode-toggle" style={{ marginBottom: 0 }}>
+        {sources.map((source) => {
+          const ms = (source.samples.length / source.sampleRate) * 1e3;
+          return (
+            <button
+              key={source.label}
+              className={playing === source.label ? 'active' : ''}
+              title={`${ms.toFixed(ms < 10 ? 1 : 0)} ms at ${(source.sampleRate / 1000).toFixed(source.sampleRate < 10000 ? 1 : 0)} kHz`}
+              onClick={() => (playing === source.label ? stop() : play(source))}
+            >
+              {playing === source.label ? '■' : '▶'} {source.label}
+            </button>
+          );
+        })}
+      </div>
+      <label className="legend-toggle">
+        <input type="checkbox" checked={loop} onChange={toggleLoop} />
+        Loop
+      </label>
+      <label className="legend-toggle">
+        <input type="checkbox" checked={normalize} onChange={toggleNormalize} />
+        Normalize
+      </label>
+    </div>
+  );
+}
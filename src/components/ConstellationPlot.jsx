@@ -13,8 +13,11 @@ import {
 /**
  * I/Q constellation diagram — plots Q vs I as a scatter plot.
  * This shows the signal's complex representation in the I/Q plane.
+ * Axes fit the data unless a fixed ±range is given (e.g. for animation).
+ * Optional reference points (e.g. the ideal constellation) are drawn as
+ * crosses on top.
  */
-export default function ConstellationPlot({ I, Q, color = '#2563eb', size = 300 }) {
+export default function ConstellationPlot({ I, Q, color = '#2563eb', size = 300, range = null, reference = null }) {
   const data = [];
   // Downsample for performance
   const step = Math.max(1, Math.floor(I.length / 500));
@@ -22,10 +25,10 @@ export default function ConstellationPlot({ I, Q, color = '#2563eb', size = 300
     data.push({ i: I[i], q: Q[i] });
   }
 
-  const maxVal = Math.max(
+  const maxVal = range || Math.max(
     ...data.map((d) => Math.max(Math.abs(d.i), Math.abs(d.q)))
-  );
-  const domain = [-(maxVal * 1.2), maxVal * 1.2];
+  ) * 1.2;
+  const domain = [-maxVal, maxVal];
 
   return (
     <div className="constellation-container">
@@ -81,6 +84,14 @@ export default function ConstellationPlot({ I, Q, color = '#2563eb', size = 300
             }}
           />
           <Scatter data={data} fill={color} fillOpacity={0.6} r={2} isAnimationActive={false} />
+          {reference && (
+            <Scatter
+              data={reference.map((p) => ({ i: p.I, q: p.Q }))}
+              fill="#1a1d2e"
+              shape="cross"
+              isAnimationActive={false}
+            />
+          )}
         </ScatterChart>
       </ResponsiveContainer>
     </div>
@@ -0,0 +1,164 @@
+import React, { useMemo } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  ResponsiveContainer,
+  Tooltip,
+  ReferenceLine,
+} from 'recharts';
+import { firResponse, responseCrossing } from '../dsp/fir';
+import { sosResponse, sosImpulseResponse } from '../dsp/iir';
+
+const tooltipStyle = {
+  background: '#ffffff',
+  border: '1px solid #d8dbe5',
+  borderRadius: 8,
+  fontSize: 12,
+  fontFamily: 'JetBrains Mono, monospace',
+};
+
+/**
+ * Filter response inspector: impulse response, magnitude (dB), phase and
+ * group delay of an FIR kernel — or, given `sos` instead, of an IIR section
+ * cascade — with the requested cutoff and the measured −3 dB / −60 dB
+ * points marked.
+ *
+ * `freqScale` maps the kernel's internal frequencies to displayed ones (the
+ * Real app simulates at a scaled-down rate); the axis is always in kHz.
+ */
+export default function FilterResponsePanel({
+  kernel = null,
+  sos = null,
+  sampleRate,
+  cutoff,
+  freqScale = 1,
+  delayGuess = null,
+  height = 180,
+}) {
+  const analysis = useMemo(() => {
+    const maxFreq = Math.min(sampleRate / 2, cutoff * 4);
+    const response = sos
+      ? sosResponse(sos, sampleRate, { points: 400, maxFreq })
+      : firResponse(kernel, sampleRate, { points: 400, maxFreq });
+    const toKHz = (f) => (f * freqScale) / 1e3;
+
+    const h = sos ? sosImpulseResponse(sos, 200) : kernel;
+    const impulse = Array.from(h, (v, n) => ({ n, h: v }));
+    const freqData = Array.from(response.frequencies, (f, k) => ({
+      f: toKHz(f),
+      mag: Math.max(response.magnitudeDb[k], -120),
+      phase: response.phase[k],
+      delay: response.groupDelay[k],
+    }));
+    const f3 = responseCrossing(response, -3);
+    const f60 = responseCrossing(response, -60);
+    return {
+      impulse,
+      freqData,
+      cutoffKHz: toKHz(cutoff),
+      f3KHz: f3 != null ? toKHz(f3) : null,
+      f60KHz: f60 != null ? toKHz(f60) : null,
+      // Linear-phase FIR: constant. IIR: the DC value, which grows towards the band edge
+      groupDelay: sos ? response.groupDelay[0] : (kernel.length - 1) / 2,
+    };
+  }, [kernel, sos, sampleRate, cutoff, freqScale]);
+
+  const { impulse, freqData, cutoffKHz, f3KHz, f60KHz, groupDelay } = analysis;
+  const delayMax = sos
+    ? Math.max(1, ...freqData.filter((d) => d.f <= cutoffKHz * 1.5 && d.delay != null).map((d) => d.delay * 1.2))
+    : Math.max(1, groupDelay * 2);
+  const fmt = (v) => (v != null ? `${v.toFixed(1)} kHz` : '—');
+  const freqAxis = (
+    <XAxis
+      dataKey="f"
+      type="number"
+      domain={[0, 'dataMax']}
+      stroke="#5c6178"
+      fontSize={11}
+      tickFormatter={(v) => Math.round(v)}
+      label={{ value: 'Frequency (kHz)', position: 'insideBottom', offset: -10, fill: '#5c6178', fontSize: 11 }}
+    />
+  );
+
+  return (
+    <div>
+      <div className="controls-grid" style={{ marginBottom: 12, fontFamily: 'JetBrains Mono, monospace', fontSize: 13 }}>
+        <div>Requested cutoff: <span className="control-value">{fmt(cutoffKHz)}</span></div>
+        <div>Measured −3 dB: <span className="control-value">{fmt(f3KHz)}</span></div>
+        <div>Measured −60 dB: <span className="control-value">{fmt(f60KHz)}</span></div>
+        <div>
+          {sos ? 'Group delay at DC' : 'Group delay'}: <span className="control-value">{sos ? groupDelay.toFixed(1) : groupDelay} samples</span>
+          {delayGuess != null && (
+            <> (SNR assumes <span className="control-value">{delayGuess}</span>)</>
+          )}
+        </div>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: 16 }}>
+        <div>
+          <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>{sos ? `Impulse response (first ${impulse.length} samples)` : `Impulse response (${kernel.length} taps)`}</p>
+          <ResponsiveContainer width="100%" height={height}>
+            <LineChart data={impulse} margin={{ top: 5, right: 20, bottom: 20, left: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#d8dbe5" />
+              <XAxis
+                dataKey="n"
+                stroke="#5c6178"
+                fontSize={11}
+                label={{ value: sos ? 'Sample' : 'Tap', position: 'insideBottom', offset: -10, fill: '#5c6178', fontSize: 11 }}
+              />
+              <YAxis stroke="#5c6178" fontSize={11} tickFormatter={(v) => v.toFixed(3)} />
+              <ReferenceLine y={0} stroke="#b0b5c5" />
+              <Tooltip contentStyle={tooltipStyle} formatter={(v) => [v.toFixed(5), 'h[n]']} />
+              <Line type="linear" dataKey="h" stroke="#2563eb" strokeWidth={1.5} dot={impulse.length <= 101 ? { r: 2 } : false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div>
+          <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Magnitude response</p>
+          <ResponsiveContainer width="100%" height={height}>
+            <LineChart data={freqData} margin={{ top: 5, right: 20, bottom: 20, left: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#d8dbe5" />
+              {freqAxis}
+              <YAxis stroke="#5c6178" fontSize={11} domain={[-120, 5]} label={{ value: 'dB', angle: -90, position: 'insideLeft', fill: '#5c6178', fontSize: 11 }} />
+              <ReferenceLine x={cutoffKHz} stroke="#7c3aed" strokeDasharray="4 4" label={{ value: 'cutoff', fill: '#7c3aed', fontSize: 10, position: 'top' }} />
+              {f3KHz != null && <ReferenceLine x={f3KHz} stroke="#1aad50" strokeDasharray="2 2" />}
+              {f60KHz != null && <ReferenceLine x={f60KHz} stroke="#dc2626" strokeDasharray="2 2" />}
+              <ReferenceLine y={-3} stroke="#1aad50" strokeDasharray="2 2" />
+              <ReferenceLine y={-60} stroke="#dc2626" strokeDasharray="2 2" />
+              <Tooltip contentStyle={tooltipStyle} labelFormatter={(v) => `${v.toFixed(1)} kHz`} formatter={(v) => [`${v.toFixed(1)} dB`, '|H|']} />
+              <Line type="monotone" dataKey="mag" stroke="#2563eb" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div>
+          <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Phase (unwrapped)</p>
+          <ResponsiveContainer width="100%" height={height}>
+            <LineChart data={freqData} margin={{ top: 5, right: 20, bottom: 20, left: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#d8dbe5" />
+              {freqAxis}
+              <YAxis stroke="#5c6178" fontSize={11} tickFormatter={(v) => v.toFixed(0)} label={{ value: 'rad', angle: -90, position: 'insideLeft', fill: '#5c6178', fontSize: 11 }} />
+              <ReferenceLine x={cutoffKHz} stroke="#7c3aed" strokeDasharray="4 4" />
+              <Tooltip contentStyle={tooltipStyle} labelFormatter={(v) => `${v.toFixed(1)} kHz`} formatter={(v) => [`${v.toFixed(2)} rad`, 'phase']} />
+              <Line type="monotone" dataKey="phase" stroke="#dc2626" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div>
+          <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Group delay</p>
+          <ResponsiveContainer width="100%" height={height}>
+            <LineChart data={freqData} margin={{ top: 5, right: 20, bottom: 20, left: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#d8dbe5" />
+              {freqAxis}
+              <YAxis stroke="#5c6178" fontSize={11} domain={[0, delayMax]} allowDataOverflow label={{ value: 'samples', angle: -90, position: 'insideLeft', fill: '#5c6178', fontSize: 11 }} />
+              <ReferenceLine x={cutoffKHz} stroke="#7c3aed" strokeDasharray="4 4" />
+              <Tooltip contentStyle={tooltipStyle} labelFormatter={(v) => `${v.toFixed(1)} kHz`} formatter={(v) => [v != null ? `${v.toFixed(2)} samples` : '—', 'τ']} />
+              <Line type="monotone" dataKey="delay" stroke="#7c3aed" strokeWidth={1.5} dot={false} connectNulls={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React from 'react';
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  ResponsiveContainer,
+  Tooltip,
+  ReferenceLine,
+} from 'recharts';
+import { maxPoleRadius } from '../dsp/iir';
+
+const UNIT_CIRCLE = Array.from({ length: 129 }, (_, k) => {
+  const theta = (2 * Math.PI * k) / 128;
+  return { re: Math.cos(theta), im: Math.sin(theta) };
+});
+
+// Pole marker: an × centred on the point
+function Cross({ cx, cy, fill }) {
+  const s = 5;
+  return (
+    <g stroke={fill} strokeWidth={2}>
+      <line x1={cx - s} y1={cy - s} x2={cx + s} y2={cy + s} />
+      <line x1={cx - s} y1={cy + s} x2={cx + s} y2={cy - s} />
+    </g>
+  );
+}
+
+// Zero marker: a hollow circle
+function Ring({ cx, cy, fill }) {
+  return <circle cx={cx} cy={cy} r={5} fill="none" stroke={fill} strokeWidth={2} />;
+}
+
+/**
+ * z-plane pole-zero plot with the unit circle and a stability readout.
+ * Poles are ×, zeros are ○; a causal filter is stable when every pole sits
+ * strictly inside the circle.
+ */
+export default function PoleZeroPlot({ poles, zeros, size = 300 }) {
+  const radius = maxPoleRadius(poles);
+  const stable = radius < 1;
+  const extent = Math.max(1.2, ...zeros.map((z) => Math.hypot(z.re, z.im) * 1.1), radius * 1.1);
+  const domain = [-extent, extent];
+
+  return (
+    <div className="constellation-container">
+      <div style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, marginBottom: 8 }}>
+        <span style={{ color: stable ? '#1aad50' : '#dc2626', fontWeight: 600 }}>
+          {stable ? '● Stable' : '● Unstable'}
+        </span>
+        {' '}— max |pole| = <span className="control-value">{radius.toFixed(4)}</span>
+        {stable && <> (margin {(1 - radius).toExponential(1)})</>}
+      </div>
+      <ResponsiveContainer width="100%" height={size}>
+        <ScatterChart margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#d8dbe5" />
+          <XAxis
+            dataKey="re"
+            type="number"
+            domain={domain}
+            stroke="#5c6178"
+            fontSize={11}
+            label={{ value: 'Re(z)', position: 'bottom', offset: 5, fill: '#5c6178', fontSize: 11 }}
+            tickFormatter={(v) => v.toFixed(1)}
+          />
+          <YAxis
+            dataKey="im"
+            type="number"
+            domain={domain}
+            stroke="#5c6178"
+            fontSize={11}
+            label={{ value: 'Im(z)', angle: -90, position: 'insideLeft', fill: '#5c6178', fontSize: 11 }}
+            tickFormatter={(v) => v.toFixed(1)}
+          />
+          <ReferenceLine x={0} stroke="#b0b5c5" />
+          <ReferenceLine y={0} stroke="#b0b5c5" />
+          <Tooltip
+            cursor={false}
+            content={({ active, payload }) => {
+              if (!active || !payload || payload.length === 0 || payload[0].payload.kind == null) return null;
+              const d = payload[0].payload;
+              return (
+                <div style={{
+                  background: '#ffffff',
+                  border: '1px solid #d8dbe5',
+                  borderRadius: 8,
+                  padding: '8px 12px',
+                  fontSize: 12,
+                  fontFamily: 'JetBrains Mono, monospace',
+                }}>
+                  <div>{d.kind}: {d.re.toFixed(4)} {d.im < 0 ? '−' : '+'} {Math.abs(d.im).toFixed(4)}j</div>
+                  <div>|z| = {Math.hypot(d.re, d.im).toFixed(4)}</div>
+                </div>
+              );
+            }}
+          />
+          <Scatter data={UNIT_CIRCLE} line={{ stroke: '#b0b5c5', strokeWidth: 1.5 }} shape={() => <g />} isAnimationActive={false} />
+          <Scatter data={zeros.map((z) => ({ ...z, kind: 'zero' }))} fill="#2563eb" shape={Ring} isAnimationActive={false} />
+          <Scatter data={poles.map((p) => ({ ...p, kind: 'pole' }))} fill="#dc2626" shape={Cross} isAnimationActive={false} />
+        </ScatterChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import React from 'react';
+import { WINDOW_TYPES } from '../dsp/window';
+import { POWER_UNITS } from '../dsp/fft';
+
+const SEGMENT_LENGTHS = [64, 128, 256, 512, 1024];
+
+const IMPEDANCES = [50, 75, 600];
+
+const ZERO_PAD_OPTIONS = [
+  { value: 'none', label: 'None (exact N)' },
+  { value: 'pow2', label: 'Next power of 2' },
+  { value: 2, label: '2× length' },
+  { value: 4, label: '4× length' },
+];
+
+/**
+ * Spectral-estimation controls: window choice, zero padding, single FFT
+ * vs Welch averaging, and the power reference. `settings` is { mode, window,
+ * beta, zeroPad, segmentLength, overlap, unit, fullScale, impedance };
+ * `info` is an optional FFT size / bin spacing readout.
+ */
+export default function SpectrumControls({ settings, onChange, info = null }) {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+
+  return (
+    <div className="controls-grid" style={{ marginBottom: 12 }}>
+      <div className="control-group">
+        <label>Estimator</label>
+        <select value={settings.mode} onChange={(e) => update('mode', e.target.value)}>
+          <option value="fft">Single FFT</option>
+          <option value="welch">Welch (averaged)</option>
+        </select>
+      </div>
+      <div className="control-group">
+        <label>Window</label>
+        <select value={settings.window} onChange={(e) => update('window', e.target.value)}>
+          {WINDOW_TYPES.map((w) => (
+            <option key={w.value} value={w.value}>{w.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="control-group">
+        <label>Zero Padding</label>
+        <select
+          value={String(settings.zeroPad)}
+          onChange={(e) => {
+            const v = e.target.value;
+            update('zeroPad', v === 'none' || v === 'pow2' ? v : Number(v));
+          }}
+        >
+          {ZERO_PAD_OPTIONS.map((o) => (
+            <option key={o.value} value={String(o.value)}>{o.label}</option>
+          ))}
+        </select>
+        {info && <span className="control-value">{info}</span>}
+      </div>
+      {settings.window === 'kaiser' && (
+        <div className="control-group">
+          <label>Kaiser β</label>
+          <input
+            type="range" min={0} max={14} step={0.1}
+            value={settings.beta}
+            onChange={(e) => update('beta', Number(e.target.value))}
+          />
+          <span className="control-value">β = {settings.beta.toFixed(1)}</span>
+        </div>
+      )}
+      <div className="control-group">
+        <label>Power Units</label>
+        <select value={settings.unit} onChange={(e) => update('unit', e.target.value)}>
+          {POWER_UNITS.map((u) => (
+            <option key={u.value} value={u.value}>{u.label}</option>
+          ))}
+        </select>
+      </div>
+      {settings.unit === 'dBFS' && (
+        <div className="control-group">
+          <label>Full-Scale Amplitude</label>
+          <input
+            type="range" min={0.25} max={4} step={0.25}
+            value={settings.fullScale}
+            onChange={(e) => update('fullScale', Number(e.target.value))}
+          />
+          <span className="control-value">{settings.fullScale.toFixed(2)} V</span>
+        </div>
+      )}
+      {settings.unit === 'dBm' && (
+        <div className="control-group">
+          <label>Load Impedance</label>
+          <select
+            value={settings.impedance}
+            onChange={(e) => update('impedance', Number(e.target.value))}
+          >
+            {IMPEDANCES.map((r) => (
+              <option key={r} value={r}>{r} Ω</option>
+            ))}
+          </select>
+        </div>
+      )}
+      {settings.mode === 'welch' && (
+        <>
+          <div className="control-group">
+            <label>Segment Length</label>
+            <select
+              value={settings.segmentLength}
+              onChange={(e) => update('segmentLength', Number(e.target.value))}
+            >
+              {SEGMENT_LENGTHS.map((n) => (
+                <option key={n} value={n}>{n} samples</option>
+              ))}
+            </select>
+          </div>
+          <div className="control-group">
+            <label>Overlap</label>
+            <input
+              type="range" min={0} max={0.9} step={0.05}
+              value={settings.overlap}
+              onChange={(e) => update('overlap', Number(e.target.value))}
+            />
+            <span className="control-value">{Math.round(settings.overlap * 100)}%</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -8,20 +8,29 @@ import {
   ResponsiveContainer,
   Tooltip,
 } from 'recharts';
+import SpectrumControls from './SpectrumControls';
 
 /**
  * Frequency-domain spectrum plot.
- * Shows magnitude (dB) vs frequency.
+ * Shows magnitude (in `unit`, default dB) vs frequency. Pass `settings` + `onSettingsChange`
+ * to show window / padding / Welch controls above the chart, and `fftInfo`
+ * to label them with the FFT size. `xLabel` relabels the x axis for plots
+ * that are not against frequency (e.g. a radar range profile).
  */
 export default function SpectrumPlot({
   frequencies,
   magnitudesDb,
   height = 200,
   freqUnit = 'Hz',
+  unit = 'dB',
   color = '#2563eb',
   yDomain = [-80, 0],
   traces = null,
   data = null,
+  settings = null,
+  onSettingsChange = null,
+  fftInfo = null,
+  xLabel = null,
 }) {
   // Single-trace mode
   const chartData = data || (() => {
@@ -41,59 +50,64 @@ export default function SpectrumPlot({
   };
 
   return (
-    <ResponsiveContainer width="100%" height={height}>
-      <LineChart data={chartData} margin={{ top: 5, right: 20, bottom: 20, left: 10 }}>
-        <CartesianGrid strokeDasharray="3 3" stroke="#d8dbe5" />
-        <XAxis
-          dataKey="f"
-          stroke="#5c6178"
-          fontSize={11}
-          tickFormatter={formatFreq}
-          label={{ value: `Frequency (${freqUnit})`, position: 'insideBottom', offset: -10, fill: '#5c6178', fontSize: 11 }}
-        />
-        <YAxis
-          stroke="#5c6178"
-          fontSize={11}
-          domain={yDomain}
-          tickFormatter={(v) => `${v}`}
-          label={{ value: 'dB', angle: -90, position: 'insideLeft', fill: '#5c6178', fontSize: 11 }}
-        />
-        <Tooltip
-          contentStyle={{
-            background: '#ffffff',
-            border: '1px solid #d8dbe5',
-            borderRadius: 8,
-            fontSize: 12,
-            fontFamily: 'JetBrains Mono, monospace',
-          }}
-          labelFormatter={(v) => `${formatFreq(v)} ${freqUnit}`}
-          formatter={(v, name) => [`${v.toFixed(1)} dB`, name]}
-        />
-        {traces ? (
-          traces.map((trace) => (
+    <>
+      {settings && onSettingsChange && (
+        <SpectrumControls settings={settings} onChange={onSettingsChange} info={fftInfo} />
+      )}
+      <ResponsiveContainer width="100%" height={height}>
+        <LineChart data={chartData} margin={{ top: 5, right: 20, bottom: 20, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#d8dbe5" />
+          <XAxis
+            dataKey="f"
+            stroke="#5c6178"
+            fontSize={11}
+            tickFormatter={formatFreq}
+            label={{ value: xLabel || `Frequency (${freqUnit})`, position: 'insideBottom', offset: -10, fill: '#5c6178', fontSize: 11 }}
+          />
+          <YAxis
+            stroke="#5c6178"
+            fontSize={11}
+            domain={yDomain}
+            tickFormatter={(v) => `${v}`}
+            label={{ value: unit, angle: -90, position: 'insideLeft', fill: '#5c6178', fontSize: 11 }}
+          />
+          <Tooltip
+            contentStyle={{
+              background: '#ffffff',
+              border: '1px solid #d8dbe5',
+              borderRadius: 8,
+              fontSize: 12,
+              fontFamily: 'JetBrains Mono, monospace',
+            }}
+            labelFormatter={(v) => `${formatFreq(v)} ${freqUnit}`}
+            formatter={(v, name) => [`${v.toFixed(1)} ${unit}`, name]}
+          />
+          {traces ? (
+            traces.map((trace) => (
+              <Line
+                key={trace.key}
+                type="monotone"
+                dataKey={trace.key}
+                stroke={trace.color}
+                strokeWidth={1.5}
+                dot={false}
+                name={trace.label}
+                isAnimationActive={false}
+              />
+            ))
+          ) : (
             <Line
-              key={trace.key}
               type="monotone"
-              dataKey={trace.key}
-              stroke={trace.color}
+              dataKey="mag"
+              stroke={color}
               strokeWidth={1.5}
               dot={false}
-              name={trace.label}
+              name="Magnitude"
               isAnimationActive={false}
             />
-          ))
-        ) : (
-          <Line
-            type="monotone"
-            dataKey="mag"
-            stroke={color}
-            strokeWidth={1.5}
-            dot={false}
-            name="Magnitude"
-            isAnimationActive={false}
-          />
-        )}
-      </LineChart>
-    </ResponsiveContainer>
+          )}
+        </LineChart>
+      </ResponsiveContainer>
+    </>
   );
 }
@@ -0,0 +1,204 @@
+/**
+ * Analog-to-digital conversion: quantisation, clipping, dither and
+ * aperture jitter.
+ *
+ * An N-bit converter maps its ±full-scale input range onto 2^N levels one
+ * LSB = 2·FS / 2^N apart. Rounding to the nearest level adds an error of at
+ * most ½ LSB — for a busy signal, noise of power LSB²/12, which for a
+ * full-scale sine gives the textbook SQNR = 6.02·N + 1.76 dB. Anything
+ * beyond full scale is clipped hard to the end levels.
+ *
+ * For a simple, repetitive signal the rounding error is not noise at all but
+ * a periodic pattern: harmonics and spurs. Dither — a little random noise
+ * added before the quantiser — breaks the pattern up, trading the spurs for
+ * a slightly higher, flat noise floor.
+ *
+ * Aperture jitter is the sampling clock's timing error: a sample taken δ
+ * late reads x(t + δ) ≈ x + δ·x′. The faster the input moves, the bigger
+ * the error, so jitter caps SNR at −20·log10(2π·f·σ) whatever the bit depth.
+ */
+
+import { fft } from './fft';
+import { makeWindow } from './window';
+import { createRng, createGaussianRng } from './random';
+import { toneFit } from './measure';
+
+const TWO_PI = 2 * Math.PI;
+
+/** Dither types, in display order. */
+export const DITHER_TYPES = [
+  { value: 'none', label: 'None' },
+  { value: 'rpdf', label: 'Rectangular (±½ LSB)' },
+  { value: 'tpdf', label: 'Triangular (±1 LSB)' },
+];
+
+/**
+ * SQNR of an ideal N-bit converter for a sine of the given amplitude.
+ *   6.02·N + 1.76 − 20·log10(FS / A)
+ * @param {number} bits
+ * @param {number} [backoffDb] - how far the sine's peak sits below full
+ *   scale, dB (default 0)
+ * @returns {number} dB
+ */
+export function idealSqnrDb(bits, backoffDb = 0) {
+  return 6.02 * bits + 1.76 - backoffDb;
+}
+
+/**
+ * The SNR limit jitter sets for a sine at frequency f.
+ *   −20·log10(2π·f·σ)
+ * @param {number} frequency - Hz
+ * @param {number} jitter - RMS timing error σ, seconds
+ * @returns {number} dB (Infinity without jitter)
+ */
+export function jitterSnrDb(frequency, jitter) {
+  return -20 * Math.log10(TWO_PI * frequency * jitter);
+}
+
+/**
+ * Sample a signal at randomly disturbed instants: each output is the input
+ * interpolated (Hann-windowed sinc) a Gaussian σ seconds early or late.
+ * The input must be band-limited well inside Nyquist for the interpolation
+ * to hold.
+ * @param {Float64Array} signal
+ * @param {number} sampleRate - Hz
+ * @param {number} jitter - RMS timing error σ, seconds
+ * @param {object} [options]
+ *   seed:      PRNG seed (default 1)
+ *   halfWidth: interpolator half-length, samples (default 8)
+ * @returns {Float64Array}
+ */
+export function sampleWithJitter(signal, sampleRate, jitter, { seed = 1, halfWidth = 8 } = {}) {
+  const N = signal.length;
+  if (!(jitter > 0)) return Float64Array.from(signal);
+  const gaussian = createGaussianRng(seed);
+  const out = new Float64Array(N);
+  for (let n = 0; n < N; n++) {
+    const d = gaussian() * jitter * sampleRate; // offset in samples
+    let sum = 0;
+    for (let k = -halfWidth; k <= halfWidth; k++) {
+      const m = n + k;
+      if (m < 0 || m >= N) continue;
+      const x = k - d;
+      const w = Math.abs(x) >= halfWidth + 1 ? 0 : 0.5 + 0.5 * Math.cos((Math.PI * x) / (halfWidth + 1));
+      sum += signal[m] * sinc(x) * w;
+    }
+    out[n] = sum;
+  }
+  return out;
+}
+
+/**
+ * Convert a signal: jitter the sampling instants, add dither, clip to full
+ * scale and round to the nearest of 2^N mid-rise levels (there is no level
+ * at exactly zero, so 1 bit is a pure sign detector).
+ * @param {Float64Array} signal
+ * @param {number} sampleRate - Hz
+ * @param {object} [options]
+ *   bits:       resolution, 1–16 (default 12)
+ *   fullScale:  peak input the converter can represent (default 1)
+ *   dither:     DITHER_TYPES value (default 'none')
+ *   jitter:     RMS aperture jitter, seconds (default 0)
+ *   seed:       PRNG seed for dither and jitter (default 1)
+ * @returns {{ output: Float64Array, lsb: number, clippedFraction: number }}
+ */
+export function adcConvert(signal, sampleRate, {
+  bits = 12, fullScale = 1, dither = 'none', jitter = 0, seed = 1,
+} = {}) {
+  const levels = 2 ** bits;
+  const lsb = (2 * fullScale) / levels;
+  const sampled = sampleWithJitter(signal, sampleRate, jitter, { seed });
+  const uniform = createRng(seed + 1);
+
+  const output = new Float64Array(sampled.length);
+  let clipped = 0;
+  for (let i = 0; i < sampled.length; i++) {
+    let x = sampled[i];
+    if (dither === 'rpdf') x += (uniform() - 0.5) * lsb;
+    else if (dither === 'tpdf') x += (uniform() - uniform()) * lsb;
+    // Level index 0 … 2^N − 1, level k sitting at (k + ½)·LSB − FS
+    let k = Math.floor((x + fullScale) / lsb);
+    if (k < 0 || k >= levels) {
+      clipped++;
+      k = Math.max(0, Math.min(levels - 1, k));
+    }
+    output[i] = (k + 0.5) * lsb - fullScale;
+  }
+  return { output, lsb, clippedFraction: sampled.length ? clipped / sampled.length : 0 };
+}
+
+/**
+ * Converter figures of merit. SQNR holds for any input; the rest need a
+ * sine test signal.
+ *
+ *   SQNR  — input power over the power of (output − input): everything the
+ *           converter added, quantisation, clipping and jitter alike
+ *   SINAD — tone over everything else in the output (toneFit), which is
+ *           what ENOB is defined from
+ *   ENOB  — (SINAD − 1.76) / 6.02, referred to full scale (the sine's
+ *           back-off added back), so a perfect N-bit converter reads N
+ *   SFDR  — tone over the tallest spur anywhere else in the spectrum
+ * @param {Float64Array} input - the analog signal
+ * @param {Float64Array} output - from adcConvert
+ * @param {number} sampleRate - Hz
+ * @param {number|null} frequency - the sine's frequency, Hz; null for any
+ *   other signal (only sqnrDb is measured, the rest are null)
+ * @param {object} [options]
+ *   fullScale: as adcConvert (default 1)
+ *   skip:      samples to leave out at each end (default 0)
+ * @returns {{ sqnrDb: number, sinadDb: number, enob: number, sfdrDb: number,
+ *             backoffDb: number }}
+ *   backoffDb: how far the fitted sine's peak sits below full scale
+ */
+export function adcMetrics(input, output, sampleRate, frequency, { fullScale = 1, skip = 0 } = {}) {
+  const start = Math.min(skip, Math.floor(input.length / 2));
+  const end = input.length - start;
+  let pIn = 0, pErr = 0;
+  for (let i = start; i < end; i++) {
+    pIn += input[i] * input[i];
+    pErr += (output[i] - input[i]) ** 2;
+  }
+
+  const sqnrDb = 10 * Math.log10(pIn / pErr);
+  if (frequency === null) return { sqnrDb, sinadDb: null, enob: null, sfdrDb: null, backoffDb: null };
+
+  const fit = toneFit(output, frequency, sampleRate, { skip });
+  const backoffDb = 20 * Math.log10(fullScale / fit.amplitude);
+
+  return {
+    sqnrDb,
+    sinadDb: fit.sinadDb,
+    enob: (fit.sinadDb - 1.76 + backoffDb) / 6.02,
+    sfdrDb: spuriousFreeRange(output.subarray(start, end), sampleRate, frequency),
+    backoffDb,
+  };
+}
+
+// --- Internal helpers ---
+
+function sinc(x) {
+  return x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+// Tone bin over the tallest other bin of a Blackman-Harris spectrum, in dB.
+// Bins within the window's main lobe of the tone or of DC don't count.
+function spuriousFreeRange(signal, sampleRate, frequency) {
+  const N = signal.length;
+  const w = makeWindow('blackmanHarris', N);
+  let mean = 0;
+  for (let i = 0; i < N; i++) mean += signal[i] / N;
+  const X = fft(signal.map((v, i) => (v - mean) * w[i]));
+  const half = Math.floor(N / 2);
+  const tone = Math.round((frequency / sampleRate) * N);
+  const lobe = 5;
+  let peak = 0;
+  for (let k = Math.max(1, tone - lobe); k <= Math.min(half, tone + lobe); k++) {
+    peak = Math.max(peak, X.magnitudes[k]);
+  }
+  let spur = 0;
+  for (let k = lobe; k <= half; k++) {
+    if (Math.abs(k - tone) <= lobe) continue;
+    spur = Math.max(spur, X.magnitudes[k]);
+  }
+  return 20 * Math.log10(peak / (spur || 1e-300));
+}
@@ -0,0 +1,58 @@
+/**
+ * Getting a pipeline signal ready for the speakers.
+ *
+ * Signals here live at whatever rate the pipeline runs at (a capture's
+ * 2 MHz, the Real app's scaled-down 50 kHz, the Simple app's 2 kHz) and at
+ * whatever level the stage leaves them. A sound card wants one fixed rate
+ * and samples within ±1, so each clip is resampled, levelled and faded
+ * before it is handed to Web Audio.
+ */
+
+import { resampleRate } from './resample';
+
+/**
+ * Resample a signal to the output rate and fit it into ±1.
+ * @param {ArrayLike<number>} samples
+ * @param {number} sampleRate - Hz
+ * @param {number} outputRate - Hz (the AudioContext's rate)
+ * @param {object} [options]
+ *   normalize: remove the mean (DC is inaudible but eats headroom) and scale
+ *              the peak to `peak`; otherwise the signal is only clipped at
+ *              ±1 (default true)
+ *   peak:      level after normalization (default 0.9)
+ *   fade:      fade-in/out length, seconds, so a one-shot clip starts and
+ *              stops without a click; 0 for a seamless loop (default 0.005)
+ * @returns {Float32Array}
+ */
+export function prepareAudio(samples, sampleRate, outputRate, {
+  normalize = true, peak = 0.9, fade = 0.005,
+} = {}) {
+  const input = Float64Array.from(samples);
+  // Take DC out before resampling, or the step it makes at the clip's
+  // edges rings through the resampler
+  if (normalize && input.length > 0) {
+    const mean = input.reduce((sum, v) => sum + v, 0) / input.length;
+    for (let i = 0; i < input.length; i++) input[i] -= mean;
+  }
+  const { signal } = resampleRate(input, sampleRate, outputRate);
+  const N = signal.length;
+  const out = new Float32Array(N);
+  if (N === 0) return out;
+
+  let gain = 1;
+  if (normalize) {
+    let max = 0;
+    for (let i = 0; i < N; i++) max = Math.max(max, Math.abs(signal[i]));
+    gain = max > 0 ? peak / max : 0;
+  }
+  for (let i = 0; i < N; i++) out[i] = Math.max(-1, Math.min(1, signal[i] * gain));
+
+  // Raised-cosine ramps at both ends, never longer than half the clip
+  const ramp = Math.min(Math.floor(fade * outputRate), Math.floor(N / 2));
+  for (let i = 0; i < ramp; i++) {
+    const w = 0.5 - 0.5 * Math.cos((Math.PI * i) / ramp);
+    out[i] *= w;
+    out[N - 1 - i] *= w;
+  }
+  return out;
+}
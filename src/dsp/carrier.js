@@ -0,0 +1,102 @@
+/**
+ * Carrier recovery.
+ *
+ * A receiver's local oscillator never quite matches the transmitter's
+ * carrier: a frequency error spins the baseband constellation, a phase
+ * error tilts it. A carrier loop measures the remaining rotation and
+ * steers a numerically controlled oscillator (NCO) to undo it:
+ *
+ *   I/Q × NCO* → phase detector → loop filter → NCO
+ *
+ * A PLL's detector needs an unmodulated carrier to lock to: a pure tone,
+ * or the carrier that AM leaves in. A Costas loop first strips the BPSK or
+ * QPSK modulation, so it can lock to a suppressed carrier. The price is an
+ * ambiguity: it can settle on any of 2 (BPSK) or 4 (QPSK) equally good phases.
+ */
+
+const TWO_PI = 2 * Math.PI;
+
+/** Carrier loops, in display order. */
+export const CARRIER_LOOPS = [
+  { value: 'pll', label: 'PLL (carrier present)' },
+  { value: 'costas2', label: 'Costas (BPSK)' },
+  { value: 'costas4', label: 'Costas (QPSK)' },
+];
+
+/**
+ * Track and remove a carrier frequency/phase offset from baseband I/Q, one
+ * sample at a time.
+ *
+ *   pll     — e = arg(y): the phase of the derotated sample itself
+ *   costas2 — e = I·Q: zero when all energy sits on the I axis
+ *   costas4 — e = sgn(I)·Q − sgn(Q)·I: zero when the points sit on the
+ *             diagonals
+ *
+ * All three are scaled by the mean signal power so that e ≈ the phase error
+ * in radians near lock, whatever the signal level.
+ * @param {Float64Array} I
+ * @param {Float64Array} Q
+ * @param {number} sampleRate - Hz
+ * @param {object} [options]
+ *   loop:          CARRIER_LOOPS value (default 'pll')
+ *   loopBandwidth: noise bandwidth Bn, Hz (default sampleRate / 500)
+ *   damping:       ζ (default 1/√2)
+ * @returns {{ I: Float64Array, Q: Float64Array, phaseError: Float64Array,
+ *             frequency: Float64Array, phase: Float64Array }}
+ *   per sample: the derotated I/Q, the detector output (radians), the NCO
+ *   frequency (Hz) and the NCO phase (radians)
+ */
+export function recoverCarrier(I, Q, sampleRate, {
+  loop = 'pll', loopBandwidth = sampleRate / 500, damping = Math.SQRT1_2,
+} = {}) {
+  const N = I.length;
+
+  let power = 0;
+  for (let i = 0; i < N; i++) power += I[i] * I[i] + Q[i] * Q[i];
+  power = power / Math.max(1, N) || 1;
+  const rms = Math.sqrt(power);
+
+  // PI loop gains, with Bn normalized to the sample rate
+  const theta = loopBandwidth / sampleRate / (damping + 1 / (4 * damping));
+  const d = 1 + 2 * damping * theta + theta * theta;
+  const kp = (4 * damping * theta) / d;
+  const ki = (4 * theta * theta) / d;
+
+  const outI = new Float64Array(N);
+  const outQ = new Float64Array(N);
+  const phaseError = new Float64Array(N);
+  const frequency = new Float64Array(N);
+  const phase = new Float64Array(N);
+  let nco = 0;
+  let integrator = 0;
+
+  for (let i = 0; i < N; i++) {
+    const c = Math.cos(nco);
+    const s = Math.sin(nco);
+    const yI = I[i] * c + Q[i] * s;
+    const yQ = Q[i] * c - I[i] * s;
+
+    let e;
+    if (loop === 'costas2') {
+      e = (yI * yQ) / power;
+    } else if (loop === 'costas4') {
+      e = (Math.sign(yI) * yQ - Math.sign(yQ) * yI) / (Math.SQRT2 * rms);
+    } else {
+      e = Math.atan2(yQ, yI);
+    }
+
+    outI[i] = yI;
+    outQ[i] = yQ;
+    phaseError[i] = e;
+    phase[i] = nco;
+
+    integrator += ki * e;
+    frequency[i] = (integrator * sampleRate) / TWO_PI;
+    nco += kp * e + integrator;
+    // Keep the NCO phase bounded so it stays precise over long runs
+    if (nco > Math.PI) nco -= TWO_PI;
+    else if (nco < -Math.PI) nco += TWO_PI;
+  }
+
+  return { I: outI, Q: outQ, phaseError, frequency, phase };
+}
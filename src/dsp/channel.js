@@ -0,0 +1,328 @@
+/**
+ * Multipath and fading channels.
+ *
+ * Between transmitter and receiver the signal arrives over several paths
+ * at once — direct, off buildings, off hills — each delayed and scaled
+ * differently. The tapped delay line models this as a handful of taps
+ * (delay τₖ, average power Pₖ):
+ *
+ *   y(t) = Σₖ hₖ(t) · x(t − τₖ)
+ *
+ * In frequency the paths add in and out of phase, so the channel is no
+ * longer flat: H(f) = Σₖ hₖ·e^(−j2π·f·τₖ) has notches spaced roughly
+ * 1/(delay spread) apart. When the receiver or scatterers move, each tap's
+ * phase wanders at up to the Doppler frequency fd and the notches sweep
+ * through the band — fading.
+ *
+ *   static   — fixed taps of amplitude √Pₖ
+ *   rayleigh — each tap a sum of scattered waves arriving from every
+ *              direction (Clarke's model): complex Gaussian, no direct path
+ *   rician   — the first tap adds a steady line-of-sight component K times
+ *              stronger than its scattered part
+ *
+ * Tap powers are normalised to sum to 1, so the channel neither adds nor
+ * removes power on average.
+ */
+
+import { fft, ifft } from './fft';
+import { createRng } from './random';
+
+const TWO_PI = 2 * Math.PI;
+
+/**
+ * Tapped-delay-line profiles (delay in seconds, power in dB), in display
+ * order. The 3GPP and ITU profiles are the standard LTE / UMTS test
+ * channels.
+ */
+export const CHANNEL_PROFILES = [
+  { value: 'flat', label: 'Flat (single path)', taps: [{ delay: 0, power: 0 }] },
+  {
+    value: 'twoRay',
+    label: 'Two-ray (strong 10 µs echo)',
+    taps: [{ delay: 0, power: 0 }, { delay: 10e-6, power: -3 }],
+  },
+  {
+    value: 'pedA',
+    label: 'ITU Pedestrian A',
+    taps: [
+      { delay: 0, power: 0 }, { delay: 110e-9, power: -9.7 },
+      { delay: 190e-9, power: -19.2 }, { delay: 410e-9, power: -22.8 },
+    ],
+  },
+  {
+    value: 'vehA',
+    label: 'ITU Vehicular A',
+    taps: [
+      { delay: 0, power: 0 }, { delay: 310e-9, power: -1 }, { delay: 710e-9, power: -9 },
+      { delay: 1090e-9, power: -10 }, { delay: 1730e-9, power: -15 }, { delay: 2510e-9, power: -20 },
+    ],
+  },
+  {
+    value: 'epa',
+    label: '3GPP EPA',
+    taps: [
+      { delay: 0, power: 0 }, { delay: 30e-9, power: -1 }, { delay: 70e-9, power: -2 },
+      { delay: 90e-9, power: -3 }, { delay: 110e-9, power: -8 }, { delay: 190e-9, power: -17.2 },
+      { delay: 410e-9, power: -20.8 },
+    ],
+  },
+  {
+    value: 'eva',
+    label: '3GPP EVA',
+    taps: [
+      { delay: 0, power: 0 }, { delay: 30e-9, power: -1.5 }, { delay: 150e-9, power: -1.4 },
+      { delay: 310e-9, power: -3.6 }, { delay: 370e-9, power: -0.6 }, { delay: 710e-9, power: -9.1 },
+      { delay: 1090e-9, power: -7 }, { delay: 1730e-9, power: -12 }, { delay: 2510e-9, power: -16.9 },
+    ],
+  },
+  {
+    value: 'etu',
+    label: '3GPP ETU',
+    taps: [
+      { delay: 0, power: -1 }, { delay: 50e-9, power: -1 }, { delay: 120e-9, power: -1 },
+      { delay: 200e-9, power: 0 }, { delay: 230e-9, power: 0 }, { delay: 500e-9, power: 0 },
+      { delay: 1600e-9, power: -3 }, { delay: 2300e-9, power: -5 }, { delay: 5000e-9, power: -7 },
+    ],
+  },
+];
+
+/** Fading types, in display order. */
+export const FADING_TYPES = [
+  { value: 'static', label: 'Static' },
+  { value: 'rayleigh', label: 'Rayleigh' },
+  { value: 'rician', label: 'Rician' },
+];
+
+/**
+ * Mean and RMS delay spread of a profile, power-weighted. The coherence
+ * bandwidth — over which the channel stays roughly flat — is about
+ * 1 / (5·τrms).
+ * @param {Array<{ delay: number, power: number }>} taps - power in dB
+ * @returns {{ meanDelay: number, rmsDelay: number, coherenceBandwidth: number }}
+ */
+export function delaySpread(taps) {
+  let total = 0, mean = 0, square = 0;
+  for (const { delay, power } of taps) {
+    const p = 10 ** (power / 10);
+    total += p;
+    mean += p * delay;
+    square += p * delay * delay;
+  }
+  mean /= total;
+  const rmsDelay = Math.sqrt(Math.max(0, square / total - mean * mean));
+  return { meanDelay: mean, rmsDelay, coherenceBandwidth: rmsDelay > 0 ? 1 / (5 * rmsDelay) : Infinity };
+}
+
+/**
+ * Complex gain of every tap at each time in t.
+ * @param {Float64Array} t - time array
+ * @param {Array<{ delay: number, power: number }>} taps - power in dB
+ * @param {object} [options]
+ *   fading:  FADING_TYPES value (default 'static')
+ *   doppler: maximum Doppler shift fd, Hz (default 0: a frozen random
+ *            realisation for rayleigh / rician)
+ *   kFactor: Rician K, dB — line-of-sight over scattered power in the
+ *            first tap (default 6)
+ *   seed:    PRNG seed (default 1)
+ *   waves:   scattered waves per tap (default 32)
+ * @returns {Array<{ re: Float64Array, im: Float64Array }>} one per tap
+ */
+export function tapGains(t, taps, {
+  fading = 'static', doppler = 0, kFactor = 6, seed = 1, waves = 32,
+} = {}) {
+  const rng = createRng(seed);
+  const total = taps.reduce((sum, { power }) => sum + 10 ** (power / 10), 0);
+  const K = 10 ** (kFactor / 10);
+
+  return taps.map(({ power }, k) => {
+    const amplitude = Math.sqrt(10 ** (power / 10) / total);
+    const re = new Float64Array(t.length);
+    const im = new Float64Array(t.length);
+    if (fading === 'static') {
+      re.fill(amplitude);
+      return { re, im };
+    }
+
+    // Clarke's model: waves from random directions α, each Doppler-shifted
+    // by fd·cos α, with random phases
+    const shifts = [];
+    const phases = [];
+    for (let m = 0; m < waves; m++) {
+      shifts.push(TWO_PI * doppler * Math.cos(TWO_PI * rng()));
+      phases.push(TWO_PI * rng());
+    }
+    const los = fading === 'rician' && k === 0;
+    const scattered = amplitude * Math.sqrt((los ? 1 / (K + 1) : 1) / waves);
+    // The direct path arrives broadside: no Doppler shift, a fixed phase
+    const direct = los ? amplitude * Math.sqrt(K / (K + 1)) : 0;
+    const directPhase = TWO_PI * rng();
+    for (let i = 0; i < t.length; i++) {
+      let a = direct * Math.cos(directPhase);
+      let b = direct * Math.sin(directPhase);
+      for (let m = 0; m < waves; m++) {
+        const ph = shifts[m] * t[i] + phases[m];
+        a += scattered * Math.cos(ph);
+        b += scattered * Math.sin(ph);
+      }
+      re[i] = a;
+      im[i] = b;
+    }
+    return { re, im };
+  });
+}
+
+/**
+ * Pass a real passband signal through a tapped delay line. Each tap delays
+ * the signal's analytic form (fractionally, in the frequency domain, so
+ * delays need not fall on samples), multiplies it by the tap's complex
+ * gain, and the real parts add up.
+ * @param {Float64Array} signal
+ * @param {number} sampleRate - Hz
+ * @param {Array<{ delay: number, power: number }>} taps - delay in seconds
+ * @param {Array<{ re: Float64Array, im: Float64Array }>} gains - from tapGains
+ * @returns {Float64Array}
+ */
+export function applyChannel(signal, sampleRate, taps, gains) {
+  const N = signal.length;
+  const maxDelay = Math.max(0, ...taps.map(({ delay }) => delay));
+  // Pad so the latest echo doesn't wrap round to the start
+  let nfft = 1;
+  while (nfft < N + Math.ceil(maxDelay * sampleRate) + 16) nfft *= 2;
+
+  // Analytic signal: keep positive frequencies (doubled), drop negative
+  const X = fft(signal, null, nfft);
+  const half = nfft / 2;
+  for (let k = 1; k < half; k++) {
+    X.re[k] *= 2;
+    X.im[k] *= 2;
+  }
+  for (let k = half + 1; k < nfft; k++) {
+    X.re[k] = 0;
+    X.im[k] = 0;
+  }
+
+  const out = new Float64Array(N);
+  const re = new Float64Array(nfft);
+  const im = new Float64Array(nfft);
+  taps.forEach(({ delay }, tap) => {
+    for (let k = 0; k <= half; k++) {
+      const w = (-TWO_PI * k * delay * sampleRate) / nfft;
+      const c = Math.cos(w);
+      const s = Math.sin(w);
+      re[k] = X.re[k] * c - X.im[k] * s;
+      im[k] = X.re[k] * s + X.im[k] * c;
+    }
+    re.fill(0, half + 1);
+    im.fill(0, half + 1);
+    const delayed = ifft(re, im);
+    const g = gains[tap];
+    for (let i = 0; i < N; i++) {
+      out[i] += g.re[i] * delayed.re[i] - g.im[i] * delayed.im[i];
+    }
+  });
+  return out;
+}
+
+/**
+ * Frequency response of the channel at one instant, at offsets f from the
+ * carrier: H(f) = Σₖ hₖ·e^(−j2π·(fc + f)·τₖ).
+ * @param {Array<{ delay: number }>} taps
+ * @param {Array<{ re: number, im: number }>} gains - one complex gain per tap
+ * @param {number[]} frequencies - offsets from the carrier, Hz
+ * @param {number} carrierFreq - Hz
+ * @returns {{ re: Float64Array, im: Float64Array, db: Float64Array }}
+ */
+export function channelResponse(taps, gains, frequencies, carrierFreq) {
+  const n = frequencies.length;
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  const db = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < taps.length; k++) {
+      const w = -TWO_PI * (carrierFreq + frequencies[i]) * taps[k].delay;
+      const c = Math.cos(w);
+      const s = Math.sin(w);
+      re[i] += gains[k].re * c - gains[k].im * s;
+      im[i] += gains[k].re * s + gains[k].im * c;
+    }
+    db[i] = 10 * Math.log10(re[i] * re[i] + im[i] * im[i] + 1e-20);
+  }
+  return { re, im, db };
+}
+
+/**
+ * Measure a channel from what went in and what came out: the
+ * cross-spectral estimate H = Σ Y·X* / Σ |X|², averaged over Hann-windowed
+ * half-overlapping segments (the record average, for a fading channel).
+ * Frequencies where the input has too little energy to measure are null.
+ * @param {Float64Array} input - real passband, before the channel
+ * @param {Float64Array} output - real passband, after it
+ * @param {number} sampleRate - Hz
+ * @param {number} carrierFreq - Hz
+ * @param {object} [options]
+ *   segment: segment length, samples (default 256)
+ *   floor:   input level below its strongest bin that still counts,
+ *            dB (default 40)
+ * @returns {{ frequencies: number[], db: Array<number|null> }}
+ *   frequencies are offsets from the carrier, over (−fc, fs/2 − fc)
+ */
+export function estimateResponse(input, output, sampleRate, carrierFreq, { segment = 256, floor = 40 } = {}) {
+  const L = Math.min(segment, input.length);
+  const hop = Math.max(1, Math.floor(L / 2));
+  const window = Float64Array.from({ length: L }, (_, n) => 0.5 - 0.5 * Math.cos((TWO_PI * n) / L));
+  const half = Math.floor(L / 2);
+  const sxx = new Float64Array(half + 1);
+  const syxRe = new Float64Array(half + 1);
+  const syxIm = new Float64Array(half + 1);
+  const xs = new Float64Array(L);
+  const ys = new Float64Array(L);
+  for (let start = 0; start + L <= input.length; start += hop) {
+    for (let n = 0; n < L; n++) {
+      xs[n] = input[start + n] * window[n];
+      ys[n] = output[start + n] * window[n];
+    }
+    const X = fft(xs);
+    const Y = fft(ys);
+    for (let k = 0; k <= half; k++) {
+      sxx[k] += X.re[k] * X.re[k] + X.im[k] * X.im[k];
+      syxRe[k] += Y.re[k] * X.re[k] + Y.im[k] * X.im[k];
+      syxIm[k] += Y.im[k] * X.re[k] - Y.re[k] * X.im[k];
+    }
+  }
+
+  const peak = Math.max(...sxx);
+  const threshold = peak * 10 ** (-floor / 10);
+  const frequencies = [];
+  const db = [];
+  for (let k = 0; k <= half; k++) {
+    frequencies.push((k * sampleRate) / L - carrierFreq);
+    db.push(sxx[k] > threshold && sxx[k] > 0
+      ? 10 * Math.log10((syxRe[k] ** 2 + syxIm[k] ** 2) / (sxx[k] * sxx[k]) + 1e-20)
+      : null);
+  }
+  return { frequencies, db };
+}
+
+/**
+ * Notches in a response: local minima at least minDepth below the larger
+ * of the two peaks either side.
+ * @param {number[]} frequencies
+ * @param {ArrayLike<number>} db
+ * @param {object} [options]
+ *   minDepth: dB (default 6)
+ * @returns {Array<{ frequency: number, level: number, depth: number }>}
+ *   deepest first; level is |H|² there, dB
+ */
+export function findNotches(frequencies, db, { minDepth = 6 } = {}) {
+  const notches = [];
+  for (let i = 1; i < db.length - 1; i++) {
+    if (!(db[i] < db[i - 1] && db[i] <= db[i + 1])) continue;
+    let left = db[i];
+    for (let j = i - 1; j >= 0 && db[j] >= db[j + 1]; j--) left = db[j];
+    let right = db[i];
+    for (let j = i + 1; j < db.length && db[j] >= db[j - 1]; j++) right = db[j];
+    const depth = Math.max(left, right) - db[i];
+    if (depth >= minDepth) notches.push({ frequency: frequencies[i], level: db[i], depth });
+  }
+  return notches.sort((a, b) => b.depth - a.depth);
+}
@@ -0,0 +1,218 @@
+/**
+ * Digital modulation: bits → Gray-mapped constellation symbols → pulse-shaped
+ * baseband I/Q.
+ *
+ * Gray mapping labels neighbouring constellation points with bit patterns
+ * that differ in one bit, so the most likely symbol error (to a neighbour)
+ * costs a single bit error.
+ *
+ * Pulses are evaluated analytically at each sample time rather than as a
+ * sampled FIR kernel, so the symbol rate need not divide the sample rate.
+ */
+
+import { createRng } from './random';
+
+/** Digital modulation schemes, in display order. */
+export const MODULATIONS = [
+  { value: 'bpsk', label: 'BPSK', bitsPerSymbol: 1 },
+  { value: 'qpsk', label: 'QPSK', bitsPerSymbol: 2 },
+  { value: '8psk', label: '8-PSK', bitsPerSymbol: 3 },
+  { value: '16qam', label: '16-QAM', bitsPerSymbol: 4 },
+  { value: '64qam', label: '64-QAM', bitsPerSymbol: 6 },
+];
+
+/** Pulse shapes, in display order. */
+export const PULSE_SHAPES = [
+  { value: 'rect', label: 'Rectangular' },
+  { value: 'rc', label: 'Raised cosine' },
+  { value: 'rrc', label: 'Root raised cosine' },
+];
+
+/**
+ * Constellation points for a scheme, indexed by symbol value (bits read
+ * MSB first), scaled to unit average energy.
+ * @param {string} scheme - one of MODULATIONS values
+ * @returns {{ I: number, Q: number }[]}
+ */
+export function constellation(scheme) {
+  const { bitsPerSymbol } = MODULATIONS.find((m) => m.value === scheme);
+  const M = 1 << bitsPerSymbol;
+  const points = new Array(M);
+
+  if (scheme === 'bpsk' || scheme === '8psk') {
+    // PSK: the k-th point around the circle carries Gray code gray(k)
+    for (let k = 0; k < M; k++) {
+      const angle = (2 * Math.PI * k) / M;
+      points[gray(k)] = { I: Math.cos(angle), Q: Math.sin(angle) };
+    }
+    return points;
+  }
+
+  // Square QAM (QPSK is 4-QAM): each axis is a Gray-coded PAM
+  const half = bitsPerSymbol / 2;
+  const side = 1 << half;
+  const scale = Math.sqrt((2 * (M - 1)) / 3);
+  for (let v = 0; v < M; v++) {
+    const iLevel = 2 * grayInverse(v >> half) - (side - 1);
+    const qLevel = (side - 1) - 2 * grayInverse(v & (side - 1));
+    points[v] = { I: iLevel / scale, Q: qLevel / scale };
+  }
+  return points;
+}
+
+/**
+ * Map a bit stream onto symbols. A trailing partial symbol is dropped.
+ * @param {ArrayLike<number>} bits - 0/1 values
+ * @param {string} scheme
+ * @returns {{ I: Float64Array, Q: Float64Array, values: Uint8Array }}
+ */
+export function mapBits(bits, scheme) {
+  const { bitsPerSymbol } = MODULATIONS.find((m) => m.value === scheme);
+  const points = constellation(scheme);
+  const count = Math.floor(bits.length / bitsPerSymbol);
+  const I = new Float64Array(count);
+  const Q = new Float64Array(count);
+  const values = new Uint8Array(count);
+  for (let k = 0; k < count; k++) {
+    let v = 0;
+    for (let b = 0; b < bitsPerSymbol; b++) v = (v << 1) | (bits[k * bitsPerSymbol + b] & 1);
+    values[k] = v;
+    I[k] = points[v].I;
+    Q[k] = points[v].Q;
+  }
+  return { I, Q, values };
+}
+
+/**
+ * Seeded random bits.
+ * @returns {Uint8Array}
+ */
+export function randomBits(count, seed = 1) {
+  const rng = createRng(seed);
+  const bits = new Uint8Array(count);
+  for (let i = 0; i < count; i++) bits[i] = rng() < 0.5 ? 0 : 1;
+  return bits;
+}
+
+/**
+ * Parse a user-typed bit string. Anything but 0 and 1 (spaces, commas,
+ * newlines) is ignored.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function parseBits(text) {
+  return Uint8Array.from(text.replace(/[^01]/g, ''), (c) => (c === '1' ? 1 : 0));
+}
+
+/**
+ * Pulse amplitude at time τ (in symbol periods, 0 = symbol centre).
+ *
+ *   rect — 1 over one symbol period: unit power, fully ISI-free but with
+ *          sinc-shaped (−13 dB) spectral side lobes
+ *   rc   — raised cosine, 1 at τ = 0 and 0 at every other symbol centre
+ *          (zero ISI); bandwidth (1 + rolloff)·symbolRate / 2
+ *   rrc  — root raised cosine: half of an RC split between transmitter and
+ *          a matched receive filter; unit energy per symbol period
+ * @param {string} type
+ * @param {number} tau
+ * @param {number} rolloff - β, 0…1
+ */
+export function pulseAt(type, tau, rolloff = 0.35) {
+  const b = rolloff;
+  if (type === 'rect') return tau >= -0.5 && tau < 0.5 ? 1 : 0;
+
+  if (type === 'rc') {
+    const sinc = tau === 0 ? 1 : Math.sin(Math.PI * tau) / (Math.PI * tau);
+    const d = 1 - (2 * b * tau) ** 2;
+    if (Math.abs(d) < 1e-10) return (Math.PI / 4) * sinc;
+    return (sinc * Math.cos(Math.PI * b * tau)) / d;
+  }
+
+  // rrc
+  if (tau === 0) return 1 - b + (4 * b) / Math.PI;
+  if (b > 0 && Math.abs(Math.abs(tau) - 1 / (4 * b)) < 1e-10) {
+    return (b / Math.SQRT2) * ((1 + 2 / Math.PI) * Math.sin(Math.PI / (4 * b))
+      + (1 - 2 / Math.PI) * Math.cos(Math.PI / (4 * b)));
+  }
+  const num = Math.sin(Math.PI * tau * (1 - b)) + 4 * b * tau * Math.cos(Math.PI * tau * (1 + b));
+  return num / (Math.PI * tau * (1 - (4 * b * tau) ** 2));
+}
+
+/**
+ * Sampled pulse as an FIR kernel (e.g. a matched filter), spanning ±span
+ * symbols at samplesPerSymbol.
+ * @returns {Float64Array} 2·span·samplesPerSymbol + 1 taps (rect: samplesPerSymbol)
+ */
+export function pulseKernel(type, samplesPerSymbol, { rolloff = 0.35, span = 8 } = {}) {
+  if (type === 'rect') return new Float64Array(Math.round(samplesPerSymbol)).fill(1);
+  const half = Math.round(span * samplesPerSymbol);
+  const h = new Float64Array(2 * half + 1);
+  for (let n = -half; n <= half; n++) h[n + half] = pulseAt(type, n / samplesPerSymbol, rolloff);
+  return h;
+}
+
+/**
+ * Pulse-shaped baseband I/Q for a digital source. Symbol k is centred at
+ * t = (k + ½)/symbolRate; symbols are drawn until the time array is covered.
+ * User-supplied bits are repeated cyclically if they run out.
+ * @param {Float64Array} t - time array
+ * @param {object} params
+ *   symbolRate: symbols/s
+ *   modulation: MODULATIONS value (default 'qpsk')
+ *   bits:       optional bit array; otherwise seeded random bits
+ *   seed:       PRNG seed for random bits (default 1)
+ *   pulse:      PULSE_SHAPES value (default 'rrc')
+ *   rolloff:    β for rc / rrc (default 0.35)
+ *   span:       pulse truncation, ± symbols (default 8)
+ * @returns {{ I: Float64Array, Q: Float64Array,
+ *             symbols: { I: Float64Array, Q: Float64Array, values: Uint8Array },
+ *             bits: Uint8Array, symbolTimes: Float64Array }}
+ */
+export function digitalBaseband(t, {
+  symbolRate, modulation = 'qpsk', bits = null, seed = 1, pulse = 'rrc', rolloff = 0.35, span = 8,
+}) {
+  const { bitsPerSymbol } = MODULATIONS.find((m) => m.value === modulation);
+  const T = 1 / symbolRate;
+  const tEnd = t.length ? t[t.length - 1] : 0;
+  const count = Math.floor(tEnd / T) + 1;
+
+  const needed = count * bitsPerSymbol;
+  let stream;
+  if (bits && bits.length > 0) {
+    stream = new Uint8Array(needed);
+    for (let i = 0; i < needed; i++) stream[i] = bits[i % bits.length];
+  } else {
+    stream = randomBits(needed, seed);
+  }
+  const symbols = mapBits(stream, modulation);
+  const symbolTimes = new Float64Array(count);
+  for (let k = 0; k < count; k++) symbolTimes[k] = (k + 0.5) * T;
+
+  const reach = pulse === 'rect' ? 1 : span;
+  const I = new Float64Array(t.length);
+  const Q = new Float64Array(t.length);
+  for (let i = 0; i < t.length; i++) {
+    const centre = Math.floor(t[i] / T);
+    let sumI = 0, sumQ = 0;
+    for (let k = Math.max(0, centre - reach); k <= Math.min(count - 1, centre + reach); k++) {
+      const p = pulseAt(pulse, (t[i] - symbolTimes[k]) / T, rolloff);
+      sumI += p * symbols.I[k];
+      sumQ += p * symbols.Q[k];
+    }
+    I[i] = sumI;
+    Q[i] = sumQ;
+  }
+  return { I, Q, symbols, bits: stream, symbolTimes };
+}
+
+// --- Internal helpers ---
+
+function gray(n) {
+  return n ^ (n >> 1);
+}
+
+function grayInverse(g) {
+  let n = g;
+  for (let shift = 1; shift < 32; shift <<= 1) n ^= n >> shift;
+  return n;
+}
@@ -1,76 +1,190 @@
 /**
- * FFT implementation (radix-2 Cooley-Tukey).
- * Input length must be a power of 2.
+ * FFT implementation: radix-2 Cooley-Tukey for power-of-2 lengths,
+ * Bluestein (chirp-z) for every other length, so any N is transformed
+ * exactly and bin k always sits at k·sampleRate/N.
+ *
+ * Zero padding is opt-in via the `zeroPad` option of the spectrum functions
+ * ('none' | 'pow2' | integer factor). Padding interpolates between bins —
+ * the plot looks smoother but the true resolution is still sampleRate / length.
+ *
+ * fftReal / fftComplex return scaled magnitude spectra for plotting
+ * (optionally windowed, see window.js); welchReal / welchComplex return
+ * averaged-periodogram estimates of the same;
+ * fft / ifft return the full complex bins for round-trip processing.
  */
 
+import { makeWindow } from './window';
+
 const TWO_PI = 2 * Math.PI;
 
 /**
- * Compute FFT of a real signal. Returns { magnitudes, frequencies }.
+ * Compute FFT of a real signal. Returns { magnitudes, frequencies, enbwHz, oneSided }.
+ * Magnitudes are scaled by the window's coherent gain, so a tone of
+ * amplitude A reads as A at its bin. enbwHz and oneSided are what toDb
+ * needs for absolute power units.
  * @param {Float64Array} signal
  * @param {number} sampleRate
+ * @param {object} [options] - { window = 'rectangular', beta, zeroPad = 'none' }
  */
-export function fftReal(signal, sampleRate) {
-  const N = nextPow2(signal.length);
-  const re = new Float64Array(N);
-  const im = new Float64Array(N);
-  for (let i = 0; i < signal.length; i++) re[i] = signal[i];
-
-  fftInPlace(re, im, false);
-
-  const half = N / 2;
-  const magnitudes = new Float64Array(half);
-  const frequencies = new Float64Array(half);
-  const scale = 2 / N;
+export function fftReal(signal, sampleRate, { window = 'rectangular', beta, zeroPad = 'none' } = {}) {
+  const N = paddedLength(signal.length, zeroPad);
+  const w = makeWindow(window, signal.length, { beta, periodic: true });
+  const power = windowedPower(signal, null, 0, w, N);
+  return oneSided(power, w, N, sampleRate);
+}
 
-  for (let i = 0; i < half; i++) {
-    magnitudes[i] = Math.sqrt(re[i] * re[i] + im[i] * im[i]) * scale;
-    frequencies[i] = (i * sampleRate) / N;
-  }
+/**
+ * Compute FFT of complex I/Q signal. Returns { magnitudes, frequencies, enbwHz, oneSided }.
+ * Frequencies range from -sampleRate/2 to +sampleRate/2 (shifted).
+ * @param {object} [options] - { window = 'rectangular', beta, zeroPad = 'none' }
+ */
+export function fftComplex(I, Q, sampleRate, { window = 'rectangular', beta, zeroPad = 'none' } = {}) {
+  const N = paddedLength(I.length, zeroPad);
+  const w = makeWindow(window, I.length, { beta, periodic: true });
+  const power = windowedPower(I, Q, 0, w, N);
+  return twoSided(power, w, N, sampleRate);
+}
 
-  return { magnitudes, frequencies };
+/**
+ * Welch PSD estimate of a real signal: split into overlapping windowed
+ * segments, average their periodograms. Averaging K segments cuts the
+ * variance of the noise floor by ~K, at the cost of frequency resolution
+ * (bins are sampleRate / segmentLength apart).
+ *
+ * Returns { magnitudes, frequencies, segments } with the same amplitude
+ * scaling as fftReal, so tones read at the same level in both.
+ * @param {Float64Array} signal
+ * @param {number} sampleRate
+ * @param {object} [options]
+ *   window:        window type (default 'hann')
+ *   beta:          Kaiser β
+ *   segmentLength: samples per segment (default 256)
+ *   overlap:       fraction of a segment shared with the next, 0–0.9 (default 0.5)
+ *   zeroPad:       per-segment padding, as fftReal (default 'none')
+ */
+export function welchReal(signal, sampleRate, options = {}) {
+  const { power, N, w, segments } = welchPower(signal, null, options);
+  return { ...oneSided(power, w, N, sampleRate), segments };
 }
 
 /**
- * Compute FFT of complex I/Q signal. Returns { magnitudes, frequencies }.
+ * Welch PSD estimate of a complex I/Q signal. Options as welchReal.
  * Frequencies range from -sampleRate/2 to +sampleRate/2 (shifted).
  */
-export function fftComplex(I, Q, sampleRate) {
-  const N = nextPow2(I.length);
-  const re = new Float64Array(N);
-  const im = new Float64Array(N);
-  for (let i = 0; i < I.length; i++) {
-    re[i] = I[i];
-    im[i] = Q[i];
-  }
+export function welchComplex(I, Q, sampleRate, options = {}) {
+  const { power, N, w, segments } = welchPower(I, Q, options);
+  return { ...twoSided(power, w, N, sampleRate), segments };
+}
 
-  fftInPlace(re, im, false);
+/**
+ * Forward FFT of a complex signal. Returns the raw (unscaled) complex bins
+ * in natural order (DC first), along with their magnitudes and phases.
+ * @param {Float64Array} re - real part (or real signal)
+ * @param {Float64Array} [im] - imaginary part, omit for a real signal
+ * @param {number} [nfft] - transform length; input is zero-padded to it (default: input length)
+ * @returns {{ re: Float64Array, im: Float64Array, magnitudes: Float64Array, phases: Float64Array }}
+ */
+export function fft(re, im = null, nfft = re.length) {
+  const N = Math.max(nfft, re.length);
+  const outRe = new Float64Array(N);
+  const outIm = new Float64Array(N);
+  outRe.set(re);
+  if (im) outIm.set(im);
 
-  // FFT-shift: move DC to center
-  const magnitudes = new Float64Array(N);
-  const frequencies = new Float64Array(N);
-  const scale = 1 / N;
+  fftInPlace(outRe, outIm, false);
+  return withPolar(outRe, outIm);
+}
 
-  for (let i = 0; i < N; i++) {
-    const shifted = (i + N / 2) % N;
-    magnitudes[i] = Math.sqrt(re[shifted] * re[shifted] + im[shifted] * im[shifted]) * scale;
-    frequencies[i] = ((i - N / 2) * sampleRate) / N;
-  }
+/**
+ * Inverse FFT (scaled by 1/N), so ifft(fft(x)) reconstructs x exactly,
+ * for any length.
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @returns {{ re: Float64Array, im: Float64Array, magnitudes: Float64Array, phases: Float64Array }}
+ */
+export function ifft(re, im) {
+  const N = re.length;
+  const outRe = new Float64Array(N);
+  const outIm = new Float64Array(N);
+  outRe.set(re);
+  outIm.set(im);
 
-  return { magnitudes, frequencies };
+  fftInPlace(outRe, outIm, true);
+  return withPolar(outRe, outIm);
 }
 
 /**
- * Convert magnitudes to dB scale (relative to max).
+ * Rotate an FFT output so DC sits in the middle (negative frequencies first).
+ * Works for odd lengths too; undo with ifftshift.
  */
-export function toDb(magnitudes, floor = -80) {
-  let max = 0;
-  for (let i = 0; i < magnitudes.length; i++) {
-    if (magnitudes[i] > max) max = magnitudes[i];
-  }
+export function fftshift(arr) {
+  return rotate(arr, Math.ceil(arr.length / 2));
+}
+
+/**
+ * Inverse of fftshift: move DC back to index 0.
+ */
+export function ifftshift(arr) {
+  return rotate(arr, Math.floor(arr.length / 2));
+}
+
+/** Power reference units for toDb, with their axis labels. */
+export const POWER_UNITS = [
+  { value: 'relative', label: 'Relative to peak', axis: 'dB' },
+  { value: 'dBFS', label: 'dBFS (full scale)', axis: 'dBFS' },
+  { value: 'dBm', label: 'dBm (into load)', axis: 'dBm' },
+  { value: 'psd', label: 'PSD (V²/Hz)', axis: 'dB V²/Hz' },
+];
+
+/**
+ * Convert magnitudes to dB scale.
+ *
+ * With no reference, values are relative to the spectrum's own maximum
+ * (so every spectrum peaks at 0 dB). Pass a reference to get absolute levels
+ * that can be compared across spectra:
+ *   { unit: 'dBFS', fullScale }         — 20·log10(A / fullScale); a full-scale tone is 0 dBFS
+ *   { unit: 'dBm', impedance }          — tone power into `impedance` ohms, re 1 mW
+ *   { unit: 'psd', enbwHz, oneSided }   — power per Hz: bin power ÷ window ENBW
+ * `enbwHz` and `oneSided` come from the spectrum object. Magnitudes are peak
+ * amplitudes: a one-sided bin of amplitude A carries A²/2 of power, a
+ * two-sided (complex) bin carries A².
+ * @param {Float64Array} magnitudes
+ * @param {number} floor - lowest value returned, in the output unit
+ * @param {object} [reference]
+ */
+export function toDb(magnitudes, floor = -80, reference = null) {
   const db = new Float64Array(magnitudes.length);
+  const unit = reference ? reference.unit : 'relative';
+
+  if (unit === 'relative') {
+    let max = 0;
+    for (let i = 0; i < magnitudes.length; i++) {
+      if (magnitudes[i] > max) max = magnitudes[i];
+    }
+    for (let i = 0; i < magnitudes.length; i++) {
+      const val = magnitudes[i] > 0 ? 20 * Math.log10(magnitudes[i] / max) : floor;
+      db[i] = Math.max(val, floor);
+    }
+    return db;
+  }
+
+  const { fullScale = 1, impedance = 50, enbwHz = 1, oneSided = true } = reference;
+  // Power of a bin with peak amplitude A is A²·powerScale
+  const powerScale = oneSided ? 0.5 : 1;
   for (let i = 0; i < magnitudes.length; i++) {
-    const val = magnitudes[i] > 0 ? 20 * Math.log10(magnitudes[i] / max) : floor;
+    const a = magnitudes[i];
+    if (!(a > 0)) {
+      db[i] = floor;
+      continue;
+    }
+    let val;
+    if (unit === 'dBFS') {
+      val = 20 * Math.log10(a / fullScale);
+    } else if (unit === 'dBm') {
+      val = 10 * Math.log10((a * a * powerScale) / impedance / 1e-3);
+    } else {
+      val = 10 * Math.log10((a * a * powerScale) / enbwHz);
+    }
     db[i] = Math.max(val, floor);
   }
   return db;
@@ -78,13 +192,130 @@ export function toDb(magnitudes, floor = -80) {
 
 // --- Internal helpers ---
 
+function welchPower(re, im, {
+  window = 'hann', beta, segmentLength = 256, overlap = 0.5, zeroPad = 'none',
+} = {}) {
+  const L = Math.min(segmentLength, re.length);
+  const step = Math.max(1, Math.round(L * (1 - overlap)));
+  const N = paddedLength(L, zeroPad);
+  const w = makeWindow(window, L, { beta, periodic: true });
+
+  const power = new Float64Array(N);
+  let segments = 0;
+  for (let start = 0; start + L <= re.length; start += step) {
+    const p = windowedPower(re, im, start, w, N);
+    for (let k = 0; k < N; k++) power[k] += p[k];
+    segments++;
+  }
+  for (let k = 0; k < N; k++) power[k] /= segments;
+
+  return { power, N, w, segments };
+}
+
+// |FFT|² of w·x[start .. start + w.length), zero-padded to N
+function windowedPower(re, im, start, w, N) {
+  const bufRe = new Float64Array(N);
+  const bufIm = new Float64Array(N);
+  for (let i = 0; i < w.length; i++) {
+    bufRe[i] = re[start + i] * w[i];
+    if (im) bufIm[i] = im[start + i] * w[i];
+  }
+  fftInPlace(bufRe, bufIm, false);
+  const power = new Float64Array(N);
+  for (let k = 0; k < N; k++) power[k] = bufRe[k] * bufRe[k] + bufIm[k] * bufIm[k];
+  return power;
+}
+
+// Positive-frequency half (below Nyquist), doubled to account for the
+// mirrored negative half
+function oneSided(power, w, N, sampleRate) {
+  const half = Math.ceil(N / 2);
+  const magnitudes = new Float64Array(half);
+  const frequencies = new Float64Array(half);
+  const scale = 2 / sumOf(w);
+  for (let i = 0; i < half; i++) {
+    magnitudes[i] = Math.sqrt(power[i]) * scale;
+    frequencies[i] = (i * sampleRate) / N;
+  }
+  return { magnitudes, frequencies, enbwHz: enbwHz(w, sampleRate), oneSided: true };
+}
+
+// Full spectrum, FFT-shifted so DC is in the center
+function twoSided(power, w, N, sampleRate) {
+  const magnitudes = new Float64Array(N);
+  const frequencies = new Float64Array(N);
+  const scale = 1 / sumOf(w);
+  const offset = Math.ceil(N / 2);
+  for (let i = 0; i < N; i++) {
+    const shifted = (i + offset) % N;
+    magnitudes[i] = Math.sqrt(power[shifted]) * scale;
+    frequencies[i] = ((i - Math.floor(N / 2)) * sampleRate) / N;
+  }
+  return { magnitudes, frequencies, enbwHz: enbwHz(w, sampleRate), oneSided: false };
+}
+
+// Equivalent noise bandwidth of a window in Hz: fs·Σw² / (Σw)².
+// Independent of zero padding — padding adds bins, not resolution.
+function enbwHz(w, sampleRate) {
+  let sumSq = 0;
+  for (let i = 0; i < w.length; i++) sumSq += w[i] * w[i];
+  const sum = sumOf(w);
+  return (sampleRate * sumSq) / (sum * sum);
+}
+
+function sumOf(arr) {
+  let sum = 0;
+  for (let i = 0; i < arr.length; i++) sum += arr[i];
+  return sum;
+}
+
 function nextPow2(n) {
   let p = 1;
   while (p < n) p <<= 1;
   return p;
 }
 
+function paddedLength(n, zeroPad) {
+  if (zeroPad === 'pow2') return nextPow2(n);
+  if (typeof zeroPad === 'number' && zeroPad > 1) return Math.round(n * zeroPad);
+  return n;
+}
+
+function withPolar(re, im) {
+  const N = re.length;
+  const magnitudes = new Float64Array(N);
+  const phases = new Float64Array(N);
+  for (let i = 0; i < N; i++) {
+    magnitudes[i] = Math.sqrt(re[i] * re[i] + im[i] * im[i]);
+    phases[i] = Math.atan2(im[i], re[i]);
+  }
+  return { re, im, magnitudes, phases };
+}
+
+// out[i] = arr[(i + k) % N]
+function rotate(arr, k) {
+  const N = arr.length;
+  const out = new arr.constructor(N);
+  for (let i = 0; i < N; i++) out[i] = arr[(i + k) % N];
+  return out;
+}
+
 function fftInPlace(re, im, inverse) {
+  const N = re.length;
+  if (N <= 1) return;
+  if ((N & (N - 1)) === 0) radix2InPlace(re, im, inverse);
+  else bluesteinInPlace(re, im, inverse);
+
+  if (inverse) {
+    for (let i = 0; i < N; i++) {
+      re[i] /= N;
+      im[i] /= N;
+    }
+  }
+}
+
+// Unscaled radix-2 transform; N must be a power of 2
+function radix2InPlace(re, im, inverse) {
   const N = re.length;
   // Bit-reversal permutation
   for (let i = 1, j = 0; i < N; i++) {
@@ -123,11 +354,55 @@ function fftInPlace(re, im, inverse) {
       }
     }
   }
+}
 
-  if (inverse) {
-    for (let i = 0; i < N; i++) {
-      re[i] /= N;
-      im[i] /= N;
-    }
+// Unscaled Bluestein transform for arbitrary N. Rewrites the DFT as a
+// convolution with the chirp e^(±jπn²/N), evaluated with radix-2 FFTs
+// of length M ≥ 2N − 1:
+//   X[k] = w[k] · Σ (x[n]·w[n]) · conj(w[k − n]),  w[n] = e^(∓jπn²/N)
+function bluesteinInPlace(re, im, inverse) {
+  const N = re.length;
+  const M = nextPow2(2 * N - 1);
+  const sign = inverse ? 1 : -1;
+
+  // Chirp; n² is reduced mod 2N to keep the angle accurate for large n
+  const wRe = new Float64Array(N);
+  const wIm = new Float64Array(N);
+  for (let n = 0; n < N; n++) {
+    const angle = (sign * Math.PI * ((n * n) % (2 * N))) / N;
+    wRe[n] = Math.cos(angle);
+    wIm[n] = Math.sin(angle);
+  }
+
+  const aRe = new Float64Array(M);
+  const aIm = new Float64Array(M);
+  for (let n = 0; n < N; n++) {
+    aRe[n] = re[n] * wRe[n] - im[n] * wIm[n];
+    aIm[n] = re[n] * wIm[n] + im[n] * wRe[n];
+  }
+
+  const bRe = new Float64Array(M);
+  const bIm = new Float64Array(M);
+  bRe[0] = wRe[0];
+  bIm[0] = -wIm[0];
+  for (let n = 1; n < N; n++) {
+    bRe[n] = bRe[M - n] = wRe[n];
+    bIm[n] = bIm[M - n] = -wIm[n];
+  }
+
+  radix2InPlace(aRe, aIm, false);
+  radix2InPlace(bRe, bIm, false);
+  for (let k = 0; k < M; k++) {
+    const r = aRe[k] * bRe[k] - aIm[k] * bIm[k];
+    aIm[k] = aRe[k] * bIm[k] + aIm[k] * bRe[k];
+    aRe[k] = r;
+  }
+  radix2InPlace(aRe, aIm, true);
+
+  for (let k = 0; k < N; k++) {
+    const cRe = aRe[k] / M;
+    const cIm = aIm[k] / M;
+    re[k] = cRe * wRe[k] - cIm * wIm[k];
+    im[k] = cRe * wIm[k] + cIm * wRe[k];
   }
 }
@@ -1,66 +1,146 @@
 /**
- * Low-pass filter implementations.
+ * Filter implementations. Kernel design lives in fir.js; this module
+ * applies kernels to whole signals. For chunked or live input, use the
+ * stateful blocks in stream.js.
  */
 
+import { fft, ifft } from './fft';
+import { designFIR } from './fir';
+import { makeWindow } from './window';
+
+/**
+ * Kernels at least this long are applied with FFT overlap-add instead of
+ * direct convolution. Below it the direct loop is faster.
+ */
+export const FAST_CONVOLUTION_TAPS = 64;
+
 /**
  * Moving-average low-pass filter.
+ * Uses a running (prefix) sum, so cost is O(N) regardless of window size.
+ * Near the edges the window shrinks to the samples available.
  * @param {Float64Array} signal
  * @param {number} windowSize - half-width of the averaging window
  * @returns {Float64Array}
  */
 export function movingAverageLPF(signal, windowSize = 20) {
-  const out = new Float64Array(signal.length);
-  for (let i = 0; i < signal.length; i++) {
-    let sum = 0;
-    let count = 0;
+  const N = signal.length;
+  const prefix = new Float64Array(N + 1);
+  for (let i = 0; i < N; i++) prefix[i + 1] = prefix[i] + signal[i];
+
+  const out = new Float64Array(N);
+  for (let i = 0; i < N; i++) {
     const lo = Math.max(0, i - windowSize);
-    const hi = Math.min(signal.length - 1, i + windowSize);
-    for (let j = lo; j <= hi; j++) {
-      sum += signal[j];
-      count++;
-    }
-    out[i] = sum / count;
+    const hi = Math.min(N - 1, i + windowSize);
+    out[i] = (prefix[hi + 1] - prefix[lo]) / (hi - lo + 1);
   }
   return out;
 }
 
 /**
- * Windowed-sinc low-pass filter.
+ * Windowed-sinc low-pass filter (Blackman window).
  * Sharper cutoff than moving average.
  * @param {Float64Array} signal
  * @param {number} cutoffFreq - cutoff frequency in Hz
  * @param {number} sampleRate
- * @param {number} taps - filter length (odd number, higher = sharper)
+ * @param {number} taps - filter length (odd number, higher = sharper; an
+ *   even length keeps its original off-centre layout, see sincLPFKernel)
  * @returns {Float64Array}
  */
 export function sincLPF(signal, cutoffFreq, sampleRate, taps = 101) {
-  const fc = cutoffFreq / sampleRate;
-  const halfTaps = Math.floor(taps / 2);
-  const kernel = new Float64Array(taps);
+  return convolve(signal, sincLPFKernel(cutoffFreq, sampleRate, taps));
+}
 
-  // Build windowed sinc kernel
+/**
+ * The kernel sincLPF applies, for inspecting its response.
+ *
+ * An odd length is designFIR's centred kernel. An even length has no centre
+ * tap; rather than rounding it up (which would change the output), it keeps
+ * the original layout: the sinc peaks at tap taps/2, half a sample after
+ * the window's centre, and the kernel is correlated with the signal. That
+ * comes back as taps + 1 coefficients — reversed, behind a leading zero —
+ * so that convolve() reproduces it exactly.
+ * @returns {Float64Array}
+ */
+export function sincLPFKernel(cutoffFreq, sampleRate, taps = 101) {
+  if (taps % 2 === 1) {
+    return designFIR({ type: 'lowpass', cutoff: cutoffFreq, sampleRate, taps, window: 'blackman' });
+  }
+  const fc = cutoffFreq / sampleRate;
+  const halfTaps = taps / 2;
+  const w = makeWindow('blackman', taps);
+  const h = new Float64Array(taps + 1);
   let sum = 0;
   for (let i = 0; i < taps; i++) {
     const n = i - halfTaps;
-    if (n === 0) {
-      kernel[i] = 2 * Math.PI * fc;
-    } else {
-      kernel[i] = Math.sin(2 * Math.PI * fc * n) / n;
-    }
-    // Blackman window
-    kernel[i] *= 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / (taps - 1))
-      + 0.08 * Math.cos((4 * Math.PI * i) / (taps - 1));
-    sum += kernel[i];
+    const v = (n === 0 ? 2 * Math.PI * fc : Math.sin(2 * Math.PI * fc * n) / n) * w[i];
+    h[taps - i] = v;
+    sum += v;
+  }
+  for (let i = 1; i <= taps; i++) h[i] /= sum;
+  return h;
+}
+
+/**
+ * Apply an FIR kernel (e.g. from designFIR / designKaiserFIR /
+ * designEquiripple) to a signal. The output is time-aligned with the input:
+ * the kernel's group delay of (taps − 1) / 2 samples is compensated.
+ * @param {Float64Array} signal
+ * @param {Float64Array} kernel
+ * @returns {Float64Array}
+ */
+export function applyFIR(signal, kernel) {
+  return convolve(signal, kernel);
+}
+
+/**
+ * Convolve a signal with an FIR kernel, keeping the output aligned with the
+ * input ("same" mode: the kernel's center tap lines up with each sample, and
+ * the signal is zero-padded beyond both edges).
+ *
+ * Kernels with FAST_CONVOLUTION_TAPS or more taps go through FFT overlap-add,
+ * which costs O(N·log taps) instead of O(N·taps); the result matches the
+ * direct sum to within floating-point rounding.
+ * @param {Float64Array} signal
+ * @param {Float64Array} kernel
+ * @returns {Float64Array}
+ */
+export function convolve(signal, kernel) {
+  return kernel.length >= FAST_CONVOLUTION_TAPS
+    ? convolveOverlapAdd(signal, kernel)
+    : convolveDirect(signal, kernel);
+}
+
+/**
+ * FM de-emphasis: the single-pole RC low-pass (corner 1 / 2πτ) that undoes
+ * the transmitter's pre-emphasis. τ is 75 µs in the Americas and Korea
+ * (2.1 kHz corner), 50 µs elsewhere (3.2 kHz). The pole is matched to the
+ * analog one (impulse invariance), so the DC gain is exactly 1.
+ * @param {Float64Array} signal
+ * @param {number} sampleRate
+ * @param {number} tau - time constant in seconds (default 75e-6)
+ * @returns {Float64Array}
+ */
+export function deemphasis(signal, sampleRate, tau = 75e-6) {
+  const alpha = 1 - Math.exp(-1 / (sampleRate * tau));
+  const out = new Float64Array(signal.length);
+  let y = signal.length > 0 ? signal[0] : 0;
+  for (let i = 0; i < signal.length; i++) {
+    y += alpha * (signal[i] - y);
+    out[i] = y;
   }
-  // Normalize
-  for (let i = 0; i < taps; i++) kernel[i] /= sum;
+  return out;
+}
 
-  // Convolve
+// --- Internal helpers ---
+
+function convolveDirect(signal, kernel) {
+  const taps = kernel.length;
+  const halfTaps = Math.floor(taps / 2);
   const out = new Float64Array(signal.length);
   for (let i = 0; i < signal.length; i++) {
     let val = 0;
     for (let j = 0; j < taps; j++) {
-      const idx = i - halfTaps + j;
+      const idx = i + halfTaps - j;
       if (idx >= 0 && idx < signal.length) {
         val += signal[idx] * kernel[j];
       }
@@ -69,3 +149,39 @@ export function sincLPF(signal, cutoffFreq, sampleRate, taps = 101) {
   }
   return out;
 }
+
+// Overlap-add: split the signal into blocks of B samples, convolve each block
+// with the kernel via FFT (linear convolution fits in nfft ≥ B + taps − 1),
+// and add the overlapping tails together.
+function convolveOverlapAdd(signal, kernel) {
+  const N = signal.length;
+  const taps = kernel.length;
+  const halfTaps = Math.floor(taps / 2);
+
+  let nfft = 1;
+  while (nfft < 4 * taps) nfft <<= 1;
+  const B = nfft - taps + 1;
+
+  const H = fft(kernel, null, nfft);
+  const full = new Float64Array(N + taps - 1);
+  const block = new Float64Array(nfft);
+
+  for (let start = 0; start < N; start += B) {
+    const len = Math.min(B, N - start);
+    block.fill(0);
+    block.set(signal.subarray(start, start + len));
+
+    const X = fft(block);
+    for (let k = 0; k < nfft; k++) {
+      const re = X.re[k] * H.re[k] - X.im[k] * H.im[k];
+      X.im[k] = X.re[k] * H.im[k] + X.im[k] * H.re[k];
+      X.re[k] = re;
+    }
+    const y = ifft(X.re, X.im).re;
+
+    const end = Math.min(len + taps - 1, full.length - start);
+    for (let i = 0; i < end; i++) full[start + i] += y[i];
+  }
+
+  return full.slice(halfTaps, halfTaps + N);
+}
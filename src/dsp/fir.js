@@ -0,0 +1,404 @@
+/**
+ * FIR filter design.
+ *
+ * Every designer returns a linear-phase kernel (Float64Array, odd length,
+ * symmetric about the center tap, antisymmetric for designHilbert) ready
+ * for applyFIR in filter.js.
+ * Frequencies are given in Hz together with the sample rate.
+ *
+ *   designFIR          — windowed-sinc LP / HP / BP / BS with a chosen window
+ *   kaiserParams       — tap count and β from ripple / attenuation / transition specs
+ *   designKaiserFIR    — windowed-sinc design driven by those specs
+ *   designEquiripple   — Parks-McClellan (Remez exchange) optimal design
+ *   remez              — the underlying equiripple solver on normalized bands
+ *   designHilbert      — 90° phase shifter (Hilbert transformer)
+ *   firResponse        — magnitude / phase / group delay of a kernel
+ *   responseCrossing   — first frequency where a response falls to a given level
+ */
+
+import { makeWindow } from './window';
+
+const TWO_PI = 2 * Math.PI;
+
+/** Filter response types, in display order. */
+export const FILTER_TYPES = [
+  { value: 'lowpass', label: 'Low-pass' },
+  { value: 'highpass', label: 'High-pass' },
+  { value: 'bandpass', label: 'Band-pass' },
+  { value: 'bandstop', label: 'Band-stop' },
+];
+
+/**
+ * Windowed-sinc FIR design.
+ * @param {object} spec
+ *   type:       'lowpass' | 'highpass' | 'bandpass' | 'bandstop'
+ *   cutoff:     Hz for LP/HP, [low, high] Hz for BP/BS
+ *   sampleRate: Hz
+ *   taps:       kernel length; rounded up to odd (HP/BS need a center tap)
+ *   window:     window type (default 'blackman', see window.js)
+ *   beta:       Kaiser β when window is 'kaiser'
+ * @returns {Float64Array} kernel with unity gain at the passband center
+ */
+export function designFIR({ type = 'lowpass', cutoff, sampleRate, taps = 101, window = 'blackman', beta }) {
+  const N = taps | 1;
+  const w = makeWindow(window, N, { beta });
+  const [f1, f2] = normalizedEdges(type, cutoff, sampleRate);
+
+  const h = new Float64Array(N);
+  if (type === 'lowpass' || type === 'highpass') {
+    const lp = idealLowpass(f1, N);
+    for (let i = 0; i < N; i++) h[i] = lp[i] * w[i];
+    normalizeAt(h, 0);
+    if (type === 'highpass') spectralInvert(h);
+  } else {
+    const lo = idealLowpass(f1, N);
+    const hi = idealLowpass(f2, N);
+    for (let i = 0; i < N; i++) h[i] = (hi[i] - lo[i]) * w[i];
+    normalizeAt(h, (f1 + f2) / 2);
+    if (type === 'bandstop') spectralInvert(h);
+  }
+  return h;
+}
+
+/**
+ * Kaiser's empirical formulas: the tap count and β that meet a spec.
+ * @param {object} spec
+ *   ripple:          max passband ripple, dB peak-to-peak (e.g. 0.1)
+ *   attenuation:     min stopband attenuation, dB (e.g. 60)
+ *   transitionWidth: Hz between passband and stopband edges
+ *   sampleRate:      Hz
+ * @returns {{ taps: number, beta: number, attenuation: number }}
+ *   attenuation is the effective figure after folding in the ripple spec
+ */
+export function kaiserParams({ ripple = 0.1, attenuation = 60, transitionWidth, sampleRate }) {
+  // Windowed designs have equal passband and stopband deviation, so the
+  // tighter of the two specs sets the attenuation the window must reach
+  const lin = Math.pow(10, ripple / 20);
+  const deltaPass = (lin - 1) / (lin + 1);
+  const deltaStop = Math.pow(10, -attenuation / 20);
+  const A = -20 * Math.log10(Math.min(deltaPass, deltaStop));
+
+  let beta = 0;
+  if (A > 50) beta = 0.1102 * (A - 8.7);
+  else if (A >= 21) beta = 0.5842 * Math.pow(A - 21, 0.4) + 0.07886 * (A - 21);
+
+  const dw = (TWO_PI * transitionWidth) / sampleRate;
+  const taps = Math.max(3, Math.ceil((A - 7.95) / (2.285 * dw)) + 1) | 1;
+  return { taps, beta, attenuation: A };
+}
+
+/**
+ * Spec-driven Kaiser-window design: picks the tap count and β itself.
+ * Cutoffs sit in the middle of each transition band.
+ * @param {object} spec - designFIR's type / cutoff / sampleRate plus
+ *   kaiserParams' ripple / attenuation / transitionWidth
+ * @returns {Float64Array}
+ */
+export function designKaiserFIR({ type = 'lowpass', cutoff, sampleRate, ripple, attenuation, transitionWidth }) {
+  const { taps, beta } = kaiserParams({ ripple, attenuation, transitionWidth, sampleRate });
+  return designFIR({ type, cutoff, sampleRate, taps, window: 'kaiser', beta });
+}
+
+/**
+ * Parks-McClellan equiripple design. Cutoffs sit in the middle of each
+ * transition band, like designKaiserFIR, so the two are directly comparable.
+ * @param {object} spec
+ *   type, cutoff, sampleRate, taps: as designFIR
+ *   transitionWidth: Hz
+ *   stopbandWeight:  error weight of stopbands relative to passbands (default 1);
+ *                    larger trades passband ripple for stopband attenuation
+ * @returns {Float64Array}
+ */
+export function designEquiripple({
+  type = 'lowpass', cutoff, sampleRate, taps = 101, transitionWidth, stopbandWeight = 1,
+}) {
+  const [f1, f2] = normalizedEdges(type, cutoff, sampleRate);
+  const tw = transitionWidth / sampleRate / 2;
+  const clamp = (f) => Math.min(0.5, Math.max(0, f));
+
+  let bands, desired;
+  if (type === 'lowpass' || type === 'highpass') {
+    bands = [[0, clamp(f1 - tw)], [clamp(f1 + tw), 0.5]];
+    desired = type === 'lowpass' ? [1, 0] : [0, 1];
+  } else {
+    bands = [[0, clamp(f1 - tw)], [clamp(f1 + tw), clamp(f2 - tw)], [clamp(f2 + tw), 0.5]];
+    desired = type === 'bandpass' ? [0, 1, 0] : [1, 0, 1];
+  }
+  const weights = desired.map((d) => (d === 0 ? stopbandWeight : 1));
+  return remez(taps | 1, bands, desired, weights);
+}
+
+/**
+ * Remez exchange for an odd-length, symmetric (type I) FIR.
+ * Minimizes the maximum weighted error between the filter's amplitude
+ * response and a piecewise-constant target.
+ *
+ * Double precision limits the attainable error to roughly 1e-6 (−120 dB):
+ * specs that would go deeper than that (very long kernels with wide
+ * transition bands) stop converging — use designKaiserFIR for those.
+ * @param {number} taps - odd kernel length
+ * @param {Array<[number, number]>} bands - band edges in cycles/sample (0 to 0.5)
+ * @param {number[]} desired - target amplitude per band
+ * @param {number[]} [weights] - error weight per band (default all 1)
+ * @returns {Float64Array}
+ */
+export function remez(taps, bands, desired, weights = bands.map(() => 1)) {
+  const N = taps | 1;
+  const M = (N - 1) / 2;
+  const r = M + 1; // number of cosine basis functions
+
+  // Dense grid over the bands (no points inside transition bands)
+  const grid = [];
+  const totalWidth = bands.reduce((acc, [lo, hi]) => acc + (hi - lo), 0);
+  const spacing = totalWidth / (16 * r);
+  bands.forEach(([lo, hi], b) => {
+    const count = Math.max(2, Math.ceil((hi - lo) / spacing) + 1);
+    for (let i = 0; i < count; i++) {
+      grid.push({ f: lo + ((hi - lo) * i) / (count - 1), d: desired[b], w: weights[b], band: b });
+    }
+  });
+  const G = grid.length;
+  const x = grid.map((g) => Math.cos(TWO_PI * g.f));
+
+  // Initial guess: r + 1 extremal frequencies spread evenly over the grid
+  let ext = [];
+  for (let k = 0; k <= r; k++) ext.push(Math.round((k * (G - 1)) / r));
+
+  // Keep the best fit seen, in case the exchange starts to wander
+  let best = null;
+  for (let iter = 0; iter < 40; iter++) {
+    const fit = fitAlternation(ext, x, grid);
+
+    const err = new Float64Array(G);
+    let maxErr = 0;
+    for (let i = 0; i < G; i++) {
+      err[i] = grid[i].w * (grid[i].d - fit.evaluate(x[i]));
+      maxErr = Math.max(maxErr, Math.abs(err[i]));
+    }
+    if (!best || maxErr < best.maxErr) best = { fit, maxErr };
+
+    // Converged once the true peak error equals the levelled error δ
+    if (maxErr - Math.abs(fit.delta) <= 1e-6 * maxErr) break;
+    const next = findExtremals(err, grid, r + 1);
+    if (!next) break;
+    ext = next;
+  }
+  const interp = best.fit;
+
+  // Sample the amplitude response at N points and invert the cosine series
+  const A = new Float64Array(M + 1);
+  for (let k = 0; k <= M; k++) A[k] = interp.evaluate(Math.cos((TWO_PI * k) / N));
+  const h = new Float64Array(N);
+  for (let n = 0; n <= M; n++) {
+    let sum = A[0];
+    for (let k = 1; k <= M; k++) sum += 2 * A[k] * Math.cos((TWO_PI * k * (n - M)) / N);
+    h[n] = h[N - 1 - n] = sum / N;
+  }
+  return h;
+}
+
+/**
+ * Windowed Hilbert transformer: shifts every frequency by −90°, so cos
+ * becomes sin. Paired with the (equally delayed) original it forms a
+ * one-sided, analytic signal. The ideal response h[k] = 2/(πk) for odd k
+ * and 0 for even k is antisymmetric, so the phase is exactly −90° at every
+ * frequency; only the magnitude falls short, near DC and Nyquist, over a
+ * band that narrows as the kernel grows.
+ * @param {object} [spec]
+ *   taps:   kernel length, rounded up to odd (default 101)
+ *   window: window type (default 'blackman', see window.js)
+ *   beta:   Kaiser β when window is 'kaiser'
+ * @returns {Float64Array}
+ */
+export function designHilbert({ taps = 101, window = 'blackman', beta } = {}) {
+  const N = taps | 1;
+  const center = (N - 1) / 2;
+  const w = makeWindow(window, N, { beta });
+  const h = new Float64Array(N);
+  for (let n = 0; n < N; n++) {
+    const k = n - center;
+    if (k % 2 !== 0) h[n] = (2 / (Math.PI * k)) * w[n];
+  }
+  return h;
+}
+
+/**
+ * Frequency response of an FIR kernel, evaluated directly (no FFT) so the
+ * grid can zoom into any band.
+ * @param {Float64Array} kernel
+ * @param {number} sampleRate
+ * @param {object} [options]
+ *   points:  number of frequencies (default 512)
+ *   maxFreq: upper end of the grid in Hz (default sampleRate / 2)
+ * @returns {{ frequencies, magnitudeDb, phase, groupDelay }}
+ *   phase is unwrapped (radians); groupDelay is in samples, null where
+ *   |H| is too small for the ratio to mean anything
+ */
+export function firResponse(kernel, sampleRate, { points = 512, maxFreq = sampleRate / 2 } = {}) {
+  const frequencies = new Float64Array(points);
+  const magnitudeDb = new Float64Array(points);
+  const phase = new Float64Array(points);
+  const groupDelay = new Array(points);
+
+  let prevPhase = 0;
+  let offset = 0;
+  for (let k = 0; k < points; k++) {
+    const f = (k * maxFreq) / (points - 1);
+    const w = (TWO_PI * f) / sampleRate;
+    // H(w) = Σ h[n]·e^(−jwn); group delay = Re{ Σ n·h[n]·e^(−jwn) / H(w) }
+    let re = 0, im = 0, nRe = 0, nIm = 0;
+    for (let n = 0; n < kernel.length; n++) {
+      const c = Math.cos(w * n);
+      const s = Math.sin(w * n);
+      re += kernel[n] * c;
+      im -= kernel[n] * s;
+      nRe += n * kernel[n] * c;
+      nIm -= n * kernel[n] * s;
+    }
+    const mag2 = re * re + im * im;
+    frequencies[k] = f;
+    magnitudeDb[k] = 10 * Math.log10(mag2 + 1e-30);
+
+    const raw = Math.atan2(im, re);
+    if (k > 0) {
+      const jump = raw - prevPhase;
+      if (jump > Math.PI) offset -= TWO_PI;
+      else if (jump < -Math.PI) offset += TWO_PI;
+    }
+    prevPhase = raw;
+    phase[k] = raw + offset;
+
+    groupDelay[k] = mag2 > 1e-12 ? (nRe * re + nIm * im) / mag2 : null;
+  }
+  return { frequencies, magnitudeDb, phase, groupDelay };
+}
+
+/**
+ * First frequency (Hz, linearly interpolated) where a response from
+ * firResponse drops to `levelDb` relative to its DC gain, or null if it
+ * never does within the evaluated grid.
+ */
+export function responseCrossing({ frequencies, magnitudeDb }, levelDb) {
+  const target = magnitudeDb[0] + levelDb;
+  for (let k = 1; k < frequencies.length; k++) {
+    if (magnitudeDb[k] <= target) {
+      const frac = (magnitudeDb[k - 1] - target) / (magnitudeDb[k - 1] - magnitudeDb[k]);
+      return frequencies[k - 1] + frac * (frequencies[k] - frequencies[k - 1]);
+    }
+  }
+  return null;
+}
+
+// --- Internal helpers ---
+
+// Cutoffs in cycles/sample; LP/HP use only the first
+function normalizedEdges(type, cutoff, sampleRate) {
+  if (type === 'lowpass' || type === 'highpass') return [cutoff / sampleRate, 0];
+  return [cutoff[0] / sampleRate, cutoff[1] / sampleRate];
+}
+
+// Ideal (unwindowed) low-pass impulse response, centered
+function idealLowpass(fc, N) {
+  const half = Math.floor(N / 2);
+  const h = new Float64Array(N);
+  for (let i = 0; i < N; i++) {
+    const n = i - half;
+    h[i] = n === 0 ? 2 * fc : Math.sin(TWO_PI * fc * n) / (Math.PI * n);
+  }
+  return h;
+}
+
+// Scale so |H(f)| = 1 at normalized frequency f
+function normalizeAt(h, f) {
+  let re = 0, im = 0;
+  for (let n = 0; n < h.length; n++) {
+    re += h[n] * Math.cos(TWO_PI * f * n);
+    im -= h[n] * Math.sin(TWO_PI * f * n);
+  }
+  const gain = Math.sqrt(re * re + im * im);
+  for (let n = 0; n < h.length; n++) h[n] /= gain;
+}
+
+// h → δ − h: swaps passband and stopband of a unity-gain design
+function spectralInvert(h) {
+  for (let n = 0; n < h.length; n++) h[n] = -h[n];
+  h[Math.floor(h.length / 2)] += 1;
+}
+
+// Solve for the alternating error δ on the current extremal set and return
+// a barycentric Lagrange interpolant of the amplitude response.
+function fitAlternation(ext, x, grid) {
+  const xs = ext.map((i) => x[i]);
+  const b = baryWeights(xs);
+
+  let num = 0, den = 0;
+  for (let k = 0; k < ext.length; k++) {
+    const sign = k % 2 === 0 ? 1 : -1;
+    num += b[k] * grid[ext[k]].d;
+    den += (sign * b[k]) / grid[ext[k]].w;
+  }
+  const delta = num / den;
+
+  // Interpolate through the first r points; the last one is implied
+  const nodes = xs.slice(0, -1);
+  const values = nodes.map((_, k) => {
+    const sign = k % 2 === 0 ? 1 : -1;
+    return grid[ext[k]].d - (sign * delta) / grid[ext[k]].w;
+  });
+  const d = baryWeights(nodes);
+
+  const evaluate = (xv) => {
+    let n = 0, s = 0;
+    for (let k = 0; k < nodes.length; k++) {
+      const diff = xv - nodes[k];
+      if (Math.abs(diff) < 1e-14) return values[k];
+      const t = d[k] / diff;
+      n += t * values[k];
+      s += t;
+    }
+    return n / s;
+  };
+  return { delta, evaluate };
+}
+
+// Barycentric weights 1/Π(x_k − x_j); factors of 2 keep the product in range
+function baryWeights(xs) {
+  return xs.map((xk, k) => {
+    let p = 1;
+    for (let j = 0; j < xs.length; j++) if (j !== k) p *= 2 * (xk - xs[j]);
+    return 1 / p;
+  });
+}
+
+// Pick `count` alternating local extrema of the error, or null if there are too few
+function findExtremals(err, grid, count) {
+  const G = err.length;
+  let cand = [];
+  for (let i = 0; i < G; i++) {
+    const prevSame = i > 0 && grid[i - 1].band === grid[i].band;
+    const nextSame = i < G - 1 && grid[i + 1].band === grid[i].band;
+    const a = Math.abs(err[i]);
+    const geqPrev = !prevSame || a >= Math.abs(err[i - 1]) || Math.sign(err[i - 1]) !== Math.sign(err[i]);
+    const geqNext = !nextSame || a >= Math.abs(err[i + 1]) || Math.sign(err[i + 1]) !== Math.sign(err[i]);
+    if (geqPrev && geqNext && err[i] !== 0) cand.push(i);
+  }
+
+  // Collapse runs of equal sign to their largest member
+  const alt = [];
+  for (const i of cand) {
+    const last = alt[alt.length - 1];
+    if (last !== undefined && Math.sign(err[last]) === Math.sign(err[i])) {
+      if (Math.abs(err[i]) > Math.abs(err[last])) alt[alt.length - 1] = i;
+    } else {
+      alt.push(i);
+    }
+  }
+  cand = alt;
+
+  // Too many: drop the smaller end until the count fits (keeps alternation)
+  while (cand.length > count) {
+    if (Math.abs(err[cand[0]]) < Math.abs(err[cand[cand.length - 1]])) cand.shift();
+    else cand.pop();
+  }
+  return cand.length === count ? cand : null;
+}
@@ -0,0 +1,455 @@
+/**
+ * IIR filter design and filtering with cascaded second-order sections.
+ *
+ * Design goes the classic route: an analog prototype (poles/zeros normalized
+ * to 1 rad/s) → frequency scaling to the pre-warped cutoff → bilinear
+ * transform to the z-plane → pairing into biquads. Second-order sections
+ * keep high-order designs numerically stable, where a single direct-form
+ * polynomial would not be.
+ *
+ * A section is { b: [b0, b1, b2], a: [1, a1, a2] }:
+ *   H(z) = (b0 + b1·z⁻¹ + b2·z⁻²) / (1 + a1·z⁻¹ + a2·z⁻²)
+ */
+
+const TWO_PI = 2 * Math.PI;
+
+/** IIR families, in display order. */
+export const IIR_FAMILIES = [
+  { value: 'butterworth', label: 'Butterworth' },
+  { value: 'chebyshev1', label: 'Chebyshev I' },
+  { value: 'chebyshev2', label: 'Chebyshev II' },
+  { value: 'elliptic', label: 'Elliptic' },
+];
+
+/**
+ * Design an IIR low-pass or high-pass filter.
+ *
+ * Where the cutoff sits depends on the family:
+ *   butterworth — −3 dB point
+ *   chebyshev1  — passband edge (response leaves the ripple band)
+ *   chebyshev2  — stopband edge (response reaches the attenuation floor)
+ *   elliptic    — passband edge
+ * @param {object} spec
+ *   family:      'butterworth' | 'chebyshev1' | 'chebyshev2' | 'elliptic'
+ *   type:        'lowpass' | 'highpass' (default 'lowpass')
+ *   order:       filter order (number of poles)
+ *   cutoff:      Hz
+ *   sampleRate:  Hz
+ *   ripple:      passband ripple in dB (Chebyshev I, elliptic; default 1)
+ *   attenuation: stopband attenuation in dB (Chebyshev II, elliptic; default 60)
+ * @returns {{ sos: object[], zeros: object[], poles: object[], gain: number }}
+ *   zeros/poles are z-plane points { re, im } for a pole-zero plot
+ */
+export function designIIR({
+  family = 'butterworth', type = 'lowpass', order = 4, cutoff, sampleRate, ripple = 1, attenuation = 60,
+}) {
+  const proto = analogPrototype(family, order, ripple, attenuation);
+  const warped = 2 * sampleRate * Math.tan((Math.PI * cutoff) / sampleRate);
+  const analog = type === 'highpass' ? lowpassToHighpass(proto, warped) : lowpassToLowpass(proto, warped);
+  const digital = bilinear(analog, sampleRate);
+  return { ...digital, sos: zpkToSos(digital) };
+}
+
+/**
+ * Causal IIR filtering through a cascade of sections
+ * (transposed direct form II).
+ * @param {Float64Array} signal
+ * @param {object[]} sos
+ * @returns {Float64Array}
+ */
+export function sosFilter(signal, sos) {
+  return runSections(signal, sos, null);
+}
+
+/**
+ * Zero-phase filtering: run the cascade forward, then backward over the
+ * reversed output. Phase shifts cancel, the magnitude response is squared.
+ * Edges are extended by odd reflection and the filter state starts at its
+ * steady state for the edge value, which keeps start-up transients small.
+ * @param {Float64Array} signal
+ * @param {object[]} sos
+ * @returns {Float64Array}
+ */
+export function sosFiltFilt(signal, sos) {
+  const N = signal.length;
+  if (N === 0) return new Float64Array(0);
+  const pad = Math.max(0, Math.min(N - 1, 3 * (2 * sos.length + 1)));
+
+  // Odd extension: 2·x[0] − x[pad..1], x, 2·x[N−1] − x[N−2..N−1−pad]
+  const ext = new Float64Array(N + 2 * pad);
+  for (let i = 0; i < pad; i++) ext[i] = 2 * signal[0] - signal[pad - i];
+  ext.set(signal, pad);
+  for (let i = 0; i < pad; i++) ext[pad + N + i] = 2 * signal[N - 1] - signal[N - 2 - i];
+
+  const zi = steadyState(sos);
+  const fwd = runSections(ext, sos, scaleState(zi, ext[0]));
+  fwd.reverse();
+  const back = runSections(fwd, sos, scaleState(zi, fwd[0]));
+  back.reverse();
+  return back.slice(pad, pad + N);
+}
+
+/**
+ * Largest pole radius: the cascade is stable when this is below 1.
+ * @param {object[]} poles - z-plane points { re, im }
+ */
+export function maxPoleRadius(poles) {
+  let r = 0;
+  for (const p of poles) r = Math.max(r, Math.hypot(p.re, p.im));
+  return r;
+}
+
+/**
+ * Frequency response of a section cascade, in the same shape as
+ * firResponse in fir.js: { frequencies, magnitudeDb, phase, groupDelay }.
+ * @param {object[]} sos
+ * @param {number} sampleRate
+ * @param {object} [options] - { points = 512, maxFreq = sampleRate / 2 }
+ */
+export function sosResponse(sos, sampleRate, { points = 512, maxFreq = sampleRate / 2 } = {}) {
+  const frequencies = new Float64Array(points);
+  const magnitudeDb = new Float64Array(points);
+  const phase = new Float64Array(points);
+  const groupDelay = new Array(points);
+
+  let prevPhase = 0;
+  let offset = 0;
+  for (let k = 0; k < points; k++) {
+    const f = (k * maxFreq) / (points - 1);
+    const w = (TWO_PI * f) / sampleRate;
+    let re = 1, im = 0, tau = 0, tiny = false;
+    for (const { b, a } of sos) {
+      const num = polyAt(b, w);
+      const den = polyAt(a, w);
+      const hr = (num.re * den.re + num.im * den.im) / (den.re * den.re + den.im * den.im);
+      const hi = (num.im * den.re - num.re * den.im) / (den.re * den.re + den.im * den.im);
+      const r = re * hr - im * hi;
+      im = re * hi + im * hr;
+      re = r;
+      if (num.mag2 < 1e-24) tiny = true;
+      else tau += num.delay - den.delay;
+    }
+    frequencies[k] = f;
+    magnitudeDb[k] = 10 * Math.log10(re * re + im * im + 1e-30);
+
+    const raw = Math.atan2(im, re);
+    if (k > 0) {
+      const jump = raw - prevPhase;
+      if (jump > Math.PI) offset -= TWO_PI;
+      else if (jump < -Math.PI) offset += TWO_PI;
+    }
+    prevPhase = raw;
+    phase[k] = raw + offset;
+    groupDelay[k] = tiny ? null : tau;
+  }
+  return { frequencies, magnitudeDb, phase, groupDelay };
+}
+
+/**
+ * First `length` samples of the cascade's impulse response.
+ */
+export function sosImpulseResponse(sos, length = 200) {
+  const impulse = new Float64Array(length);
+  impulse[0] = 1;
+  return sosFilter(impulse, sos);
+}
+
+// --- Internal helpers ---
+
+// Complex helpers on { re, im }
+const cx = (re, im = 0) => ({ re, im });
+const cadd = (a, b) => cx(a.re + b.re, a.im + b.im);
+const csub = (a, b) => cx(a.re - b.re, a.im - b.im);
+const cmul = (a, b) => cx(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const cdiv = (a, b) => {
+  const d = b.re * b.re + b.im * b.im;
+  return cx((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+};
+const cscale = (a, s) => cx(a.re * s, a.im * s);
+const cprod = (arr) => arr.reduce(cmul, cx(1));
+const conj = (a) => cx(a.re, -a.im);
+
+// Analog low-pass prototype with a 1 rad/s cutoff: { zeros, poles, gain }
+function analogPrototype(family, N, rp, rs) {
+  const poles = [];
+  const zeros = [];
+  let gain = 1;
+
+  if (family === 'butterworth') {
+    for (let k = 0; k < N; k++) {
+      const theta = (Math.PI * (2 * k + N + 1)) / (2 * N);
+      poles.push(cx(Math.cos(theta), Math.sin(theta)));
+    }
+    gain = 1;
+  } else if (family === 'chebyshev1') {
+    const eps = Math.sqrt(Math.pow(10, rp / 10) - 1);
+    const mu = Math.asinh(1 / eps) / N;
+    for (let k = 0; k < N; k++) {
+      const theta = (Math.PI * (2 * k + 1)) / (2 * N);
+      poles.push(cx(-Math.sinh(mu) * Math.sin(theta), Math.cosh(mu) * Math.cos(theta)));
+    }
+    gain = cprod(poles.map((p) => cscale(p, -1))).re;
+    if (N % 2 === 0) gain /= Math.sqrt(1 + eps * eps);
+  } else if (family === 'chebyshev2') {
+    const de = 1 / Math.sqrt(Math.pow(10, rs / 10) - 1);
+    const mu = Math.asinh(1 / de) / N;
+    for (let m = -N + 1; m < N; m += 2) {
+      const theta = (Math.PI * m) / (2 * N);
+      if (m !== 0) zeros.push(cx(0, 1 / Math.sin(theta)));
+      // Chebyshev I pole shape, inverted
+      const p = cx(-Math.sinh(mu) * Math.cos(theta), -Math.cosh(mu) * Math.sin(theta));
+      poles.push(cdiv(cx(1), p));
+    }
+    gain = cdiv(cprod(poles.map((p) => cscale(p, -1))), cprod(zeros.map((z) => cscale(z, -1)))).re;
+  } else {
+    return ellipticPrototype(N, rp, rs);
+  }
+  return { zeros, poles, gain };
+}
+
+// Elliptic (Cauer) prototype: equiripple in both bands. Follows the
+// classic construction via Jacobi elliptic functions and the degree equation.
+function ellipticPrototype(N, rp, rs) {
+  const epsSq = Math.pow(10, rp / 10) - 1;
+  const eps = Math.sqrt(epsSq);
+  if (N === 1) {
+    const p = -Math.sqrt(1 / epsSq);
+    return { zeros: [], poles: [cx(p)], gain: -p };
+  }
+
+  const ck1Sq = epsSq / (Math.pow(10, rs / 10) - 1);
+  const m = ellipticDegree(N, ck1Sq);
+  const capK = ellipK(m);
+
+  const zeros = [];
+  const snList = [];
+  for (let j = 1 - (N % 2); j < N; j += 2) {
+    const { sn, cn, dn } = jacobi((j * capK) / N, m);
+    snList.push({ sn, cn, dn });
+    if (Math.abs(sn) > 1e-14) {
+      const z = 1 / (Math.sqrt(m) * sn);
+      zeros.push(cx(0, z), cx(0, -z));
+    }
+  }
+
+  // v0 solves sc(v0·N·K1 / K, 1 − m1) relation for the pole offset
+  const r = ellipF(Math.atan(1 / eps), 1 - ck1Sq);
+  const v0 = (capK * r) / (N * ellipK(ck1Sq));
+  const { sn: sv, cn: cv, dn: dv } = jacobi(v0, 1 - m);
+
+  const poles = [];
+  for (const { sn: s, cn: c, dn: d } of snList) {
+    const den = 1 - (d * sv) * (d * sv);
+    const p = cx(-(c * d * sv * cv) / den, -(s * dv) / den);
+    if (Math.abs(p.im) > 1e-12 * Math.hypot(p.re, p.im)) poles.push(p, conj(p));
+    else poles.push(cx(p.re));
+  }
+
+  let gain = cdiv(cprod(poles.map((p) => cscale(p, -1))), cprod(zeros.map((z) => cscale(z, -1)))).re;
+  if (N % 2 === 0) gain /= Math.sqrt(1 + epsSq);
+  return { zeros, poles, gain };
+}
+
+// Solve the elliptic degree equation for m given order n and m1, via nomes
+function ellipticDegree(n, m1) {
+  const q1 = Math.exp((-Math.PI * ellipK(1 - m1)) / ellipK(m1));
+  const q = Math.pow(q1, 1 / n);
+  let num = 0, den = 1;
+  for (let k = 0; k <= 7; k++) num += Math.pow(q, k * (k + 1));
+  for (let k = 1; k <= 8; k++) den += 2 * Math.pow(q, k * k);
+  return 16 * q * Math.pow(num / den, 4);
+}
+
+// Complete elliptic integral of the first kind K(m), via the AGM
+function ellipK(m) {
+  let a = 1, b = Math.sqrt(1 - m);
+  for (let i = 0; i < 40 && Math.abs(a - b) > 1e-15 * a; i++) {
+    const an = (a + b) / 2;
+    b = Math.sqrt(a * b);
+    a = an;
+  }
+  return Math.PI / (2 * a);
+}
+
+// Incomplete elliptic integral of the first kind F(φ | m), via Carlson's R_F
+function ellipF(phi, m) {
+  const s = Math.sin(phi);
+  const c = Math.cos(phi);
+  return s * carlsonRF(c * c, 1 - m * s * s, 1);
+}
+
+function carlsonRF(x, y, z) {
+  for (let i = 0; i < 100; i++) {
+    const lambda = Math.sqrt(x * y) + Math.sqrt(y * z) + Math.sqrt(z * x);
+    x = (x + lambda) / 4;
+    y = (y + lambda) / 4;
+    z = (z + lambda) / 4;
+    const mean = (x + y + z) / 3;
+    if (Math.max(Math.abs(x - mean), Math.abs(y - mean), Math.abs(z - mean)) < 1e-12 * mean) break;
+  }
+  const mean = (x + y + z) / 3;
+  const dx = 1 - x / mean, dy = 1 - y / mean, dz = 1 - z / mean;
+  const e2 = dx * dy - dz * dz;
+  const e3 = dx * dy * dz;
+  return (1 - e2 / 10 + e3 / 14 + (e2 * e2) / 24 - (3 * e2 * e3) / 44) / Math.sqrt(mean);
+}
+
+// Jacobi elliptic functions sn, cn, dn (descending Landen / AGM method)
+function jacobi(u, m) {
+  if (m < 1e-12) return { sn: Math.sin(u), cn: Math.cos(u), dn: 1 };
+  const a = [1];
+  const c = [Math.sqrt(m)];
+  let b = Math.sqrt(1 - m);
+  let n = 0;
+  while (Math.abs(c[n]) > 1e-15 && n < 30) {
+    a.push((a[n] + b) / 2);
+    c.push((a[n] - b) / 2);
+    b = Math.sqrt(a[n] * b);
+    n++;
+  }
+  let phi = Math.pow(2, n) * a[n] * u;
+  for (let k = n; k > 0; k--) {
+    phi = (phi + Math.asin((c[k] / a[k]) * Math.sin(phi))) / 2;
+  }
+  const sn = Math.sin(phi);
+  const cn = Math.cos(phi);
+  return { sn, cn, dn: Math.sqrt(1 - m * sn * sn) };
+}
+
+function lowpassToLowpass({ zeros, poles, gain }, wo) {
+  const degree = poles.length - zeros.length;
+  return {
+    zeros: zeros.map((z) => cscale(z, wo)),
+    poles: poles.map((p) => cscale(p, wo)),
+    gain: gain * Math.pow(wo, degree),
+  };
+}
+
+// s → wo / s; zeros at infinity move to the origin
+function lowpassToHighpass({ zeros, poles, gain }, wo) {
+  const degree = poles.length - zeros.length;
+  const hpZeros = zeros.map((z) => cdiv(cx(wo), z));
+  for (let i = 0; i < degree; i++) hpZeros.push(cx(0));
+  const ratio = cdiv(cprod(zeros.map((z) => cscale(z, -1))), cprod(poles.map((p) => cscale(p, -1))));
+  return { zeros: hpZeros, poles: poles.map((p) => cdiv(cx(wo), p)), gain: gain * ratio.re };
+}
+
+// s = 2·fs·(z − 1)/(z + 1); zeros at infinity land on z = −1
+function bilinear({ zeros, poles, gain }, fs) {
+  const fs2 = cx(2 * fs);
+  const degree = poles.length - zeros.length;
+  const dZeros = zeros.map((z) => cdiv(cadd(fs2, z), csub(fs2, z)));
+  for (let i = 0; i < degree; i++) dZeros.push(cx(-1));
+  const dPoles = poles.map((p) => cdiv(cadd(fs2, p), csub(fs2, p)));
+  const ratio = cdiv(cprod(zeros.map((z) => csub(fs2, z))), cprod(poles.map((p) => csub(fs2, p))));
+  return { zeros: dZeros, poles: dPoles, gain: gain * ratio.re };
+}
+
+// Split points into conjugate pairs (one representative, im > 0) and reals
+function splitConjugates(points) {
+  const complex = [];
+  const real = [];
+  for (const p of points) {
+    if (Math.abs(p.im) <= 1e-10 * Math.max(1, Math.hypot(p.re, p.im))) real.push(p.re);
+    else if (p.im > 0) complex.push(p);
+  }
+  return { complex, real };
+}
+
+// Group roots into quadratic factors [1, c1, c2] (or linear [1, c1, 0])
+function quadraticGroups(points) {
+  const { complex, real } = splitConjugates(points);
+  const groups = complex.map((p) => ({ coeffs: [1, -2 * p.re, p.re * p.re + p.im * p.im], at: p }));
+  real.sort((a, b) => Math.abs(b) - Math.abs(a));
+  for (let i = 0; i < real.length; i += 2) {
+    if (i + 1 < real.length) {
+      const [r1, r2] = [real[i], real[i + 1]];
+      groups.push({ coeffs: [1, -(r1 + r2), r1 * r2], at: cx(r1) });
+    } else {
+      groups.push({ coeffs: [1, -real[i], 0], at: cx(real[i]) });
+    }
+  }
+  return groups;
+}
+
+// Pair each pole group with the nearest zero group, poles closest to the
+// unit circle first; order sections from the least to the most resonant
+function zpkToSos({ zeros, poles, gain }) {
+  const poleGroups = quadraticGroups(poles);
+  const zeroGroups = quadraticGroups(zeros);
+  const radius = (g) => Math.hypot(g.at.re, g.at.im);
+  poleGroups.sort((g1, g2) => radius(g2) - radius(g1));
+
+  const sections = [];
+  for (const pg of poleGroups) {
+    let best = -1;
+    let bestDist = Infinity;
+    zeroGroups.forEach((zg, i) => {
+      const d = Math.hypot(zg.at.re - pg.at.re, zg.at.im - pg.at.im);
+      if (d < bestDist) {
+        bestDist = d;
+        best = i;
+      }
+    });
+    const b = best >= 0 ? zeroGroups.splice(best, 1)[0].coeffs : [1, 0, 0];
+    sections.push({ b: [...b], a: [...pg.coeffs] });
+  }
+  // Zeros left without a pole partner (more zeros than poles never happens
+  // for the designs above, but keep the cascade complete)
+  for (const zg of zeroGroups) sections.push({ b: [...zg.coeffs], a: [1, 0, 0] });
+
+  sections.reverse();
+  if (sections.length === 0) sections.push({ b: [1, 0, 0], a: [1, 0, 0] });
+  sections[0].b = sections[0].b.map((v) => v * gain);
+  return sections;
+}
+
+// Transposed direct form II; `state` is one [z1, z2] per section (or null)
+function runSections(signal, sos, state) {
+  let x = signal;
+  sos.forEach(({ b, a }, s) => {
+    const y = new Float64Array(x.length);
+    let z1 = state ? state[s][0] : 0;
+    let z2 = state ? state[s][1] : 0;
+    for (let i = 0; i < x.length; i++) {
+      const xi = x[i];
+      const yi = b[0] * xi + z1;
+      z1 = b[1] * xi - a[1] * yi + z2;
+      z2 = b[2] * xi - a[2] * yi;
+      y[i] = yi;
+    }
+    x = y;
+  });
+  return x;
+}
+
+// Per-section state for a unit step that has been applied forever
+function steadyState(sos) {
+  let level = 1;
+  return sos.map(({ b, a }) => {
+    const out = (level * (b[0] + b[1] + b[2])) / (a[0] + a[1] + a[2]);
+    const z2 = b[2] * level - a[2] * out;
+    const z1 = b[1] * level - a[1] * out + z2;
+    level = out;
+    return [z1, z2];
+  });
+}
+
+function scaleState(zi, x0) {
+  return zi.map(([z1, z2]) => [z1 * x0, z2 * x0]);
+}
+
+// Σ c[n]·e^(−jwn), its squared magnitude, and its group delay contribution
+function polyAt(c, w) {
+  let re = 0, im = 0, nRe = 0, nIm = 0;
+  for (let n = 0; n < c.length; n++) {
+    const cs = Math.cos(w * n);
+    const sn = Math.sin(w * n);
+    re += c[n] * cs;
+    im -= c[n] * sn;
+    nRe += n * c[n] * cs;
+    nIm -= n * c[n] * sn;
+  }
+  const mag2 = re * re + im * im;
+  return { re, im, mag2, delay: mag2 > 0 ? (nRe * re + nIm * im) / mag2 : 0 };
+}
@@ -9,6 +9,12 @@
  *   output = I·cos(2π·fc·t) - Q·sin(2π·fc·t)
  */
 
+import { deemphasis, applyFIR } from './filter';
+import { designHilbert, designKaiserFIR } from './fir';
+import { resampleRate } from './resample';
+import { digitalBaseband } from './digital';
+import { loPhase } from './oscillator';
+
 const TWO_PI = 2 * Math.PI;
 
 /**
@@ -31,6 +37,11 @@ export function generateTimeArray(sampleRate, duration) {
  *
  * Modulated types (carrier + modulating signal):
  *   - am, fm, chirp
+ *   - ssb: a two-tone message (modulatingFreq, and 2·modulatingFreq at half
+ *     amplitude) so the spectrum's orientation is visible
+ *
+ * Digital types (carrier + pulse-shaped symbol stream, see digital.js):
+ *   - digital, psk, qam (test sources with root-raised-cosine pulses)
  *
  * @param {string} type
  * @param {Float64Array} t - time array
@@ -38,6 +49,10 @@ export function generateTimeArray(sampleRate, duration) {
  *   Simple:    { frequency, amplitude }
  *   AM/FM:     { carrierFreq, modulatingFreq, modulationIndex }
  *   Chirp:     { carrierFreq, chirpEndFreq }
+ *   SSB:       { carrierFreq, modulatingFreq, sideband, method } (see ssbModulate)
+ *   Digital:   { carrierFreq, symbolRate, modulation, bits | seed, pulse, rolloff }
+ *   PSK:       { carrierFreq, symbolRate, order (2, 4 or 8), rolloff, seed }
+ *   QAM:       { carrierFreq, symbolRate, order (4, 16 or 64), rolloff, seed }
  */
 export function generateSignal(type, t, params) {
   const signal = new Float64Array(t.length);
@@ -114,6 +129,45 @@ export function generateSignal(type, t, params) {
       break;
     }
 
+    case 'ssb': {
+      const { carrierFreq, modulatingFreq, sideband = 'usb', method = 'phasing' } = params;
+      // The sample rate comes from the time step, so a lone sample has none
+      if (t.length < 2) break;
+      const message = ssbTestMessage(t, modulatingFreq);
+      const sampleRate = 1 / (t[1] - t[0]);
+      // The filter method's transition band has to fit between the
+      // sidebands, which sit 2·modulatingFreq apart
+      signal.set(ssbModulate(message, t, carrierFreq, sampleRate, {
+        sideband, method, transitionWidth: modulatingFreq,
+      }));
+      break;
+    }
+
+    // ---- Digital signals ----
+
+    case 'digital': {
+      const { carrierFreq, ...digital } = params;
+      const { I, Q } = digitalBaseband(t, digital);
+      signal.set(upconvert(I, Q, t, carrierFreq));
+      break;
+    }
+
+    case 'psk': {
+      const { carrierFreq, symbolRate, order = 4, rolloff = 0.35, seed = 1 } = params;
+      const modulation = { 2: 'bpsk', 4: 'qpsk', 8: '8psk' }[order];
+      const { I, Q } = digitalBaseband(t, { symbolRate, modulation, seed, pulse: 'rrc', rolloff });
+      signal.set(upconvert(I, Q, t, carrierFreq));
+      break;
+    }
+
+    case 'qam': {
+      const { carrierFreq, symbolRate, order = 16, rolloff = 0.35, seed = 1 } = params;
+      const modulation = { 4: 'qpsk', 16: '16qam', 64: '64qam' }[order];
+      const { I, Q } = digitalBaseband(t, { symbolRate, modulation, seed, pulse: 'rrc', rolloff });
+      signal.set(upconvert(I, Q, t, carrierFreq));
+      break;
+    }
+
     default:
       break;
   }
@@ -123,15 +177,47 @@ export function generateSignal(type, t, params) {
 
 /**
  * Downconvert a real signal to I/Q (baseband).
+ *
+ * The local oscillator can be mistuned to model a real receiver: with a
+ * frequency offset Δf the baseband constellation spins at −Δf, with a phase
+ * offset it is rotated by −φ. Drift makes the spin speed up over time, and
+ * phase noise (see oscillator.js) jitters the rotation randomly.
+ *
+ * The analog branches can be mismatched too. A gain imbalance ε makes the
+ * Q branch ε dB hotter than I; a quadrature error ψ leaves the two LO
+ * phases 90° + ψ apart instead of 90°. Either one leaks a mirror image of
+ * the signal to the opposite frequency. DC offsets (LO leakage mixing with
+ * itself) add a constant to a branch: a spike at 0 Hz.
+ * @param {Float64Array} signal
+ * @param {Float64Array} t - time array
+ * @param {number} carrierFreq - Hz
+ * @param {object} [options]
+ *   frequencyOffset: LO frequency error Δf, Hz (default 0)
+ *   phaseOffset:     LO phase error φ, radians (default 0)
+ *   drift:           LO frequency drift, Hz/s (default 0)
+ *   phaseNoise:      LO phase noise mask, dBc/Hz at offsets, as
+ *                    PHASE_NOISE_MASKS (default none)
+ *   seed:            phase noise PRNG seed (default 1)
+ *   gainImbalance:   Q gain relative to I, dB (default 0)
+ *   quadratureError: ψ, radians (default 0)
+ *   dcOffsetI:       added to I (default 0)
+ *   dcOffsetQ:       added to Q (default 0)
+ * @returns {{ I: Float64Array, Q: Float64Array }}
  */
-export function downconvert(signal, t, carrierFreq) {
+export function downconvert(signal, t, carrierFreq, {
+  frequencyOffset = 0, phaseOffset = 0, drift = 0, phaseNoise = null, seed = 1,
+  gainImbalance = 0, quadratureError = 0, dcOffsetI = 0, dcOffsetQ = 0,
+} = {}) {
   const I = new Float64Array(signal.length);
   const Q = new Float64Array(signal.length);
+  const lo = loPhase(t, carrierFreq, { frequencyOffset, drift, phaseOffset, phaseNoise, seed });
+  // Split both errors evenly between the branches
+  const gainI = 10 ** (-gainImbalance / 40);
+  const gainQ = 10 ** (gainImbalance / 40);
 
   for (let i = 0; i < signal.length; i++) {
-    const phase = TWO_PI * carrierFreq * t[i];
-    I[i] = signal[i] * Math.cos(phase);
-    Q[i] = signal[i] * -Math.sin(phase);
+    I[i] = gainI * signal[i] * Math.cos(lo[i] - quadratureError / 2) + dcOffsetI;
+    Q[i] = gainQ * signal[i] * -Math.sin(lo[i] + quadratureError / 2) + dcOffsetQ;
   }
 
   return { I, Q };
@@ -139,13 +225,20 @@ export function downconvert(signal, t, carrierFreq) {
 
 /**
  * Upconvert I/Q back to a real signal.
+ * @param {Float64Array} I
+ * @param {Float64Array} Q
+ * @param {Float64Array} t - time array
+ * @param {number} carrierFreq - Hz
+ * @param {object} [options] - the transmit LO's frequencyOffset, drift,
+ *   phaseOffset, phaseNoise and seed, as downconvert
+ * @returns {Float64Array}
  */
-export function upconvert(I, Q, t, carrierFreq) {
+export function upconvert(I, Q, t, carrierFreq, options = {}) {
   const output = new Float64Array(I.length);
+  const lo = loPhase(t, carrierFreq, options);
 
   for (let i = 0; i < I.length; i++) {
-    const phase = TWO_PI * carrierFreq * t[i];
-    output[i] = I[i] * Math.cos(phase) - Q[i] * Math.sin(phase);
+    output[i] = I[i] * Math.cos(lo[i]) - Q[i] * Math.sin(lo[i]);
   }
 
   return output;
@@ -173,6 +266,232 @@ export function phase(I, Q) {
   return ph;
 }
 
+/** AM detectors, in display order. */
+export const AM_DETECTORS = [
+  { value: 'envelope', label: 'Envelope' },
+  { value: 'synchronous', label: 'Synchronous' },
+  { value: 'squareLaw', label: 'Square-law' },
+];
+
+/**
+ * AM detection from baseband I/Q. Returns the raw detector output, DC
+ * (carrier) term included.
+ *
+ *   'envelope'    — magnitude(): √(I² + Q²) = |1 + m·x(t)|. Exact while the
+ *                   envelope stays positive; above 100% modulation it
+ *                   folds the negative excursions back up.
+ *   'synchronous' — multiply by an LO locked to the carrier, i.e. project
+ *                   I/Q onto the carrier phase: 1 + m·x(t) with its sign
+ *                   kept, so overmodulation is recovered intact. The lock
+ *                   is taken from the carrier phasor (the I/Q average),
+ *                   which is where a carrier-tracking loop would settle.
+ *   'squareLaw'   — I² + Q² = (1 + m·x)²: cheap (a diode in its square-law
+ *                   region) but adds a second harmonic of m/4 relative to
+ *                   the fundamental even below 100%.
+ * @param {Float64Array} I
+ * @param {Float64Array} Q
+ * @param {string} [method] - one of AM_DETECTORS values (default 'envelope')
+ * @returns {Float64Array}
+ */
+export function amDemodulate(I, Q, method = 'envelope') {
+  if (method === 'squareLaw') {
+    const out = new Float64Array(I.length);
+    for (let i = 0; i < I.length; i++) out[i] = I[i] * I[i] + Q[i] * Q[i];
+    return out;
+  }
+  if (method === 'synchronous') {
+    let sumI = 0, sumQ = 0;
+    for (let i = 0; i < I.length; i++) {
+      sumI += I[i];
+      sumQ += Q[i];
+    }
+    const lo = Math.atan2(sumQ, sumI);
+    const c = Math.cos(lo);
+    const s = Math.sin(lo);
+    const out = new Float64Array(I.length);
+    for (let i = 0; i < I.length; i++) out[i] = I[i] * c + Q[i] * s;
+    return out;
+  }
+  return magnitude(I, Q);
+}
+
+/**
+ * Remove the 2π jumps atan2 introduces, so phase is continuous.
+ */
+export function unwrapPhase(ph) {
+  const out = new Float64Array(ph.length);
+  let offset = 0;
+  for (let i = 0; i < ph.length; i++) {
+    if (i > 0) {
+      const jump = ph[i] - ph[i - 1];
+      if (jump > Math.PI) offset -= TWO_PI;
+      else if (jump < -Math.PI) offset += TWO_PI;
+    }
+    out[i] = ph[i] + offset;
+  }
+  return out;
+}
+
+/**
+ * FM discriminator: instantaneous frequency in Hz, f = (1/2π)·dφ/dt.
+ *
+ *   'phase' — differentiate the unwrapped phase() from sample to sample
+ *   'polar' — angle of x[n]·conj(x[n−1]); needs no unwrapping and is
+ *             insensitive to amplitude, so it is what most receivers use
+ *
+ * Both agree while the phase moves less than π per sample, i.e. while the
+ * instantaneous frequency stays inside ±sampleRate/2.
+ * @param {Float64Array} I
+ * @param {Float64Array} Q
+ * @param {number} sampleRate
+ * @param {string} [method] - 'phase' | 'polar' (default 'polar')
+ * @returns {Float64Array}
+ */
+export function fmDiscriminator(I, Q, sampleRate, method = 'polar') {
+  const N = I.length;
+  const freq = new Float64Array(N);
+  const scale = sampleRate / TWO_PI;
+
+  if (method === 'phase') {
+    const ph = unwrapPhase(phase(I, Q));
+    for (let i = 1; i < N; i++) freq[i] = (ph[i] - ph[i - 1]) * scale;
+  } else {
+    for (let i = 1; i < N; i++) {
+      const re = I[i] * I[i - 1] + Q[i] * Q[i - 1];
+      const im = Q[i] * I[i - 1] - I[i] * Q[i - 1];
+      freq[i] = Math.atan2(im, re) * scale;
+    }
+  }
+  // No previous sample for the first one: hold the second
+  if (N > 1) freq[0] = freq[1];
+  return freq;
+}
+
+/**
+ * Broadcast FM receiver back end: discriminator → de-emphasis → audio rate.
+ *
+ * The discriminator output is the multiplex (MPX) baseband: mono L+R up to
+ * 15 kHz, the 19 kHz stereo pilot, L−R around 38 kHz and RDS at 57 kHz.
+ * Resampling to the default 32 kHz audio rate puts Nyquist at 16 kHz, so
+ * the resampler's anti-aliasing filter keeps only the mono audio.
+ * @param {Float64Array} I
+ * @param {Float64Array} Q
+ * @param {number} sampleRate - rate of the I/Q input, Hz
+ * @param {object} [options]
+ *   method:    discriminator, 'phase' | 'polar' (default 'polar')
+ *   tau:       de-emphasis time constant in seconds, 75e-6 or 50e-6
+ *              (default 75e-6; 0 disables)
+ *   deviation: peak deviation in Hz that maps to audio ±1 (default 75 kHz)
+ *   audioRate: Hz (default 32000)
+ * @returns {{ mpx: Float64Array, audio: Float64Array, audioRate: number }}
+ *   mpx is the raw discriminator output in Hz, at the input rate
+ */
+export function fmDemodulate(I, Q, sampleRate, {
+  method = 'polar', tau = 75e-6, deviation = 75000, audioRate = 32000,
+} = {}) {
+  const mpx = fmDiscriminator(I, Q, sampleRate, method);
+  const normalized = mpx.map((f) => f / deviation);
+  const flat = tau > 0 ? deemphasis(normalized, sampleRate, tau) : normalized;
+  const { signal: audio } = resampleRate(flat, sampleRate, audioRate);
+  return { mpx, audio, audioRate };
+}
+
+/** SSB sidebands, in display order. */
+export const SSB_SIDEBANDS = [
+  { value: 'usb', label: 'Upper (USB)' },
+  { value: 'lsb', label: 'Lower (LSB)' },
+];
+
+/** SSB generation methods, in display order. */
+export const SSB_METHODS = [
+  { value: 'phasing', label: 'Phasing (Hilbert)' },
+  { value: 'filter', label: 'Sideband filter' },
+];
+
+/**
+ * Two-tone SSB test message: cos(2π·f·t) + ½·cos(2π·2f·t), scaled so the
+ * SSB envelope peaks at 1. The unequal tones show which way round the
+ * spectrum is.
+ * @returns {Float64Array}
+ */
+export function ssbTestMessage(t, modulatingFreq) {
+  return t.map((ti) => (2 / 3) * (Math.cos(TWO_PI * modulatingFreq * ti)
+    + 0.5 * Math.cos(TWO_PI * 2 * modulatingFreq * ti)));
+}
+
+/**
+ * Single-sideband modulation: send only one of the two mirror-image
+ * sidebands of m(t)·cos(2π·fc·t), in half the bandwidth of AM.
+ *
+ *   phasing — s = m·cos(2π·fc·t) ∓ m̂·sin(2π·fc·t), where m̂ is the Hilbert
+ *             transform of m; the unwanted sideband cancels between the
+ *             two products (− keeps the upper sideband, + the lower)
+ *   filter  — form the double sideband 2·m·cos(2π·fc·t) and cut the unwanted
+ *             half away with a sharp high-pass (USB) or low-pass (LSB) at
+ *             fc; its transition band has to fit in the gap the message
+ *             leaves around DC
+ * @param {Float64Array} message
+ * @param {Float64Array} t - time array
+ * @param {number} carrierFreq - Hz
+ * @param {number} sampleRate - Hz
+ * @param {object} [options]
+ *   sideband:        SSB_SIDEBANDS value (default 'usb')
+ *   method:          SSB_METHODS value (default 'phasing')
+ *   hilbertTaps:     Hilbert transformer length (default 201: about 40 dB
+ *                    of sideband rejection down to sampleRate / 100, falling
+ *                    off quickly below)
+ *   transitionWidth: sideband filter transition, Hz (default fc / 10)
+ *   attenuation:     sideband filter stopband, dB (default 50)
+ * @returns {Float64Array}
+ */
+export function ssbModulate(message, t, carrierFreq, sampleRate, {
+  sideband = 'usb', method = 'phasing', hilbertTaps = 201,
+  transitionWidth = carrierFreq / 10, attenuation = 50,
+} = {}) {
+  const out = new Float64Array(message.length);
+
+  if (method === 'filter') {
+    for (let i = 0; i < message.length; i++) {
+      out[i] = 2 * message[i] * Math.cos(TWO_PI * carrierFreq * t[i]);
+    }
+    const kernel = designKaiserFIR({
+      type: sideband === 'lsb' ? 'lowpass' : 'highpass',
+      cutoff: carrierFreq,
+      sampleRate,
+      ripple: 0.1,
+      attenuation,
+      transitionWidth,
+    });
+    return applyFIR(out, kernel);
+  }
+
+  const mHat = applyFIR(message, designHilbert({ taps: hilbertTaps }));
+  const sign = sideband === 'lsb' ? 1 : -1;
+  for (let i = 0; i < message.length; i++) {
+    const phase = TWO_PI * carrierFreq * t[i];
+    out[i] = message[i] * Math.cos(phase) + sign * mHat[i] * Math.sin(phase);
+  }
+  return out;
+}
+
+/**
+ * SSB demodulation from low-pass filtered baseband I/Q (the phasing
+ * receiver): audio = I ∓ Ĥ{Q}. The Hilbert transform lines Q up with I so
+ * the chosen sideband adds and the other cancels; choose the wrong one and
+ * the signal cancels instead.
+ * @param {Float64Array} I
+ * @param {Float64Array} Q
+ * @param {object} [options]
+ *   sideband:    SSB_SIDEBANDS value (default 'usb')
+ *   hilbertTaps: Hilbert transformer length (default 201)
+ * @returns {Float64Array} audio, at the message's original amplitude
+ */
+export function ssbDemodulate(I, Q, { sideband = 'usb', hilbertTaps = 201 } = {}) {
+  const qHat = applyFIR(Q, designHilbert({ taps: hilbertTaps }));
+  const sign = sideband === 'lsb' ? 1 : -1;
+  return I.map((v, i) => v + sign * qHat[i]);
+}
+
 /**
  * Downsample time-domain signals for chart rendering.
  */
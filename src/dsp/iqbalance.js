@@ -0,0 +1,103 @@
+/**
+ * I/Q imbalance and DC offset: estimation and correction.
+ *
+ * An analog quadrature mixer never has perfectly matched branches. With the
+ * Q branch g times hotter than I and its LO ψ off quadrature, the received
+ * baseband is
+ *
+ *   I = cos φ,  Q = g · sin(φ − ψ)    (plus a DC offset on each)
+ *
+ * for a signal at phase φ. That is a mix of the wanted signal and its
+ * complex conjugate — a mirror image at the opposite frequency. The image
+ * rejection ratio (IRR) is how far below the signal that image sits.
+ *
+ * The estimator here is blind: it needs no pilot, only a signal whose I and
+ * Q would carry equal, uncorrelated power if the mixer were perfect — true
+ * of FM, digital modulation and noise, but not of a tone sitting at DC or
+ * an AM signal with the LO in phase (their Q is simply empty). Removing the
+ * means takes out the DC offset; the power ratio gives g and the I·Q
+ * correlation gives ψ; correction is a Gram-Schmidt step that makes Q
+ * orthogonal to I again.
+ */
+
+/**
+ * Image rejection ratio of a mixer with gain ratio g and quadrature error ψ.
+ *   IRR = (1 + 2g·cos ψ + g²) / (1 − 2g·cos ψ + g²)
+ * @param {number} gainImbalanceDb - 20·log10(g)
+ * @param {number} quadratureError - ψ, radians
+ * @returns {number} dB (Infinity for a perfect mixer)
+ */
+export function imageRejectionDb(gainImbalanceDb, quadratureError) {
+  const g = 10 ** (gainImbalanceDb / 20);
+  const c = 2 * g * Math.cos(quadratureError);
+  return 10 * Math.log10((1 + c + g * g) / (1 - c + g * g));
+}
+
+/**
+ * Blind estimate of DC offsets, gain imbalance and quadrature error.
+ * @param {Float64Array} I
+ * @param {Float64Array} Q
+ * @param {object} [options]
+ *   skip: samples to leave out at each end, e.g. filter edge transients
+ *         (default 0)
+ * @returns {{ dcI: number, dcQ: number, gainImbalanceDb: number,
+ *             quadratureError: number, irrDb: number, power: number,
+ *             dcDb: number }}
+ *   quadratureError in radians; power: signal power with DC removed;
+ *   dcDb: DC power relative to it
+ */
+export function estimateIqImbalance(I, Q, { skip = 0 } = {}) {
+  const start = Math.min(skip, Math.floor(I.length / 2));
+  const end = I.length - start;
+  const N = Math.max(1, end - start);
+
+  let dcI = 0, dcQ = 0;
+  for (let i = start; i < end; i++) {
+    dcI += I[i] / N;
+    dcQ += Q[i] / N;
+  }
+  let pI = 0, pQ = 0, cross = 0;
+  for (let i = start; i < end; i++) {
+    const a = I[i] - dcI;
+    const b = Q[i] - dcQ;
+    pI += (a * a) / N;
+    pQ += (b * b) / N;
+    cross += (a * b) / N;
+  }
+
+  const g = Math.sqrt(pQ / pI) || 1;
+  const quadratureError = -Math.asin(Math.max(-1, Math.min(1, cross / Math.sqrt(pI * pQ) || 0)));
+  const gainImbalanceDb = 20 * Math.log10(g);
+  return {
+    dcI,
+    dcQ,
+    gainImbalanceDb,
+    quadratureError,
+    irrDb: imageRejectionDb(gainImbalanceDb, quadratureError),
+    power: pI + pQ,
+    dcDb: 10 * Math.log10((dcI * dcI + dcQ * dcQ) / (pI + pQ)),
+  };
+}
+
+/**
+ * Undo an estimated imbalance: subtract the DC offsets, rescale Q to I's
+ * level and remove the part of Q that leaked in from I.
+ *   Q' = (Q/g + I·sin ψ) / cos ψ
+ * @param {Float64Array} I
+ * @param {Float64Array} Q
+ * @param {object} estimate - from estimateIqImbalance
+ * @returns {{ I: Float64Array, Q: Float64Array }}
+ */
+export function correctIqImbalance(I, Q, { dcI, dcQ, gainImbalanceDb, quadratureError }) {
+  const g = 10 ** (gainImbalanceDb / 20);
+  const s = Math.sin(quadratureError);
+  const c = Math.cos(quadratureError);
+  const outI = new Float64Array(I.length);
+  const outQ = new Float64Array(Q.length);
+  for (let i = 0; i < I.length; i++) {
+    const a = I[i] - dcI;
+    outI[i] = a;
+    outQ[i] = ((Q[i] - dcQ) / g + a * s) / c;
+  }
+  return { I: outI, Q: outQ };
+}
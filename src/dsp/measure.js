@@ -0,0 +1,233 @@
+/**
+ * Signal quality measurements.
+ */
+
+import { constellation } from './digital';
+
+const TWO_PI = 2 * Math.PI;
+
+/**
+ * Least-squares fit of a tone at a known frequency (the IEEE 1057
+ * three-parameter sine fit): signal ≈ offset + amplitude·cos(2π·f·t + phase).
+ * Everything the fit cannot explain — harmonics, noise, clipping — is the
+ * residual, so the residual-to-tone ratio is a THD+N figure.
+ * @param {Float64Array} signal
+ * @param {number} frequency - Hz
+ * @param {number} sampleRate - Hz
+ * @param {object} [options]
+ *   skip: samples to ignore at each edge, e.g. filter transients (default 0)
+ * @returns {{ amplitude, phase, offset, fitted: Float64Array,
+ *             distortionPct, sinadDb }}
+ *   fitted covers the whole signal; distortionPct is 100·rms(residual) /
+ *   rms(tone) and sinadDb is the same ratio inverted, in dB
+ */
+export function toneFit(signal, frequency, sampleRate, { skip = 0 } = {}) {
+  const start = Math.min(skip, Math.floor(signal.length / 2));
+  const end = signal.length - start;
+  const w = (TWO_PI * frequency) / sampleRate;
+
+  // Normal equations for x ≈ a·cos(wn) + b·sin(wn) + c
+  let cc = 0, ss = 0, cs = 0, c1 = 0, s1 = 0, n1 = 0;
+  let xc = 0, xs = 0, x1 = 0;
+  for (let n = start; n < end; n++) {
+    const c = Math.cos(w * n);
+    const s = Math.sin(w * n);
+    cc += c * c; ss += s * s; cs += c * s;
+    c1 += c; s1 += s; n1 += 1;
+    xc += signal[n] * c; xs += signal[n] * s; x1 += signal[n];
+  }
+  const [a, b, offset] = solve3(
+    [[cc, cs, c1], [cs, ss, s1], [c1, s1, n1]],
+    [xc, xs, x1],
+  );
+
+  const fitted = new Float64Array(signal.length);
+  for (let n = 0; n < signal.length; n++) fitted[n] = a * Math.cos(w * n) + b * Math.sin(w * n) + offset;
+
+  let residual = 0;
+  for (let n = start; n < end; n++) residual += (signal[n] - fitted[n]) ** 2;
+  const amplitude = Math.hypot(a, b);
+  const toneRms = amplitude / Math.SQRT2;
+  const residualRms = Math.sqrt(residual / Math.max(1, end - start));
+  const ratio = toneRms > 0 ? residualRms / toneRms : Infinity;
+
+  return {
+    amplitude,
+    phase: Math.atan2(-b, a),
+    offset,
+    fitted,
+    distortionPct: 100 * ratio,
+    sinadDb: -20 * Math.log10(ratio),
+  };
+}
+
+/**
+ * Error statistics of received symbols against a scheme's ideal
+ * constellation, decision-directed: each symbol is compared with the ideal
+ * point nearest to it.
+ *
+ * The received symbols are first fitted with an affine model
+ * r ≈ M·d + o (a 2×2 matrix and an origin offset). M's two columns are
+ * where the ideal I and Q axes land, which gives the gain imbalance (ratio
+ * of their lengths) and the quadrature error (their angle minus 90°); o is
+ * the IQ (origin) offset. The error vector is what is left after removing
+ * only the overall gain and rotation g, so it includes offset, imbalance
+ * and noise, as on an instrument:
+ *
+ *   e = r − g·d,  EVM = rms|e| / |g|,  MER = Σ|g·d|² / Σ|e|²
+ *
+ * EVM is normalized to the constellation's RMS amplitude. A loop that is
+ * not locked makes the decisions meaningless, and so the numbers too.
+ * @param {ArrayLike<number>} I - one sample per symbol
+ * @param {ArrayLike<number>} Q
+ * @param {string} scheme - MODULATIONS value (see digital.js)
+ * @returns {{ evmRmsPct, evmRmsDb, evmPeakPct, evmPeakDb, merDb, iqOffsetDb,
+ *             gainImbalanceDb, quadratureErrorDeg, errorI: Float64Array,
+ *             errorQ: Float64Array, decisions: Uint8Array,
+ *             equalizedI: Float64Array, equalizedQ: Float64Array }}
+ *   errorI/Q are per symbol, in units of the ideal constellation;
+ *   equalizedI/Q are the symbols with M and o undone. BPSK has no Q axis,
+ *   so its gain imbalance and quadrature error are null; so are they for
+ *   fewer than 3 symbols, too few to fit M and o.
+ */
+export function constellationError(I, Q, scheme) {
+  const points = constellation(scheme);
+  const N = I.length;
+  const decisions = new Uint8Array(N);
+  const hasQ = scheme !== 'bpsk';
+
+  // Start from unit power, then alternate decisions and model fits
+  let power = 0;
+  for (let k = 0; k < N; k++) power += I[k] * I[k] + Q[k] * Q[k];
+  const norm = Math.sqrt(power / Math.max(1, N)) || 1;
+  let M = [[norm, 0], [0, norm]];
+  let offset = [0, 0];
+  const equalizedI = new Float64Array(N);
+  const equalizedQ = new Float64Array(N);
+
+  for (let pass = 0; pass < 3; pass++) {
+    const det = M[0][0] * M[1][1] - M[0][1] * M[1][0] || 1;
+    for (let k = 0; k < N; k++) {
+      const x = I[k] - offset[0];
+      const y = Q[k] - offset[1];
+      equalizedI[k] = (M[1][1] * x - M[0][1] * y) / det;
+      equalizedQ[k] = (M[0][0] * y - M[1][0] * x) / det;
+      decisions[k] = nearest(points, equalizedI[k], equalizedQ[k]);
+    }
+    ({ M, offset } = fitAffine(I, Q, decisions, points, hasQ));
+    // BPSK never excites the Q axis: model it as the I axis turned 90°
+    if (!hasQ) M = [[M[0][0], -M[1][0]], [M[1][0], M[0][0]]];
+  }
+
+  // Overall complex gain: g = Σ r·d* / Σ|d|²
+  let gRe = 0, gIm = 0, dPow = 0;
+  for (let k = 0; k < N; k++) {
+    const { I: dI, Q: dQ } = points[decisions[k]];
+    gRe += I[k] * dI + Q[k] * dQ;
+    gIm += Q[k] * dI - I[k] * dQ;
+    dPow += dI * dI + dQ * dQ;
+  }
+  gRe /= dPow || 1;
+  gIm /= dPow || 1;
+  const gMag2 = gRe * gRe + gIm * gIm || 1;
+
+  const errorI = new Float64Array(N);
+  const errorQ = new Float64Array(N);
+  let errPow = 0, peak = 0, refPow = 0;
+  for (let k = 0; k < N; k++) {
+    const { I: dI, Q: dQ } = points[decisions[k]];
+    const eRe = I[k] - (gRe * dI - gIm * dQ);
+    const eIm = Q[k] - (gRe * dQ + gIm * dI);
+    // Derotate into the ideal constellation's frame
+    errorI[k] = (eRe * gRe + eIm * gIm) / gMag2;
+    errorQ[k] = (eIm * gRe - eRe * gIm) / gMag2;
+    const e2 = errorI[k] * errorI[k] + errorQ[k] * errorQ[k];
+    errPow += e2;
+    refPow += dI * dI + dQ * dQ;
+    if (e2 > peak) peak = e2;
+  }
+  const evmRms = Math.sqrt(errPow / Math.max(1, N));
+  const evmPeak = Math.sqrt(peak);
+
+  // Axis images from the affine fit, when there were enough symbols to make one
+  const fitted = hasQ && N >= 3;
+  const axisI = Math.hypot(M[0][0], M[1][0]);
+  const axisQ = Math.hypot(M[0][1], M[1][1]);
+  const angle = Math.atan2(
+    M[0][0] * M[1][1] - M[1][0] * M[0][1],
+    M[0][0] * M[0][1] + M[1][0] * M[1][1],
+  );
+
+  return {
+    evmRmsPct: 100 * evmRms,
+    evmRmsDb: 20 * Math.log10(evmRms),
+    evmPeakPct: 100 * evmPeak,
+    evmPeakDb: 20 * Math.log10(evmPeak),
+    merDb: 10 * Math.log10(refPow / errPow),
+    iqOffsetDb: 20 * Math.log10(Math.hypot(offset[0], offset[1]) / Math.sqrt(gMag2)),
+    gainImbalanceDb: fitted ? 20 * Math.log10(axisI / axisQ) : null,
+    quadratureErrorDeg: fitted ? (angle * 180) / Math.PI - 90 : null,
+    errorI,
+    errorQ,
+    decisions,
+    equalizedI,
+    equalizedQ,
+  };
+}
+
+// --- Internal helpers ---
+
+function nearest(points, x, y) {
+  let best = 0;
+  let bestDist = Infinity;
+  for (let v = 0; v < points.length; v++) {
+    const dist = (points[v].I - x) ** 2 + (points[v].Q - y) ** 2;
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = v;
+    }
+  }
+  return best;
+}
+
+// Least-squares r ≈ M·d + offset, one 3×3 system per output axis. Without
+// a Q axis its column is left at zero rather than fitted to rounding noise.
+function fitAffine(I, Q, decisions, points, hasQ) {
+  const A = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const yI = [0, 0, 0];
+  const yQ = [0, 0, 0];
+  for (let k = 0; k < I.length; k++) {
+    const { I: dI, Q: dQ } = points[decisions[k]];
+    const row = [dI, hasQ ? dQ : 0, 1];
+    for (let a = 0; a < 3; a++) {
+      for (let b = 0; b < 3; b++) A[a][b] += row[a] * row[b];
+      yI[a] += row[a] * I[k];
+      yQ[a] += row[a] * Q[k];
+    }
+  }
+  const [m00, m01, oI] = solve3(A, yI);
+  const [m10, m11, oQ] = solve3(A, yQ);
+  return { M: [[m00, m01], [m10, m11]], offset: [oI, oQ] };
+}
+
+// Gaussian elimination with partial pivoting for a 3×3 system
+function solve3(A, y) {
+  const m = A.map((row, i) => [...row, y[i]]);
+  for (let col = 0; col < 3; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 3; r++) if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    if (m[col][col] === 0) continue;
+    for (let r = col + 1; r < 3; r++) {
+      const f = m[r][col] / m[col][col];
+      for (let k = col; k < 4; k++) m[r][k] -= f * m[col][k];
+    }
+  }
+  const x = [0, 0, 0];
+  for (let r = 2; r >= 0; r--) {
+    let sum = m[r][3];
+    for (let k = r + 1; k < 3; k++) sum -= m[r][k] * x[k];
+    x[r] = m[r][r] !== 0 ? sum / m[r][r] : 0;
+  }
+  return x;
+}
@@ -0,0 +1,155 @@
+/**
+ * Receiver noise: seeded, shaped, and set by the figures a link budget uses.
+ *
+ * Every generator takes a seed, so the same settings always produce the
+ * same noise and a plot only changes when a parameter does.
+ *
+ * Noise level is always given as power inside a reference band — the
+ * channel — because that is what decides SNR. White noise spreads evenly
+ * over the whole sample rate, so its total power is that band power scaled
+ * by sampleRate / bandwidth. A link budget arrives at the band power one of
+ * three ways:
+ *
+ *   SNR           N = S / 10^(SNR/10)
+ *   Eb/N0         N = N0·B,  N0 = (S / Rb) / 10^(Eb/N0 / 10)
+ *   noise figure  N = k·T0·B·F — thermal noise at T0 = 290 K is
+ *                 −174 dBm/Hz, and a receiver with noise figure F adds F dB
+ */
+
+import { fft, ifft } from './fft';
+import { createRng, createGaussianRng } from './random';
+
+/** Noise models, in display order. */
+export const NOISE_MODELS = [
+  { value: 'white', label: 'White (thermal)' },
+  { value: 'pink', label: 'Pink (1/f)' },
+  { value: 'brown', label: 'Brown (1/f²)' },
+  { value: 'impulsive', label: 'Impulsive (white + bursts)' },
+];
+
+/** Ways of setting the noise level, in display order. */
+export const NOISE_SPECS = [
+  { value: 'snr', label: 'SNR in channel' },
+  { value: 'ebn0', label: 'Eb/N0' },
+  { value: 'noiseFigure', label: 'Noise figure' },
+];
+
+/** Thermal noise density at 290 K, dBm/Hz (10·log10(k·T0) + 30). */
+export const THERMAL_NOISE_DBM_HZ = -173.98;
+
+/**
+ * In-band noise power for a target SNR.
+ * @param {number} signalPower
+ * @param {number} snrDb
+ * @returns {number} same units as signalPower
+ */
+export function noisePowerFromSnr(signalPower, snrDb) {
+  return signalPower / 10 ** (snrDb / 10);
+}
+
+/**
+ * In-band noise power for a target Eb/N0.
+ * @param {number} signalPower
+ * @param {number} ebN0Db
+ * @param {number} bitRate - bits/s
+ * @param {number} bandwidth - the band the power is measured in, Hz
+ * @returns {number} same units as signalPower
+ */
+export function noisePowerFromEbN0(signalPower, ebN0Db, bitRate, bandwidth) {
+  const n0 = signalPower / bitRate / 10 ** (ebN0Db / 10);
+  return n0 * bandwidth;
+}
+
+/**
+ * Receiver noise floor: thermal noise in a bandwidth, raised by the noise
+ * figure.
+ * @param {number} noiseFigureDb
+ * @param {number} bandwidth - Hz
+ * @returns {number} dBm
+ */
+export function noiseFloorDbm(noiseFigureDb, bandwidth) {
+  return THERMAL_NOISE_DBM_HZ + noiseFigureDb + 10 * Math.log10(bandwidth);
+}
+
+/**
+ * Complex baseband noise (circular: I and Q independent, equal power).
+ *
+ *   white     — flat over the whole sample rate
+ *   pink      — density ∝ 1/|f| (flicker noise, strongest near DC)
+ *   brown     — density ∝ 1/f² (a random walk)
+ *   impulsive — white background plus, on a fraction of samples, bursts
+ *               impulseRatio dB stronger (ignition, switching, lightning);
+ *               the bursts are counted in the average power
+ *
+ * The coloured models are shaped in the frequency domain, their density
+ * held flat below one bin so DC stays finite. Whatever the shape, the
+ * power inside ±bandwidth/2 comes out at `power` — exactly for the
+ * coloured models, which are scaled by what each realization actually put
+ * in the band (brown noise piles nearly all of it into a few bins, so the
+ * expected share would miss by several dB from seed to seed), and on
+ * average for the others.
+ * @param {number} length - samples
+ * @param {number} sampleRate - Hz
+ * @param {object} [options]
+ *   model:              NOISE_MODELS value (default 'white')
+ *   power:              noise power inside the band, I² + Q² (default 1)
+ *   bandwidth:          the band, Hz (default sampleRate: total power)
+ *   impulseProbability: chance of a burst per sample (default 0.01)
+ *   impulseRatio:       burst power over the background, dB (default 30)
+ *   seed:               PRNG seed (default 1)
+ * @returns {{ I: Float64Array, Q: Float64Array }}
+ */
+export function complexNoise(length, sampleRate, {
+  model = 'white', power = 1, bandwidth = sampleRate,
+  impulseProbability = 0.01, impulseRatio = 30, seed = 1,
+} = {}) {
+  const gaussian = createGaussianRng(seed);
+  let I = new Float64Array(length);
+  let Q = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    I[i] = gaussian();
+    Q[i] = gaussian();
+  }
+  // Unit white noise: total power 2, of which bandwidth / sampleRate falls
+  // in the band
+  let inBand = (2 * Math.min(bandwidth, sampleRate)) / sampleRate;
+
+  if (model === 'pink' || model === 'brown') {
+    const exponent = model === 'pink' ? 1 : 2;
+    const binHz = sampleRate / length;
+    const density = (k) => {
+      const f = Math.max(1, Math.min(k, length - k)) * binHz;
+      return f ** -exponent;
+    };
+    const X = fft(I, Q);
+    let band = 0;
+    for (let k = 0; k < length; k++) {
+      const g = Math.sqrt(density(k));
+      X.re[k] *= g;
+      X.im[k] *= g;
+      // Parseval: bin k holds |X[k]|² / N² of the power per sample
+      if (Math.min(k, length - k) * binHz <= bandwidth / 2) band += X.re[k] ** 2 + X.im[k] ** 2;
+    }
+    const y = ifft(X.re, X.im);
+    I = y.re;
+    Q = y.im;
+    inBand = band / (length * length) || 1;
+  } else if (model === 'impulsive') {
+    const uniform = createRng(seed + 1);
+    const burst = Math.sqrt(10 ** (impulseRatio / 10));
+    for (let i = 0; i < length; i++) {
+      if (uniform() < impulseProbability) {
+        I[i] *= burst;
+        Q[i] *= burst;
+      }
+    }
+    inBand *= 1 + impulseProbability * (10 ** (impulseRatio / 10) - 1);
+  }
+
+  const scale = Math.sqrt(power / inBand);
+  for (let i = 0; i < length; i++) {
+    I[i] *= scale;
+    Q[i] *= scale;
+  }
+  return { I, Q };
+}
@@ -0,0 +1,276 @@
+/**
+ * OFDM (orthogonal frequency-division multiplexing).
+ *
+ * Instead of one fast symbol stream, OFDM sends N slow ones side by side on
+ * subcarriers spaced exactly 1/T apart, where T is the useful symbol time.
+ * At that spacing every subcarrier completes a whole number of cycles per
+ * symbol, so they are orthogonal: an FFT over one symbol separates them
+ * perfectly. The transmitter is therefore an inverse FFT and the receiver
+ * an FFT.
+ *
+ * Each symbol is preceded by a cyclic prefix (CP), a copy of its own tail.
+ * As long as the channel's echoes die out within the CP, they only turn
+ * into a fixed gain and phase per subcarrier (a circular convolution),
+ * which known pilot cells let the receiver measure and divide out.
+ *
+ * Frames are laid out on a grid of symbols × active subcarriers; cell
+ * (s, a) lives at index s·A + a of the flat arrays.
+ */
+
+import { constellation } from './digital';
+import { fft } from './fft';
+import { createRng } from './random';
+
+const TWO_PI = 2 * Math.PI;
+
+/** Pilot layouts, in display order. */
+export const PILOT_LAYOUTS = [
+  { value: 'comb', label: 'Comb (every Nth subcarrier)' },
+  { value: 'block', label: 'Block (every Nth symbol)' },
+];
+
+/**
+ * Active subcarriers for an N-point OFDM symbol: DC is left empty (it
+ * collects the mixer's DC offset) and `guard` subcarriers at each band edge
+ * are left empty so the channel filter's roll-off has somewhere to go.
+ * @returns {Int32Array} signed subcarrier indices, ascending
+ */
+export function activeSubcarriers(subcarriers, guard = Math.floor(subcarriers / 8)) {
+  const half = Math.floor(subcarriers / 2);
+  const carriers = [];
+  for (let k = -half + guard; k < half - guard + (subcarriers % 2); k++) {
+    if (k !== 0) carriers.push(k);
+  }
+  return Int32Array.from(carriers);
+}
+
+/**
+ * Lay out an OFDM frame: which cells are pilots, and every cell's value.
+ * Pilots are known ±1 values; data cells are random (seeded) constellation
+ * points of each subcarrier's scheme.
+ * @param {object} params
+ *   subcarriers:  FFT size N (default 64)
+ *   cpLength:     cyclic prefix, samples (default N / 4)
+ *   symbols:      number of OFDM symbols
+ *   bandwidth:    sample rate of the OFDM symbol, Hz; subcarriers sit
+ *                 bandwidth / N apart
+ *   modulation:   MODULATIONS value for every data subcarrier, or an array
+ *                 with one per active subcarrier (default 'qpsk')
+ *   pilotLayout:  PILOT_LAYOUTS value (default 'comb')
+ *   pilotSpacing: comb: subcarriers between pilots; block: symbols between
+ *                 pilot symbols (default 4)
+ *   guard:        empty subcarriers at each band edge (default N / 8)
+ *   seed:         PRNG seed (default 1)
+ * @returns {object} frame: the params plus carriers (Int32Array), schemes
+ *   (one per carrier), pilot (Uint8Array, 1 = pilot cell), re, im
+ *   (Float64Array cell values)
+ */
+export function ofdmFrame({
+  subcarriers = 64, cpLength = subcarriers / 4, symbols, bandwidth, modulation = 'qpsk',
+  pilotLayout = 'comb', pilotSpacing = 4, guard = Math.floor(subcarriers / 8), seed = 1,
+}) {
+  const carriers = activeSubcarriers(subcarriers, guard);
+  const A = carriers.length;
+  const schemes = Array.isArray(modulation) ? modulation : new Array(A).fill(modulation);
+  const points = schemes.map((scheme) => constellation(scheme));
+  const rng = createRng(seed);
+
+  const pilot = new Uint8Array(symbols * A);
+  const re = new Float64Array(symbols * A);
+  const im = new Float64Array(symbols * A);
+  for (let s = 0; s < symbols; s++) {
+    for (let a = 0; a < A; a++) {
+      const cell = s * A + a;
+      const isPilot = pilotLayout === 'block' ? s % pilotSpacing === 0 : a % pilotSpacing === 0;
+      if (isPilot) {
+        pilot[cell] = 1;
+        re[cell] = rng() < 0.5 ? 1 : -1;
+      } else {
+        const p = points[a][Math.floor(rng() * points[a].length)];
+        re[cell] = p.I;
+        im[cell] = p.Q;
+      }
+    }
+  }
+
+  return {
+    subcarriers, cpLength, symbols, bandwidth, pilotLayout, pilotSpacing, guard,
+    carriers, schemes, pilot, re, im,
+  };
+}
+
+/**
+ * OFDM baseband I/Q, evaluated at each time in t (the symbol rate need not
+ * divide the sample rate). Symbols follow back to back from t = 0, each
+ * (N + cpLength) / bandwidth long, as many as fit whole (at least one);
+ * the signal is silent after the last.
+ * @param {Float64Array} t - time array
+ * @param {object} params - as ofdmFrame, without symbols
+ * @returns {{ I: Float64Array, Q: Float64Array, frame: object }}
+ *   average power 1
+ */
+export function ofdmBaseband(t, params) {
+  const { subcarriers = 64, bandwidth } = params;
+  const cpLength = params.cpLength ?? subcarriers / 4;
+  const symbolTime = (subcarriers + cpLength) / bandwidth;
+  const tEnd = t.length ? t[t.length - 1] : 0;
+  const symbols = Math.max(1, Math.floor((tEnd * bandwidth - cpLength - subcarriers + 1) / (subcarriers + cpLength)) + 1);
+  const frame = ofdmFrame({ ...params, subcarriers, cpLength, symbols });
+  const { carriers, re, im } = frame;
+  const A = carriers.length;
+  const spacing = bandwidth / subcarriers;
+  const scale = 1 / Math.sqrt(A);
+
+  const I = new Float64Array(t.length);
+  const Q = new Float64Array(t.length);
+  for (let i = 0; i < t.length; i++) {
+    const s = Math.floor(t[i] / symbolTime);
+    if (s >= symbols) continue;
+    // Time since the end of the CP; negative inside the CP, where the
+    // whole-cycle subcarriers repeat the symbol's tail by themselves
+    const tau = t[i] - s * symbolTime - cpLength / bandwidth;
+    let sumI = 0, sumQ = 0;
+    for (let a = 0; a < A; a++) {
+      const phase = TWO_PI * carriers[a] * spacing * tau;
+      const c = Math.cos(phase);
+      const sn = Math.sin(phase);
+      const cell = s * A + a;
+      sumI += re[cell] * c - im[cell] * sn;
+      sumQ += re[cell] * sn + im[cell] * c;
+    }
+    I[i] = sumI * scale;
+    Q[i] = sumQ * scale;
+  }
+  return { I, Q, frame };
+}
+
+/**
+ * OFDM receiver: sample each symbol at the OFDM rate, drop the cyclic
+ * prefix, FFT, estimate the channel from the pilots and equalize.
+ *
+ *   comb  — every symbol carries pilots on every Nth subcarrier; the
+ *           channel in between is interpolated linearly across frequency,
+ *           so it can follow a channel that changes from symbol to symbol
+ *   block — every Nth symbol is all pilots; its estimate covers every
+ *           subcarrier exactly and is held until the next pilot symbol
+ *
+ * Equalization is zero-forcing (divide by the estimate). Timing is assumed
+ * known: the FFT window starts right after each CP.
+ * @param {Float64Array} I - baseband I/Q at sampleRate, from t = 0
+ * @param {Float64Array} Q
+ * @param {number} sampleRate - Hz
+ * @param {object} frame - from ofdmFrame / ofdmBaseband
+ * @returns {{ re: Float64Array, im: Float64Array, channelRe: Float64Array,
+ *             channelIm: Float64Array, snrDb: Float64Array, merDb: number }}
+ *   re/im: equalized cells, same layout as the frame; channel: the mean
+ *   estimate per active subcarrier; snrDb: per active subcarrier, from the
+ *   data cells' error against what was sent (NaN if it carries no data);
+ *   merDb: the same over every data cell
+ */
+export function ofdmDemodulate(I, Q, sampleRate, frame) {
+  const { subcarriers: N, cpLength, symbols, bandwidth, carriers, pilot, pilotLayout } = frame;
+  const A = carriers.length;
+  const ratio = sampleRate / bandwidth;
+
+  const re = new Float64Array(symbols * A);
+  const im = new Float64Array(symbols * A);
+  const channelRe = new Float64Array(A);
+  const channelIm = new Float64Array(A);
+  let hRe = new Float64Array(A);
+  let hIm = new Float64Array(A);
+
+  const bufRe = new Float64Array(N);
+  const bufIm = new Float64Array(N);
+  for (let s = 0; s < symbols; s++) {
+    // CP removal: the FFT window is the N samples after the prefix
+    const start = s * (N + cpLength) + cpLength;
+    for (let n = 0; n < N; n++) {
+      bufRe[n] = sampleAt(I, (start + n) * ratio);
+      bufIm[n] = sampleAt(Q, (start + n) * ratio);
+    }
+    const Y = fft(bufRe, bufIm);
+    const yRe = new Float64Array(A);
+    const yIm = new Float64Array(A);
+    for (let a = 0; a < A; a++) {
+      const bin = (carriers[a] + N) % N;
+      yRe[a] = Y.re[bin];
+      yIm[a] = Y.im[bin];
+    }
+
+    // Channel estimate: H = Y / X at the pilots
+    const pilotIdx = [];
+    for (let a = 0; a < A; a++) if (pilot[s * A + a]) pilotIdx.push(a);
+    if (pilotIdx.length > 0) {
+      const pRe = pilotIdx.map((a) => divide(yRe[a], yIm[a], frame.re[s * A + a], frame.im[s * A + a]));
+      if (pilotLayout === 'block') {
+        hRe = new Float64Array(A);
+        hIm = new Float64Array(A);
+        pilotIdx.forEach((a, j) => { [hRe[a], hIm[a]] = pRe[j]; });
+      } else {
+        [hRe, hIm] = interpolateChannel(carriers, pilotIdx, pRe);
+      }
+    }
+
+    for (let a = 0; a < A; a++) {
+      const cell = s * A + a;
+      [re[cell], im[cell]] = divide(yRe[a], yIm[a], hRe[a], hIm[a]);
+      channelRe[a] += hRe[a] / symbols;
+      channelIm[a] += hIm[a] / symbols;
+    }
+  }
+
+  // Error of each data cell against what was sent
+  const snrDb = new Float64Array(A).fill(NaN);
+  let sigTotal = 0, errTotal = 0;
+  for (let a = 0; a < A; a++) {
+    let sig = 0, err = 0;
+    for (let s = 0; s < symbols; s++) {
+      const cell = s * A + a;
+      if (pilot[cell]) continue;
+      sig += frame.re[cell] ** 2 + frame.im[cell] ** 2;
+      err += (re[cell] - frame.re[cell]) ** 2 + (im[cell] - frame.im[cell]) ** 2;
+    }
+    if (sig > 0) snrDb[a] = 10 * Math.log10(sig / err);
+    sigTotal += sig;
+    errTotal += err;
+  }
+
+  return { re, im, channelRe, channelIm, snrDb, merDb: 10 * Math.log10(sigTotal / errTotal) };
+}
+
+// --- Internal helpers ---
+
+// Linear interpolation between samples; zero outside the signal
+function sampleAt(x, pos) {
+  const n = Math.floor(pos);
+  if (n < 0 || n >= x.length) return 0;
+  const mu = pos - n;
+  return n + 1 < x.length ? x[n] + mu * (x[n + 1] - x[n]) : x[n];
+}
+
+// Complex (aRe + j·aIm) / (bRe + j·bIm)
+function divide(aRe, aIm, bRe, bIm) {
+  const d = bRe * bRe + bIm * bIm || 1e-30;
+  return [(aRe * bRe + aIm * bIm) / d, (aIm * bRe - aRe * bIm) / d];
+}
+
+// Linear interpolation of pilot estimates across subcarrier frequency,
+// held flat beyond the outermost pilots
+function interpolateChannel(carriers, pilotIdx, estimates) {
+  const A = carriers.length;
+  const hRe = new Float64Array(A);
+  const hIm = new Float64Array(A);
+  let j = 0;
+  for (let a = 0; a < A; a++) {
+    while (j < pilotIdx.length - 2 && carriers[pilotIdx[j + 1]] < carriers[a]) j++;
+    const a0 = pilotIdx[j];
+    const a1 = pilotIdx[Math.min(j + 1, pilotIdx.length - 1)];
+    let mu = a1 === a0 ? 0 : (carriers[a] - carriers[a0]) / (carriers[a1] - carriers[a0]);
+    mu = Math.min(1, Math.max(0, mu));
+    const e0 = estimates[j];
+    const e1 = estimates[Math.min(j + 1, pilotIdx.length - 1)];
+    hRe[a] = e0[0] + mu * (e1[0] - e0[0]);
+    hIm[a] = e0[1] + mu * (e1[1] - e0[1]);
+  }
+  return [hRe, hIm];
+}
@@ -0,0 +1,216 @@
+/**
+ * Local oscillator imperfections: frequency error, drift and phase noise.
+ *
+ * A real LO is not a pure cos(2π·f·t). It sits off frequency by a static
+ * offset, wanders further as it warms up (drift), and its phase jitters
+ * randomly from moment to moment. Mixing multiplies every incoming signal by
+ * the LO, so all three are copied onto everything the receiver hears.
+ *
+ * Phase noise is specified the way datasheets do: single-sideband noise
+ * power L(f) in dBc/Hz at a set of offsets f from the carrier, joined by
+ * straight lines on a log-frequency axis. The close-in noise smears the
+ * constellation (a random rotation); the far-out skirt does its damage
+ * through reciprocal mixing — a strong signal next door mixes with the skirt
+ * and lands, as noise, right in the wanted channel.
+ */
+
+import { fft, ifft } from './fft';
+import { createGaussianRng } from './random';
+
+const TWO_PI = 2 * Math.PI;
+
+/**
+ * Phase noise masks, L(f) in dBc/Hz at offset f (Hz), in display order.
+ * Roughly what each class of oscillator achieves at a few hundred MHz.
+ */
+export const PHASE_NOISE_MASKS = [
+  { value: 'off', label: 'Off (ideal LO)', mask: [] },
+  {
+    value: 'synthesizer',
+    label: 'Lab synthesizer',
+    mask: [
+      { offset: 100, level: -110 },
+      { offset: 1e3, level: -125 },
+      { offset: 1e4, level: -135 },
+      { offset: 1e5, level: -140 },
+      { offset: 1e6, level: -150 },
+    ],
+  },
+  {
+    value: 'tcxo',
+    label: 'TCXO-referenced SDR',
+    mask: [
+      { offset: 100, level: -80 },
+      { offset: 1e3, level: -90 },
+      { offset: 1e4, level: -100 },
+      { offset: 1e5, level: -115 },
+      { offset: 1e6, level: -135 },
+    ],
+  },
+  {
+    value: 'crystal',
+    label: 'Cheap crystal + PLL',
+    mask: [
+      { offset: 100, level: -65 },
+      { offset: 1e3, level: -75 },
+      { offset: 1e4, level: -85 },
+      { offset: 1e5, level: -105 },
+      { offset: 1e6, level: -125 },
+    ],
+  },
+  {
+    value: 'freeRunning',
+    label: 'Free-running VCO',
+    mask: [
+      { offset: 100, level: -40 },
+      { offset: 1e3, level: -55 },
+      { offset: 1e4, level: -75 },
+      { offset: 1e5, level: -100 },
+      { offset: 1e6, level: -120 },
+    ],
+  },
+];
+
+/**
+ * L(f) of a mask at one offset: linear in dB against log frequency between
+ * points, held flat beyond the first and last.
+ * @param {Array<{ offset: number, level: number }>} mask - sorted by offset
+ * @param {number} offset - Hz (sign ignored)
+ * @returns {number} dBc/Hz (−Infinity for an empty mask)
+ */
+export function phaseNoiseLevel(mask, offset) {
+  if (!mask || mask.length === 0) return -Infinity;
+  const f = Math.abs(offset);
+  if (f <= mask[0].offset) return mask[0].level;
+  for (let i = 1; i < mask.length; i++) {
+    if (f <= mask[i].offset) {
+      const a = mask[i - 1];
+      const b = mask[i];
+      const x = Math.log10(f / a.offset) / Math.log10(b.offset / a.offset);
+      return a.level + x * (b.level - a.level);
+    }
+  }
+  return mask[mask.length - 1].level;
+}
+
+/**
+ * RMS phase error of a mask integrated over an offset band, both sidebands:
+ *   σ² = 2 · ∫ L(f) df   (radians²)
+ * 1/σ² is the best SNR the LO allows any signal mixed by it.
+ * @param {Array<{ offset: number, level: number }>} mask
+ * @param {number} fLow - Hz
+ * @param {number} fHigh - Hz
+ * @returns {number} σ, radians
+ */
+export function integratedPhaseNoise(mask, fLow, fHigh) {
+  if (!mask || mask.length === 0 || fHigh <= fLow) return 0;
+  // Trapezoids on a log-spaced grid: the mask is smooth in log f
+  const steps = 400;
+  const lo = Math.log(Math.max(fLow, 1e-3));
+  const ratio = (Math.log(fHigh) - lo) / steps;
+  let variance = 0;
+  let prevF = Math.exp(lo);
+  let prevL = 10 ** (phaseNoiseLevel(mask, prevF) / 10);
+  for (let k = 1; k <= steps; k++) {
+    const f = Math.exp(lo + k * ratio);
+    const L = 10 ** (phaseNoiseLevel(mask, f) / 10);
+    variance += ((L + prevL) / 2) * (f - prevF);
+    prevF = f;
+    prevL = L;
+  }
+  return Math.sqrt(2 * variance);
+}
+
+/**
+ * Random LO phase with the spectrum of a mask: white Gaussian noise shaped
+ * in the frequency domain, seeded so a given mask always produces the same
+ * jitter. The mean (the DC bin) is left out — a constant phase is the LO
+ * phase offset's job — so offsets below one bin of the record contribute
+ * nothing, just as they would not within so short a record.
+ * @param {number} length - samples
+ * @param {number} sampleRate - Hz
+ * @param {Array<{ offset: number, level: number }>} mask
+ * @param {object} [options]
+ *   seed: PRNG seed (default 1)
+ * @returns {Float64Array} phase, radians
+ */
+export function phaseNoise(length, sampleRate, mask, { seed = 1 } = {}) {
+  const phase = new Float64Array(length);
+  if (!mask || mask.length === 0 || length === 0) return phase;
+
+  const gaussian = createGaussianRng(seed);
+  const X = fft(Float64Array.from({ length }, gaussian));
+  for (let k = 0; k < length; k++) {
+    const f = (Math.min(k, length - k) * sampleRate) / length;
+    // Unit-variance white noise has a flat two-sided density of 1/fs per
+    // Hz; scale each bin so the density becomes L(f)
+    const gain = k === 0 ? 0 : Math.sqrt(10 ** (phaseNoiseLevel(mask, f) / 10) * sampleRate);
+    X.re[k] *= gain;
+    X.im[k] *= gain;
+  }
+  phase.set(ifft(X.re, X.im).re);
+  return phase;
+}
+
+/**
+ * Instantaneous phase of an imperfect LO at each time in t:
+ *   θ(t) = 2π·(f + Δf)·t + π·ḟ·t² + φ + φₙ(t)
+ * i.e. a static offset Δf, a linear drift ḟ, a fixed phase φ and phase
+ * noise φₙ drawn from a mask.
+ * @param {Float64Array} t - time array (uniformly sampled)
+ * @param {number} frequency - nominal LO frequency, Hz
+ * @param {object} [options]
+ *   frequencyOffset: Δf, Hz (default 0)
+ *   drift:           ḟ, Hz/s (default 0)
+ *   phaseOffset:     φ, radians (default 0)
+ *   phaseNoise:      mask as PHASE_NOISE_MASKS (default none)
+ *   seed:            phase noise PRNG seed (default 1)
+ * @returns {Float64Array} radians
+ */
+export function loPhase(t, frequency, {
+  frequencyOffset = 0, drift = 0, phaseOffset = 0, phaseNoise: mask = null, seed = 1,
+} = {}) {
+  const f = frequency + frequencyOffset;
+  const sampleRate = t.length > 1 ? 1 / (t[1] - t[0]) : 1;
+  const jitter = phaseNoise(t.length, sampleRate, mask, { seed });
+  const out = new Float64Array(t.length);
+  for (let i = 0; i < t.length; i++) {
+    out[i] = TWO_PI * f * t[i] + Math.PI * drift * t[i] * t[i] + phaseOffset + jitter[i];
+  }
+  return out;
+}
+
+/**
+ * Measured SSB phase noise of a phase record, averaged into log-spaced
+ * bands (a raw periodogram is too ragged to compare with a mask).
+ * @param {Float64Array} phase - radians
+ * @param {number} sampleRate - Hz
+ * @param {object} [options]
+ *   perDecade: bands per decade (default 10)
+ * @returns {Array<{ offset: number, level: number }>} dBc/Hz
+ */
+export function measurePhaseNoise(phase, sampleRate, { perDecade = 10 } = {}) {
+  const N = phase.length;
+  if (N < 4) return [];
+  const X = fft(phase.map(Math.cos), phase.map(Math.sin));
+  const binHz = sampleRate / N;
+  // Carrier power: the mean phasor
+  const carrier = (X.re[0] ** 2 + X.im[0] ** 2) / (N * N);
+  // Average the two sidebands: L(f) is single-sideband
+  const density = (k) => (X.re[k] ** 2 + X.im[k] ** 2 + X.re[N - k] ** 2 + X.im[N - k] ** 2)
+    / (2 * N * N * binHz * carrier);
+
+  const out = [];
+  const top = Math.floor((N - 1) / 2);
+  const ratio = 10 ** (1 / perDecade);
+  for (let lo = 1; lo <= top;) {
+    const hi = Math.min(top, Math.max(lo, Math.floor(lo * ratio)));
+    let sum = 0;
+    for (let k = lo; k <= hi; k++) sum += density(k);
+    const mid = Math.sqrt(lo * hi) * binHz;
+    out.push({ offset: mid, level: 10 * Math.log10(sum / (hi - lo + 1) || 1e-30) });
+    lo = hi + 1;
+  }
+  return out;
+}
+
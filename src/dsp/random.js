@@ -0,0 +1,43 @@
+/**
+ * Seeded pseudo-random numbers, so simulated data and noise are repeatable:
+ * the same seed always yields the same sequence.
+ */
+
+/**
+ * Uniform generator on [0, 1) (mulberry32: 32-bit state, fast, and plenty
+ * for simulation — not for cryptography).
+ * @param {number} seed - any integer
+ * @returns {() => number}
+ */
+export function createRng(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal generator (Box-Muller, two draws per pair of uniforms),
+ * seeded like createRng.
+ * @param {number} seed - any integer
+ * @returns {() => number} zero mean, unit variance
+ */
+export function createGaussianRng(seed = 1) {
+  const uniform = createRng(seed);
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    const r = Math.sqrt(-2 * Math.log(uniform() || 1e-12));
+    const a = 2 * Math.PI * uniform();
+    spare = r * Math.sin(a);
+    return r * Math.cos(a);
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Sample-rate conversion: decimation by M, interpolation by L, and rational
+ * L/M resampling.
+ *
+ * All three are the same operation — upsample by L (insert L − 1 zeros),
+ * low-pass, keep every M-th sample — run as a polyphase filter bank: the
+ * prototype kernel is split into L sub-filters and each output sample uses
+ * just one of them, so nothing is spent on the inserted zeros or on the
+ * samples the decimator throws away.
+ *
+ * Like applyFIR in filter.js these work on whole signals and return output
+ * time-aligned with the input (the kernel delay is compensated, the signal
+ * is zero-padded beyond both edges). For chunked streams use
+ * ResamplerBlock in stream.js.
+ */
+
+import { designFIR } from './fir';
+
+/**
+ * Prototype low-pass for an L/M converter, at the upsampled rate. Cutoff
+ * sits at the narrower of the input and output Nyquist limits; the
+ * passband gain is L so interpolated samples keep the input amplitude.
+ * @param {number} up - L
+ * @param {number} down - M
+ * @param {object} [options]
+ *   zeroCrossings: sinc zero crossings on each side of the centre (default 10)
+ *   beta:          Kaiser β (default 5)
+ * @returns {Float64Array} odd length, 2·zeroCrossings·max(L, M) + 1 taps
+ */
+export function resampleKernel(up, down, { zeroCrossings = 10, beta = 5 } = {}) {
+  const span = Math.max(up, down);
+  const h = designFIR({
+    type: 'lowpass',
+    cutoff: 0.5 / span,
+    sampleRate: 1,
+    taps: 2 * zeroCrossings * span + 1,
+    window: 'kaiser',
+    beta,
+  });
+  return h.map((v) => v * up);
+}
+
+/**
+ * Split a prototype kernel into L polyphase sub-filters:
+ * phases[p][j] = h[p + j·L].
+ * @returns {Float64Array[]}
+ */
+export function polyphaseBank(kernel, up) {
+  return Array.from({ length: up }, (_, p) => {
+    const phase = new Float64Array(Math.ceil((kernel.length - p) / up));
+    for (let j = 0; j < phase.length; j++) phase[j] = kernel[p + j * up];
+    return phase;
+  });
+}
+
+/**
+ * Rational resampling by L/M. The output has ceil(N·L / M) samples at
+ * sampleRate·L / M.
+ * @param {Float64Array} signal
+ * @param {number} up - L
+ * @param {number} down - M
+ * @param {object} [options] - resampleKernel options, or { kernel }: a
+ *   prototype at the upsampled rate (passband gain L). Its tap
+ *   floor(length / 2) is taken as the centre, as in convolve, so an
+ *   even-length kernel lands half an upsampled sample early
+ * @returns {Float64Array}
+ */
+export function resample(signal, up, down, options = {}) {
+  const kernel = options.kernel || resampleKernel(up, down, options);
+  const phases = polyphaseBank(kernel, up);
+  const center = Math.floor(kernel.length / 2);
+  const N = signal.length;
+  const outLength = Math.ceil((N * up) / down);
+
+  const out = new Float64Array(outLength);
+  for (let m = 0; m < outLength; m++) {
+    // Upsampled-grid position whose kernel centre lines up with output m
+    const n = m * down + center;
+    const p = n % up;
+    const base = (n - p) / up;
+    const taps = phases[p];
+    const jMin = Math.max(0, base - (N - 1));
+    const jMax = Math.min(taps.length - 1, base);
+    let sum = 0;
+    for (let j = jMin; j <= jMax; j++) sum += taps[j] * signal[base - j];
+    out[m] = sum;
+  }
+  return out;
+}
+
+/**
+ * Resample from one rate to another, reducing the ratio to the smallest
+ * L/M (both rates are rounded to whole Hz first).
+ * @param {Float64Array} signal
+ * @param {number} fromRate - Hz
+ * @param {number} toRate - Hz
+ * @param {object} [options] - as resample
+ * @returns {{ signal: Float64Array, up: number, down: number }}
+ */
+export function resampleRate(signal, fromRate, toRate, options = {}) {
+  const from = Math.round(fromRate);
+  const to = Math.round(toRate);
+  const g = gcd(from, to);
+  const up = to / g;
+  const down = from / g;
+  return { signal: resample(signal, up, down, options), up, down };
+}
+
+/**
+ * Low-pass and keep every M-th sample. Content above the new Nyquist
+ * frequency (sampleRate / 2M) is removed rather than aliased.
+ * @param {Float64Array} signal
+ * @param {number} factor - M
+ * @param {object} [options] - as resample
+ * @returns {Float64Array}
+ */
+export function decimate(signal, factor, options = {}) {
+  return resample(signal, 1, factor, options);
+}
+
+/**
+ * Insert L − 1 samples between each input sample and low-pass away the
+ * spectral images.
+ * @param {Float64Array} signal
+ * @param {number} factor - L
+ * @param {object} [options] - as resample
+ * @returns {Float64Array}
+ */
+export function interpolate(signal, factor, options = {}) {
+  return resample(signal, factor, 1, options);
+}
+
+// --- Internal helpers ---
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
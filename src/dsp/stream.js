@@ -0,0 +1,217 @@
+/**
+ * Stateful streaming blocks.
+ *
+ * The array functions in filter.js and iq.js see a whole signal at once:
+ * they zero-pad beyond both edges and compensate filter delay by looking
+ * ahead. A stream has no "ahead", so these blocks carry their state (filter
+ * history, oscillator phase, resampler position) from one chunk to the next.
+ *
+ * Every block does the same arithmetic, in the same order, per output sample
+ * regardless of how the input was split, so feeding a signal in one piece or
+ * in arbitrary chunks gives bit-identical output.
+ *
+ *   const fir = new FIRBlock(kernel);
+ *   for (const chunk of chunks) out.push(fir.process(chunk));
+ */
+
+import { resampleKernel, polyphaseBank } from './resample';
+
+const TWO_PI = 2 * Math.PI;
+
+/**
+ * Causal FIR filter. Unlike sincLPF / applyFIR the output is not
+ * time-aligned: it lags the input by `delay` = (taps − 1) / 2 samples.
+ */
+export class FIRBlock {
+  #kernel;
+  #history;
+
+  /** @param {Float64Array} kernel - e.g. from designFIR */
+  constructor(kernel) {
+    this.#kernel = Float64Array.from(kernel);
+    this.#history = new Float64Array(kernel.length - 1);
+  }
+
+  /** Group delay in samples (for a symmetric kernel). */
+  get delay() {
+    return (this.#kernel.length - 1) / 2;
+  }
+
+  /**
+   * @param {Float64Array} chunk
+   * @returns {Float64Array} one output sample per input sample
+   */
+  process(chunk) {
+    const h = this.#kernel;
+    const H = this.#history.length;
+    const buf = new Float64Array(H + chunk.length);
+    buf.set(this.#history);
+    buf.set(chunk, H);
+
+    const out = new Float64Array(chunk.length);
+    for (let i = 0; i < chunk.length; i++) {
+      let sum = 0;
+      for (let k = 0; k < h.length; k++) sum += h[k] * buf[i + H - k];
+      out[i] = sum;
+    }
+    this.#history = buf.slice(buf.length - H);
+    return out;
+  }
+
+  /** Clear the filter history, as if no samples had been seen. */
+  reset() {
+    this.#history.fill(0);
+  }
+}
+
+/**
+ * Mixer driven by a numerically controlled oscillator.
+ *
+ * direction 'down': real chunk → { I, Q }, as downconvert in iq.js
+ * direction 'up':   { I, Q } chunk → real, as upconvert in iq.js
+ *
+ * The NCO phase is kept in cycles and wrapped to [0, 1), so it stays
+ * accurate on arbitrarily long streams. Retuning with setFrequency keeps
+ * the phase continuous.
+ */
+export class MixerBlock {
+  #step;
+  #cycles = 0;
+  #sampleRate;
+  #direction;
+  #startPhase;
+
+  /**
+   * @param {object} options
+   *   frequency:  NCO frequency in Hz
+   *   sampleRate: Hz
+   *   direction:  'down' | 'up' (default 'down')
+   *   phase:      starting phase in radians (default 0)
+   */
+  constructor({ frequency, sampleRate, direction = 'down', phase = 0 }) {
+    this.#sampleRate = sampleRate;
+    this.#direction = direction;
+    this.#step = frequency / sampleRate;
+    this.#startPhase = phase;
+    this.reset();
+  }
+
+  /** Retune the NCO without a phase jump. */
+  setFrequency(frequency) {
+    this.#step = frequency / this.#sampleRate;
+  }
+
+  /**
+   * @param {Float64Array | { I: Float64Array, Q: Float64Array }} chunk
+   * @returns {{ I: Float64Array, Q: Float64Array } | Float64Array}
+   */
+  process(chunk) {
+    if (this.#direction === 'up') {
+      const { I, Q } = chunk;
+      const out = new Float64Array(I.length);
+      for (let i = 0; i < I.length; i++) {
+        const phase = TWO_PI * this.#cycles;
+        out[i] = I[i] * Math.cos(phase) - Q[i] * Math.sin(phase);
+        this.#advance();
+      }
+      return out;
+    }
+
+    const I = new Float64Array(chunk.length);
+    const Q = new Float64Array(chunk.length);
+    for (let i = 0; i < chunk.length; i++) {
+      const phase = TWO_PI * this.#cycles;
+      I[i] = chunk[i] * Math.cos(phase);
+      Q[i] = chunk[i] * -Math.sin(phase);
+      this.#advance();
+    }
+    return { I, Q };
+  }
+
+  /** Return the NCO to its starting phase. */
+  reset() {
+    const start = this.#startPhase / TWO_PI;
+    this.#cycles = start - Math.floor(start);
+  }
+
+  #advance() {
+    this.#cycles += this.#step;
+    this.#cycles -= Math.floor(this.#cycles);
+  }
+}
+
+/**
+ * Rational L/M resampler (upsample by L, low-pass, keep every M-th sample),
+ * streaming counterpart of resample() in resample.js. Output is causal: it
+ * lags the array version by the kernel's group delay. Each chunk yields as
+ * many output samples as its input has made available, so chunk lengths in
+ * and out are not in a fixed ratio.
+ */
+export class ResamplerBlock {
+  #L;
+  #M;
+  #phases;
+  #history;
+  #received = 0;
+  #produced = 0;
+
+  /**
+   * @param {object} options
+   *   up:     interpolation factor L
+   *   down:   decimation factor M
+   *   kernel: optional prototype filter at the upsampled rate (passband
+   *           gain L); defaults to resampleKernel(up, down, options)
+   *   plus the resampleKernel options (zeroCrossings, beta)
+   */
+  constructor({ up = 1, down = 1, kernel = null, ...options }) {
+    this.#L = up;
+    this.#M = down;
+    const h = kernel || resampleKernel(up, down, options);
+    this.#phases = polyphaseBank(h, up);
+    this.#history = new Float64Array(Math.ceil(h.length / up));
+  }
+
+  /** Output samples per input sample. */
+  get ratio() {
+    return this.#L / this.#M;
+  }
+
+  /**
+   * @param {Float64Array} chunk
+   * @returns {Float64Array}
+   */
+  process(chunk) {
+    const L = this.#L;
+    const M = this.#M;
+    const H = this.#history.length;
+    const buf = new Float64Array(H + chunk.length);
+    buf.set(this.#history);
+    buf.set(chunk, H);
+
+    // buf[0] holds input sample number (received − H)
+    const first = this.#received - H;
+    const available = this.#received + chunk.length;
+    const out = [];
+    for (;;) {
+      const n = this.#produced * M; // position on the upsampled grid
+      const base = Math.floor(n / L);
+      if (base >= available) break;
+      const taps = this.#phases[n % L];
+      let sum = 0;
+      for (let j = 0; j < taps.length; j++) sum += taps[j] * buf[base - j - first];
+      out.push(sum);
+      this.#produced++;
+    }
+
+    this.#received = available;
+    this.#history = buf.slice(buf.length - H);
+    return Float64Array.from(out);
+  }
+
+  /** Clear the history and restart the output clock. */
+  reset() {
+    this.#history.fill(0);
+    this.#received = 0;
+    this.#produced = 0;
+  }
+}
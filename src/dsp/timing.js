@@ -0,0 +1,159 @@
+/**
+ * Symbol timing recovery.
+ *
+ * The receiver's sample clock knows nothing about the transmitter's symbol
+ * clock, so the best sampling instant — the eye's widest opening — falls
+ * somewhere between samples and drifts. A timing loop estimates it:
+ *
+ *   interpolator → timing error detector (TED) → loop filter → next strobe
+ *
+ * The interpolator (cubic Lagrange, Farrow form) evaluates the signal at a
+ * fractional sample position; the TED measures how early or late that
+ * strobe was; the proportional-plus-integral loop filter turns the error
+ * into a correction of the next strobe position.
+ */
+
+import { constellation } from './digital';
+
+/** Timing error detectors, in display order. */
+export const TIMING_DETECTORS = [
+  { value: 'gardner', label: 'Gardner' },
+  { value: 'mm', label: 'Mueller-Müller' },
+];
+
+/**
+ * Run a timing loop over oversampled, matched-filtered baseband I/Q.
+ *
+ *   gardner — e = Re{(y[k−1] − y[k])·y*[k−½]}: uses the sample halfway
+ *             between strobes, needs no decisions, so it works before
+ *             carrier lock; needs ≥ 2 samples per symbol
+ *   mm      — e = Re{d*[k−1]·y[k] − d*[k]·y[k−1]} with decisions d (the
+ *             nearest point of the modulation's constellation, scaled to
+ *             the strobes' RMS level): one sample per symbol, but relies
+ *             on correct decisions, so it wants the carrier locked and
+ *             the right modulation — slicing 16-QAM as QPSK, say, leaves
+ *             the detector biased by the wrong decisions
+ * @param {Float64Array} I
+ * @param {Float64Array} Q
+ * @param {number} samplesPerSymbol - nominal, need not be an integer
+ * @param {object} [options]
+ *   detector:      TIMING_DETECTORS value (default 'gardner')
+ *   modulation:    MODULATIONS value (see digital.js) the mm decisions
+ *                  are sliced to (default 'qpsk')
+ *   loopBandwidth: Bn·T, normalized to the symbol rate (default 0.01)
+ *   damping:       ζ (default 1/√2)
+ *   start:         first strobe position in samples (default 0)
+ * @returns {{ I: Float64Array, Q: Float64Array, error: Float64Array,
+ *             positions: Float64Array }}
+ *   one entry per recovered symbol: the interpolated symbol, the TED output
+ *   and the strobe position in input samples
+ */
+export function recoverTiming(I, Q, samplesPerSymbol, {
+  detector = 'gardner', modulation = 'qpsk', loopBandwidth = 0.01, damping = Math.SQRT1_2, start = 0,
+} = {}) {
+  const N = I.length;
+  const sps = samplesPerSymbol;
+
+  // Normalize amplitude so the detector gain does not depend on signal level
+  let power = 0;
+  for (let i = 0; i < N; i++) power += I[i] * I[i] + Q[i] * Q[i];
+  power = power / Math.max(1, N) || 1;
+  // The decisions need the level at the strobes, which differs from the
+  // average over all samples (transitions included): track it as a running
+  // mean of the strobe power, starting from the average
+  const points = detector === 'mm' ? constellation(modulation) : null;
+  let strobePower = power;
+
+  // PI loop gains for a second-order loop (detector gain taken as 1 after
+  // normalization, correction measured in symbol periods)
+  const theta = loopBandwidth / (damping + 1 / (4 * damping));
+  const d = 1 + 2 * damping * theta + theta * theta;
+  const kp = (4 * damping * theta) / d;
+  const ki = (4 * theta * theta) / d;
+
+  const outI = [], outQ = [], errors = [], positions = [];
+  let p = start;
+  let integrator = 0;
+  let prevI = 0, prevQ = 0;
+  let prevD = null;
+  let first = true;
+
+  while (p + sps < N - 2) {
+    const yI = interpolate(I, p);
+    const yQ = interpolate(Q, p);
+
+    let e = 0;
+    let dec = null;
+    if (points) {
+      strobePower += (yI * yI + yQ * yQ - strobePower) / 32;
+      dec = slice(points, Math.sqrt(strobePower), yI, yQ);
+    }
+    if (!first) {
+      if (detector === 'mm') {
+        e = (prevD.I * yI + prevD.Q * yQ) - (dec.I * prevI + dec.Q * prevQ);
+      } else {
+        const mid = p - sps / 2;
+        const mI = interpolate(I, mid);
+        const mQ = interpolate(Q, mid);
+        e = (prevI - yI) * mI + (prevQ - yQ) * mQ;
+      }
+      e /= power;
+    }
+
+    outI.push(yI);
+    outQ.push(yQ);
+    errors.push(e);
+    positions.push(p);
+
+    integrator += ki * e;
+    const correction = kp * e + integrator;
+    p += sps * (1 + correction);
+    prevI = yI;
+    prevQ = yQ;
+    prevD = dec;
+    first = false;
+  }
+
+  return {
+    I: Float64Array.from(outI),
+    Q: Float64Array.from(outQ),
+    error: Float64Array.from(errors),
+    positions: Float64Array.from(positions),
+  };
+}
+
+// --- Internal helpers ---
+
+// Nearest constellation point to (x, y), the constellation scaled to an RMS
+// level of `scale`
+function slice(points, scale, x, y) {
+  let best = points[0];
+  let bestDist = Infinity;
+  for (const pt of points) {
+    const dist = (pt.I * scale - x) ** 2 + (pt.Q * scale - y) ** 2;
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = pt;
+    }
+  }
+  return { I: best.I * scale, Q: best.Q * scale };
+}
+
+// Cubic Lagrange interpolation through x[n−1], x[n], x[n+1], x[n+2] at
+// position n + mu (Farrow form: a cubic polynomial in mu)
+function interpolate(x, pos) {
+  const n = Math.floor(pos);
+  const mu = pos - n;
+  const xm1 = sample(x, n - 1);
+  const x0 = sample(x, n);
+  const x1 = sample(x, n + 1);
+  const x2 = sample(x, n + 2);
+  const c3 = (x2 - xm1) / 6 + (x0 - x1) / 2;
+  const c2 = (xm1 + x1) / 2 - x0;
+  const c1 = x1 - x0 / 2 - xm1 / 3 - x2 / 6;
+  return ((c3 * mu + c2) * mu + c1) * mu + x0;
+}
+
+function sample(x, n) {
+  return n >= 0 && n < x.length ? x[n] : 0;
+}
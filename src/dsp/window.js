@@ -0,0 +1,89 @@
+/**
+ * Window functions for spectral analysis and FIR design.
+ *
+ * Every window trades main-lobe width (frequency resolution) against
+ * side-lobe level (leakage). Rectangular has the narrowest main lobe but
+ * −13 dB side lobes; Blackman-Harris pushes side lobes below −90 dB at the
+ * cost of a main lobe roughly 4× wider; flat-top has a flat main lobe so
+ * tone amplitudes read correctly regardless of where they fall between bins.
+ */
+
+const TWO_PI = 2 * Math.PI;
+
+/** Window types available in the UI, in display order. */
+export const WINDOW_TYPES = [
+  { value: 'rectangular', label: 'Rectangular' },
+  { value: 'hann', label: 'Hann' },
+  { value: 'hamming', label: 'Hamming' },
+  { value: 'blackman', label: 'Blackman' },
+  { value: 'blackmanHarris', label: 'Blackman-Harris' },
+  { value: 'flatTop', label: 'Flat-top' },
+  { value: 'kaiser', label: 'Kaiser' },
+];
+
+// Cosine-sum coefficients: w[n] = a0 − a1·cos(x) + a2·cos(2x) − a3·cos(3x) + ...
+const COSINE_SUM = {
+  hann: [0.5, 0.5],
+  hamming: [0.54, 0.46],
+  blackman: [0.42, 0.5, 0.08],
+  blackmanHarris: [0.35875, 0.48829, 0.14128, 0.01168],
+  flatTop: [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368],
+};
+
+/**
+ * Build a window of length N.
+ * @param {string} type - one of WINDOW_TYPES values
+ * @param {number} N
+ * @param {object} [options]
+ *   beta:     Kaiser shape parameter (default 8.6, ≈ Blackman side lobes)
+ *   periodic: true for spectral analysis (DFT-even), false for symmetric
+ *             FIR design windows (default false)
+ * @returns {Float64Array}
+ */
+export function makeWindow(type, N, { beta = 8.6, periodic = false } = {}) {
+  const w = new Float64Array(N);
+  if (N === 1) {
+    w[0] = 1;
+    return w;
+  }
+  const M = periodic ? N : N - 1;
+
+  if (type === 'kaiser') {
+    const denom = besselI0(beta);
+    for (let n = 0; n < N; n++) {
+      const r = (2 * n) / M - 1;
+      w[n] = besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / denom;
+    }
+    return w;
+  }
+
+  const coeffs = COSINE_SUM[type];
+  if (!coeffs) {
+    w.fill(1);
+    return w;
+  }
+  for (let n = 0; n < N; n++) {
+    let val = 0;
+    for (let k = 0; k < coeffs.length; k++) {
+      const sign = k % 2 === 0 ? 1 : -1;
+      val += sign * coeffs[k] * Math.cos((TWO_PI * k * n) / M);
+    }
+    w[n] = val;
+  }
+  return w;
+}
+
+/**
+ * Zeroth-order modified Bessel function of the first kind (series expansion).
+ */
+export function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  const halfX = x / 2;
+  for (let k = 1; k < 50; k++) {
+    term *= (halfX / k) * (halfX / k);
+    sum += term;
+    if (term < sum * 1e-16) break;
+  }
+  return sum;
+}
@@ -1,26 +1,110 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useEffect } from "react";
 import WaveformPlot from "../components/WaveformPlot";
 import ConstellationPlot from "../components/ConstellationPlot";
 import SpectrumPlot from "../components/SpectrumPlot";
+import FilterResponsePanel from "../components/FilterResponsePanel";
+import PoleZeroPlot from "../components/PoleZeroPlot";
 import {
   generateTimeArray,
   generateSignal,
   downconvert,
   upconvert,
   downsampleForChart,
+  fmDemodulate,
+  amDemodulate,
+  AM_DETECTORS,
 } from "../dsp/iq";
-import { fftReal, fftComplex, toDb } from "../dsp/fft";
-import { sincLPF } from "../dsp/filter";
+import { fftReal, fftComplex, welchReal, welchComplex, toDb, POWER_UNITS } from "../dsp/fft";
+import { sincLPF, sincLPFKernel, applyFIR } from "../dsp/filter";
+import { designFIR, designKaiserFIR, designEquiripple, kaiserParams } from "../dsp/fir";
+import { decimate } from "../dsp/resample";
+import { toneFit, constellationError } from "../dsp/measure";
+import { MODULATIONS, PULSE_SHAPES, parseBits, pulseKernel, constellation } from "../dsp/digital";
+import { recoverTiming, TIMING_DETECTORS } from "../dsp/timing";
+import { recoverCarrier, CARRIER_LOOPS } from "../dsp/carrier";
+import { estimateIqImbalance, correctIqImbalance, imageRejectionDb } from "../dsp/iqbalance";
+import { CHANNEL_PROFILES, FADING_TYPES, delaySpread, tapGains, applyChannel, channelResponse, estimateResponse, findNotches } from "../dsp/channel";
+import { complexNoise, noisePowerFromSnr, noisePowerFromEbN0, noiseFloorDbm, NOISE_MODELS, NOISE_SPECS } from "../dsp/noise";
+import { adcConvert, adcMetrics, idealSqnrDb, jitterSnrDb, DITHER_TYPES } from "../dsp/adc";
+import { phaseNoise, phaseNoiseLevel, integratedPhaseNoise, measurePhaseNoise, PHASE_NOISE_MASKS } from "../dsp/oscillator";
+import { ofdmBaseband, ofdmDemodulate, PILOT_LAYOUTS } from "../dsp/ofdm";
+import { radarEchoes, lfmReplica, pulseCompress, compressionMetrics, SIDELOBE_WINDOWS, SPEED_OF_LIGHT } from "../dsp/radar";
+import { designIIR, sosFilter, sosFiltFilt, sosResponse, IIR_FAMILIES } from "../dsp/iir";
 import realCaptures from "../data/fm_captures.json";
 
+const DECIMATION_FACTORS = [1, 2, 4, 5, 8, 10, 16, 20];
+
+// Frames in the carrier-lock animation; each shows an equal slice of the signal
+const CARRIER_FRAMES = 40;
+
+// Radar scene: a strong target with a weak one in its range sidelobes, a
+// Doppler-shifted one, and a pair one resolution cell and a half apart
+const DEFAULT_TARGETS = [
+  { range: 40, level: 0, doppler: 0 },
+  { range: 50, level: -30, doppler: 0 },
+  { range: 110, level: -10, doppler: 3 },
+  { range: 180, level: -6, doppler: 0 },
+  { range: 181.5, level: -6, doppler: 0 },
+];
+
+// Custom multipath profile to start from: a direct path and two echoes
+// (delay in µs, power in dB)
+const DEFAULT_CUSTOM_TAPS = [
+  { delay: 0, power: 0 },
+  { delay: 4, power: -4 },
+  { delay: 9, power: -10 },
+];
+
+const DEEMPHASIS_OPTIONS = [
+  { value: 75e-6, label: "75 µs (Americas, Korea)" },
+  { value: 50e-6, label: "50 µs (Europe, rest of world)" },
+  { value: 0, label: "Off" },
+];
+
 const COLORS = {
+  audio: "#0891b2",
   input: "#1aad50",
   I: "#2563eb",
   Q: "#dc2626",
   output: "#7c3aed",
+  preselect: "#ea580c",
 };
 
 
+// Single windowed FFT or Welch average, per the spectrum settings
+function realSpectrum(signal, sampleRate, settings) {
+  return settings.mode === "welch"
+    ? welchReal(signal, sampleRate, settings)
+    : fftReal(signal, sampleRate, settings);
+}
+
+function complexSpectrum(I, Q, sampleRate, settings) {
+  return settings.mode === "welch"
+    ? welchComplex(I, Q, sampleRate, settings)
+    : fftComplex(I, Q, sampleRate, settings);
+}
+
+// Band-pass kernel for RF pre-selection around the carrier. The Kaiser and
+// equiripple designs share one spec (0.1 dB ripple, 60 dB stopband,
+// transition = ¼ of the bandwidth) so their tap counts are comparable.
+function preselectKernel(method, center, bandwidth, sampleRate) {
+  const cutoff = [Math.max(center - bandwidth / 2, 1), Math.min(center + bandwidth / 2, sampleRate / 2 - 1)];
+  const transitionWidth = bandwidth / 4;
+  if (method === "kaiser") {
+    return designKaiserFIR({ type: "bandpass", cutoff, sampleRate, ripple: 0.1, attenuation: 60, transitionWidth });
+  }
+  if (method === "equiripple") {
+    const { taps } = kaiserParams({ ripple: 0.1, attenuation: 60, transitionWidth, sampleRate });
+    return designEquiripple({ type: "bandpass", cutoff, sampleRate, taps, transitionWidth });
+  }
+  return designFIR({ type: "bandpass", cutoff, sampleRate, taps: 101, window: "blackman" });
+}
+
+// Sample rate readout in kHz or MHz
+function formatRate(hz) {
+  return hz >= 1e6 ? `${(hz / 1e6).toFixed(3)} MHz` : `${(hz / 1e3).toFixed(1)} kHz`;
+}
+
 // Downsample spectrum data
 function downsampleSpectrum(frequencies, dbValues, maxPoints = 500) {
   const step = Math.max(1, Math.floor(frequencies.length / maxPoints));
@@ -44,7 +128,46 @@ export default function App() {
   // Modulating signal params
   const [modulatingFreq, setModulatingFreq] = useState(50000); // 50 kHz
   const [fmDeviation] = useState(75000); // 75 kHz FM deviation (standard broadcast)
-  const [amIndex] = useState(0.8);
+  const [amIndex, setAmIndex] = useState(0.8);
+
+  // Digital source params
+  const [modulation, setModulation] = useState("qpsk");
+  const [symbolRate, setSymbolRate] = useState(100000); // 100 ksym/s
+  const [pulseShape, setPulseShape] = useState("rect");
+  const [rolloff, setRolloff] = useState(0.35);
+  const [bitSource, setBitSource] = useState("random");
+  const [bitSeed, setBitSeed] = useState(1);
+  const [customBits, setCustomBits] = useState("1100 1001 0110 1110 0001 1011");
+
+  // Built-in reference sources: fixed QPSK / 16-QAM with RRC pulses, for
+  // measurements. Only the symbol rate is adjustable.
+  const referenceModulation = { ref_qpsk: "qpsk", ref_16qam: "16qam" }[signalType];
+  const isDigital = signalType === "digital" || Boolean(referenceModulation);
+  const digitalModulation = referenceModulation || modulation;
+  const digitalPulse = referenceModulation ? "rrc" : pulseShape;
+  const digitalRolloff = referenceModulation ? 0.35 : rolloff;
+
+  // OFDM source params (the subcarrier modulation is shared with the
+  // digital source)
+  const isOfdm = signalType === "ofdm";
+  const [ofdmSubcarriers, setOfdmSubcarriers] = useState(64);
+  const [ofdmCpFraction, setOfdmCpFraction] = useState(4); // CP = N / 4
+  const [ofdmPilotLayout, setOfdmPilotLayout] = useState("comb");
+  const [ofdmPilotSpacing, setOfdmPilotSpacing] = useState(4);
+  const [ofdmBandwidth, setOfdmBandwidth] = useState(160000); // 160 kHz
+  const [ofdmCarrierIdx, setOfdmCarrierIdx] = useState(1); // subcarrier shown on its own
+
+  // Radar source: an LFM pulse and the echoes it gets back
+  const isRadar = signalType === "radar";
+  const [radarBandwidth, setRadarBandwidth] = useState(150000); // 150 kHz
+  const [radarWidth, setRadarWidth] = useState(500e-6); // 500 µs
+  const [radarTargets, setRadarTargets] = useState(DEFAULT_TARGETS); // km, dB, kHz
+  const [radarWindow, setRadarWindow] = useState("rectangular");
+
+  // Symbol timing recovery (digital source)
+  const [timingDetector, setTimingDetector] = useState("gardner");
+  const [timingBandwidth, setTimingBandwidth] = useState(0.02); // Bn·T
+  const [timingDamping, setTimingDamping] = useState(Math.SQRT1_2);
 
   // Sampling: we simulate at a scaled rate
   // We use a scaling factor: generate at low freq, label as real freq
@@ -53,18 +176,101 @@ export default function App() {
   const scaleFactor = carrierFreq / scaledCarrier;
   const scaledModFreq = modulatingFreq / scaleFactor;
   const scaledSampleRate = 50000; // 50 kHz internal sample rate
-  const duration = 0.05; // 50ms of signal
+  // 50ms of signal; digital sources get 200ms so the timing loop has
+  // enough symbols to settle, OFDM 1s for a couple of dozen of its long
+  // symbols, radar 200ms (2 ms real: 300 km of range)
+  const duration = isOfdm ? 1 : isDigital || isRadar ? 0.2 : 0.05;
 
   // Filter cutoff (bandwidth around carrier)
   const [filterBW, setFilterBW] = useState(200000); // 200 kHz
   const [filterTaps, setFilterTaps] = useState(51);
-  const [noisePower, setNoisePower] = useState(0.05); // noise amplitude
+  // Multipath channel between transmitter and antenna
+  const [channelProfile, setChannelProfile] = useState("off");
+  const [channelFading, setChannelFading] = useState("static");
+  const [channelDoppler, setChannelDoppler] = useState(500); // Hz
+  const [channelK, setChannelK] = useState(6); // Rician K, dB
+  const [channelSeed, setChannelSeed] = useState(1);
+  const [customTaps, setCustomTaps] = useState(DEFAULT_CUSTOM_TAPS); // µs, dB
+
+  // Receiver noise, set by a link-budget figure and seeded so it only
+  // changes when a setting does
+  const [noiseEnabled, setNoiseEnabled] = useState(true);
+  const [noiseModel, setNoiseModel] = useState("white");
+  const [noiseSpec, setNoiseSpec] = useState("snr");
+  const [noiseSnr, setNoiseSnr] = useState(30); // dB in the channel
+  const [noiseEbN0, setNoiseEbN0] = useState(12); // dB
+  const [noiseFigure, setNoiseFigure] = useState(6); // dB
+  const [rxLevel, setRxLevel] = useState(-90); // dBm at the antenna
+  const [impulseRate, setImpulseRate] = useState(1); // % of samples
+  const [impulseRatio, setImpulseRatio] = useState(30); // dB over the background
+  const [noiseSeed, setNoiseSeed] = useState(1);
   const scaledFilterCutoff = filterBW / scaleFactor / 2;
 
+  // Channel filter: linear-phase FIR or an IIR section cascade
+  const [filterKind, setFilterKind] = useState("fir");
+  const [iirFamily, setIirFamily] = useState("butterworth");
+  const [iirOrder, setIirOrder] = useState(6);
+  const [iirRipple, setIirRipple] = useState(1); // dB
+  const [iirAttenuation, setIirAttenuation] = useState(60); // dB
+  const [iirZeroPhase, setIirZeroPhase] = useState(false);
+
+  // Local oscillator error and the carrier loop that tracks it out
+  const [loOffset, setLoOffset] = useState(0); // Hz
+  const [loPhase, setLoPhase] = useState(0); // degrees
+  const [carrierLoop, setCarrierLoop] = useState("off");
+  const [carrierBandwidth, setCarrierBandwidth] = useState(10000); // Bn, Hz
+  const [carrierDamping, setCarrierDamping] = useState(Math.SQRT1_2);
+  const [carrierFrame, setCarrierFrame] = useState(CARRIER_FRAMES - 1);
+  const [carrierPlaying, setCarrierPlaying] = useState(false);
+
+  // Analog mixer impairments, and the blind correction that undoes them
+  const [iqGain, setIqGain] = useState(0); // dB, Q relative to I
+  const [iqPhase, setIqPhase] = useState(0); // degrees off quadrature
+  const [dcOffsetI, setDcOffsetI] = useState(0);
+  const [dcOffsetQ, setDcOffsetQ] = useState(0);
+  const [iqCorrection, setIqCorrection] = useState("off");
+
+  // LO phase noise and drift, and a strong neighbour to show reciprocal mixing
+  const [phaseNoiseMask, setPhaseNoiseMask] = useState("off");
+  const [phaseNoiseShift, setPhaseNoiseShift] = useState(0); // dB added to the mask
+  const [loDrift, setLoDrift] = useState(0); // Hz per ms
+  const [blocker, setBlocker] = useState(false);
+  const [blockerLevel, setBlockerLevel] = useState(40); // dB above the wanted signal
+  const [blockerOffset, setBlockerOffset] = useState(600000); // Hz from the carrier
+
+  // ADC after the pre-selection filter (direct RF sampling)
+  const [adcEnabled, setAdcEnabled] = useState(false);
+  const [adcBits, setAdcBits] = useState(8);
+  const [adcFullScale, setAdcFullScale] = useState(1.1); // peak input before clipping
+  const [adcDither, setAdcDither] = useState("none");
+  const [adcJitter, setAdcJitter] = useState(0); // RMS, ps
+
+  // Decimation after the channel filter
+  const [decimation, setDecimation] = useState(4);
+
+  // FM demodulation (real broadcast captures)
+  const [discriminator, setDiscriminator] = useState("polar");
+  const [deemphasisTau, setDeemphasisTau] = useState(75e-6);
+
+  // AM detection (synthetic AM)
+  const [amDetector, setAmDetector] = useState("envelope");
+
+  // RF pre-selection (band-pass before the mixer)
+  const [preselect, setPreselect] = useState("off");
+  const [preselectBW, setPreselectBW] = useState(400000); // 400 kHz
+
+  // Spectral estimation (shared by every spectrum plot)
+  const [spectrumSettings, setSpectrumSettings] = useState({
+    mode: "fft", window: "rectangular", beta: 8.6, zeroPad: "none", segmentLength: 512, overlap: 0.5,
+    unit: "relative", fullScale: 1, impedance: 50,
+  });
+
   // Compute all signals
   const results = useMemo(() => {
     // --- Choose pipeline parameters based on signal source ---
-    let t, inputSignal, lCarrier, lSR, lScaleFactor, lFilterCutoff;
+    let t, inputSignal, lCarrier, lSR, lScaleFactor, lFilterCutoff, lPreselectBW;
+    let ofdmSource = null;
+    let radarSource = null;
 
     if (isRealSignal) {
       // Real I/Q: upconvert baseband onto an internal carrier
@@ -74,6 +280,7 @@ export default function App() {
       lCarrier = lSR / 5; // ~410 kHz — keeps 2×fc image away from Nyquist edge
       lScaleFactor = capture.center_freq_mhz * 1e6 / lCarrier;
       lFilterCutoff = filterBW / 2; // real Hz, no scaling needed
+      lPreselectBW = preselectBW;
       t = new Float64Array(N);
       for (let i = 0; i < N; i++) t[i] = i / lSR;
       const captureI = new Float64Array(capture.I);
@@ -85,6 +292,7 @@ export default function App() {
       lCarrier = scaledCarrier;
       lScaleFactor = scaleFactor;
       lFilterCutoff = scaledFilterCutoff;
+      lPreselectBW = preselectBW / scaleFactor;
       t = generateTimeArray(lSR, duration);
       const fmIndex = fmDeviation / modulatingFreq;
       if (signalType === "fm") {
@@ -95,42 +303,513 @@ export default function App() {
         inputSignal = generateSignal("am", t, {
           carrierFreq: lCarrier, modulatingFreq: scaledModFreq, modulationIndex: amIndex,
         });
+      } else if (signalType === "digital") {
+        inputSignal = generateSignal("digital", t, {
+          carrierFreq: lCarrier,
+          symbolRate: symbolRate / scaleFactor,
+          modulation,
+          bits: bitSource === "custom" ? parseBits(customBits) : null,
+          seed: bitSeed,
+          pulse: pulseShape,
+          rolloff,
+        });
+      } else if (referenceModulation) {
+        inputSignal = generateSignal("qam", t, {
+          carrierFreq: lCarrier,
+          symbolRate: symbolRate / scaleFactor,
+          order: referenceModulation === "qpsk" ? 4 : 16,
+          rolloff: digitalRolloff,
+        });
+      } else if (isOfdm) {
+        // Kept whole: the receiver needs the frame's pilots and sent cells
+        ofdmSource = ofdmBaseband(t, {
+          bandwidth: ofdmBandwidth / scaleFactor,
+          subcarriers: ofdmSubcarriers,
+          cpLength: ofdmSubcarriers / ofdmCpFraction,
+          modulation,
+          pilotLayout: ofdmPilotLayout,
+          pilotSpacing: ofdmPilotSpacing,
+        });
+        inputSignal = upconvert(ofdmSource.I, ofdmSource.Q, t, lCarrier);
+      } else if (isRadar) {
+        // Time runs scaleFactor× slower internally: delays stretch, Doppler
+        // and bandwidth shrink
+        radarSource = {
+          bandwidth: radarBandwidth / scaleFactor,
+          width: radarWidth * scaleFactor,
+          targets: radarTargets.map((tg) => ({
+            delay: ((2 * tg.range * 1e3) / SPEED_OF_LIGHT) * scaleFactor,
+            amplitude: 10 ** (tg.level / 20),
+            doppler: (tg.doppler * 1e3) / scaleFactor,
+          })),
+        };
+        const echoes = radarEchoes(t, radarSource);
+        inputSignal = upconvert(echoes.I, echoes.Q, t, lCarrier);
       } else {
         inputSignal = generateSignal("cosine", t, { frequency: lCarrier, amplitude: 1 });
       }
     }
 
-    // --- Shared pipeline: downconvert → noise → filter → reconstruct ---
-    const { I: rawI, Q: rawQ } = downconvert(inputSignal, t, lCarrier);
+    // Baseband widths are real Hz for captures, scaled for synthetic signals
+    const basebandScale = isRealSignal ? 1 : lScaleFactor;
 
-    if (noisePower > 0) {
-      for (let i = 0; i < rawI.length; i++) {
-        const u1 = Math.random() || 1e-10;
-        const u2 = Math.random();
-        const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-        const z1 = Math.sqrt(-2 * Math.log(u1)) * Math.sin(2 * Math.PI * u2);
-        rawI[i] += noisePower * z0;
-        rawQ[i] += noisePower * z1;
+    // --- Multipath channel: what reaches the antenna. Delays stretch and
+    // Doppler shrinks with the time scale, like everything else ---
+    const multipath = channelProfile !== "off" && (() => {
+      const taps = channelProfile === "custom"
+        ? customTaps.map(({ delay, power }) => ({ delay: delay * 1e-6, power }))
+        : CHANNEL_PROFILES.find((c) => c.value === channelProfile).taps;
+      const scaledTaps = taps.map(({ delay, power }) => ({ delay: delay * basebandScale, power }));
+      const gains = tapGains(t, scaledTaps, {
+        fading: channelFading,
+        doppler: channelDoppler / basebandScale,
+        kFactor: channelK,
+        seed: channelSeed,
+      });
+      const transmitted = inputSignal;
+      const received = applyChannel(transmitted, lSR, scaledTaps, gains);
+      const N = t.length;
+
+      // Narrowband fade at the carrier over time, and the average power the
+      // taps pass (what the noise level is referred to)
+      const fade = new Float64Array(N);
+      let powerGain = 0;
+      for (let i = 0; i < N; i++) {
+        let re = 0, im = 0;
+        for (let k = 0; k < scaledTaps.length; k++) {
+          const w = -2 * Math.PI * lCarrier * scaledTaps[k].delay;
+          re += gains[k].re[i] * Math.cos(w) - gains[k].im[i] * Math.sin(w);
+          im += gains[k].re[i] * Math.sin(w) + gains[k].im[i] * Math.cos(w);
+          powerGain += (gains[k].re[i] ** 2 + gains[k].im[i] ** 2) / N;
+        }
+        fade[i] = 10 * Math.log10(re * re + im * im + 1e-20);
       }
+
+      // Response across twice the channel: the instant mid-record, and as
+      // measured from the signal over the whole record
+      const span = filterBW;
+      const frequencies = Array.from({ length: 401 }, (_, i) => -span + (i * span) / 200);
+      const mid = Math.floor(N / 2);
+      const response = channelResponse(
+        scaledTaps,
+        gains.map((g) => ({ re: g.re[mid], im: g.im[mid] })),
+        frequencies.map((f) => f / basebandScale),
+        lCarrier,
+      );
+      const estimate = estimateResponse(transmitted, received, lSR, lCarrier, { segment: 512 });
+      const measuredAt = (f) => {
+        const x = f / basebandScale;
+        const { frequencies: ef, db } = estimate;
+        const step = ef[1] - ef[0];
+        const j = Math.floor((x - ef[0]) / step);
+        if (j < 0 || j + 1 >= ef.length || db[j] === null || db[j + 1] === null) return null;
+        const frac = (x - ef[j]) / step;
+        return db[j] + frac * (db[j + 1] - db[j]);
+      };
+      const measured = frequencies.map(measuredAt);
+
+      // Notches inside the channel, with what the measurement shows there
+      const inChannel = frequencies.map((f, i) => i).filter((i) => Math.abs(frequencies[i]) <= filterBW / 2);
+      const notches = findNotches(inChannel.map((i) => frequencies[i]), inChannel.map((i) => response.db[i]))
+        .slice(0, 4)
+        .map((n) => ({ ...n, measured: measuredAt(n.frequency) }));
+
+      const spread = delaySpread(taps);
+      return {
+        received,
+        taps,
+        fade,
+        powerGain,
+        response: { frequencies, theory: Array.from(response.db), measured },
+        notches,
+        rmsDelay: spread.rmsDelay,
+        coherenceBandwidth: spread.coherenceBandwidth,
+        coherenceTime: channelFading !== "static" && channelDoppler > 0 ? 0.423 / channelDoppler : Infinity,
+      };
+    })();
+    if (multipath) inputSignal = multipath.received;
+
+    // A strong unmodulated neighbour outside the channel: harmless to an
+    // ideal receiver, but it mixes with the LO's phase noise skirt
+    if (blocker) {
+      const amplitude = 10 ** (blockerLevel / 20);
+      const fb = lCarrier + blockerOffset / basebandScale;
+      inputSignal = inputSignal.map((v, i) => v + amplitude * Math.cos(2 * Math.PI * fb * t[i]));
     }
 
-    const filteredI = sincLPF(rawI, lFilterCutoff, lSR, filterTaps);
-    const filteredQ = sincLPF(rawQ, lFilterCutoff, lSR, filterTaps);
+    // The LO's mask in simulation units: offsets shrink with the time scale,
+    // and the density rises to keep the integrated phase noise the same
+    const loMask = (PHASE_NOISE_MASKS.find((m) => m.value === phaseNoiseMask)?.mask || [])
+      .map(({ offset, level }) => ({ offset, level: level + phaseNoiseShift }));
+    const scaledLoMask = loMask.map(({ offset, level }) => ({
+      offset: offset / basebandScale,
+      level: level + 10 * Math.log10(basebandScale),
+    }));
+
+    // --- Shared pipeline: pre-select → downconvert → noise → filter → reconstruct ---
+    const preselectFilter = preselect === "off" ? null : preselectKernel(preselect, lCarrier, lPreselectBW, lSR);
+    const rfSignal = preselectFilter ? applyFIR(inputSignal, preselectFilter) : inputSignal;
+
+    // --- ADC: quantise the pre-selected RF. Jitter is set in real seconds;
+    // the carrier runs lScaleFactor times slower here, so the jitter
+    // stretches with it to keep the same phase error ---
+    const adc = adcEnabled && (() => {
+      const { output, lsb, clippedFraction } = adcConvert(rfSignal, lSR, {
+        bits: adcBits,
+        fullScale: adcFullScale,
+        dither: adcDither,
+        jitter: adcJitter * 1e-12 * lScaleFactor,
+      });
+      const edge = preselectFilter ? preselectFilter.length : 0;
+      const metrics = adcMetrics(rfSignal, output, lSR, signalType === "tone" ? lCarrier : null, {
+        fullScale: adcFullScale, skip: edge,
+      });
+      // Output spectrum over the whole first Nyquist zone, in dB relative
+      // to full scale
+      const spectrum = fftReal(output, lSR, { window: "blackmanHarris" });
+      const dbfs = spectrum.magnitudes.map((m) => 20 * Math.log10(m / adcFullScale + 1e-15));
+      const rfFrequency = lCarrier * lScaleFactor;
+      return {
+        input: rfSignal,
+        output,
+        lsb,
+        clippedFraction,
+        metrics,
+        theoryDb: idealSqnrDb(adcBits),
+        jitterLimitDb: jitterSnrDb(rfFrequency, adcJitter * 1e-12),
+        spectrum: { frequencies: spectrum.frequencies.map((f) => f * lScaleFactor), dbfs },
+      };
+    })();
+    const sampledSignal = adc ? adc.output : rfSignal;
+
+    const { I: rawI, Q: rawQ } = downconvert(sampledSignal, t, lCarrier, {
+      frequencyOffset: loOffset / basebandScale,
+      phaseOffset: (loPhase * Math.PI) / 180,
+      drift: (loDrift * 1e3) / basebandScale ** 2,
+      phaseNoise: scaledLoMask,
+      gainImbalance: iqGain,
+      quadratureError: (iqPhase * Math.PI) / 180,
+      dcOffsetI,
+      dcOffsetQ,
+    });
+
+    const iir = filterKind === "iir"
+      ? designIIR({
+        family: iirFamily, order: iirOrder, cutoff: lFilterCutoff, sampleRate: lSR,
+        ripple: iirRipple, attenuation: iirAttenuation,
+      })
+      : null;
+    const channelFilter = iir
+      ? (x) => (iirZeroPhase ? sosFiltFilt(x, iir.sos) : sosFilter(x, iir.sos))
+      : (x) => sincLPF(x, lFilterCutoff, lSR, filterTaps);
+
+    // --- Receiver noise, sized against the signal power inside the channel ---
+    const noise = noiseEnabled && (() => {
+      const channel = 2 * lFilterCutoff; // simulation Hz
+      const cleanI = channelFilter(rawI);
+      const cleanQ = channelFilter(rawQ);
+      const edge = Math.min(Math.floor(filterTaps / 2) + 10, Math.floor(rawI.length / 4));
+      let signalPower = 0;
+      for (let i = edge; i < rawI.length - edge; i++) {
+        signalPower += (cleanI[i] ** 2 + cleanQ[i] ** 2) / (rawI.length - 2 * edge);
+      }
+      // Refer the noise to the signal before fading, so a fade really does
+      // lower the SNR
+      if (multipath) signalPower /= multipath.powerGain;
+
+      // Bit rate in simulation units, for Eb/N0
+      const bitsPerSymbol = MODULATIONS.find((m) => m.value === digitalModulation).bitsPerSymbol;
+      const bitRate = isDigital ? (symbolRate * bitsPerSymbol) / basebandScale : null;
+      const spec = noiseSpec === "ebn0" && !isDigital ? "snr" : noiseSpec;
+      const floorDbm = noiseFloorDbm(noiseFigure, channel * basebandScale);
+      const power = spec === "ebn0"
+        ? noisePowerFromEbN0(signalPower, noiseEbN0, bitRate, channel)
+        : noisePowerFromSnr(signalPower, spec === "noiseFigure" ? rxLevel - floorDbm : noiseSnr);
+
+      const { I, Q } = complexNoise(rawI.length, lSR, {
+        model: noiseModel,
+        power,
+        bandwidth: channel,
+        impulseProbability: impulseRate / 100,
+        impulseRatio,
+        seed: noiseSeed,
+      });
+      for (let i = 0; i < rawI.length; i++) {
+        rawI[i] += I[i];
+        rawQ[i] += Q[i];
+      }
+
+      const snrDb = 10 * Math.log10(signalPower / power);
+      return {
+        spec,
+        snrDb,
+        ebN0Db: bitRate ? snrDb + 10 * Math.log10(channel / bitRate) : null,
+        floorDbm,
+      };
+    })();
+    const filteredI = channelFilter(rawI);
+    const filteredQ = channelFilter(rawQ);
     const reconstructed = upconvert(filteredI, filteredQ, t, lCarrier);
 
+    // --- LO: what its phase noise costs, predicted from the mask and measured ---
+    const lo = (() => {
+      const N = t.length;
+      const lowest = (lSR / N) * basebandScale; // shortest offset the record resolves
+      const channel = 2 * lFilterCutoff * basebandScale;
+      // Jitter on the wanted signal itself: close-in noise inside the channel
+      const jitter = integratedPhaseNoise(loMask, lowest, channel / 2);
+      // The blocker's skirt falling into the channel, relative to the wanted signal
+      const skirt = blocker
+        ? integratedPhaseNoise(loMask, Math.max(lowest, blockerOffset - channel / 2), blockerOffset + channel / 2) ** 2 / 2
+          * 10 ** (blockerLevel / 10)
+        : 0;
+      const noise = jitter ** 2 + skirt;
+
+      // Measured SNR of a tone: fit the rotating phasor it should be, call
+      // the rest noise (thermal noise included)
+      const edge = Math.floor(filterTaps / 2) + 10;
+      let toneSnrDb = null;
+      if (signalType === "tone" && N > 2 * edge) {
+        const w = (-2 * Math.PI * loOffset) / basebandScale / lSR;
+        let aRe = 0, aIm = 0;
+        for (let n = edge; n < N - edge; n++) {
+          aRe += filteredI[n] * Math.cos(w * n) + filteredQ[n] * Math.sin(w * n);
+          aIm += filteredQ[n] * Math.cos(w * n) - filteredI[n] * Math.sin(w * n);
+        }
+        aRe /= N - 2 * edge;
+        aIm /= N - 2 * edge;
+        let err = 0;
+        for (let n = edge; n < N - edge; n++) {
+          const eI = filteredI[n] - (aRe * Math.cos(w * n) - aIm * Math.sin(w * n));
+          const eQ = filteredQ[n] - (aRe * Math.sin(w * n) + aIm * Math.cos(w * n));
+          err += (eI * eI + eQ * eQ) / (N - 2 * edge);
+        }
+        toneSnrDb = 10 * Math.log10((aRe * aRe + aIm * aIm) / err);
+      }
+
+      // Measured spectrum of the LO's own phase noise, back in real units
+      const measured = loMask.length
+        ? measurePhaseNoise(phaseNoise(N, lSR, scaledLoMask), lSR).map(({ offset, level }) => ({
+          offset: offset * basebandScale,
+          level: level - 10 * Math.log10(basebandScale),
+        }))
+        : [];
+
+      return {
+        jitterDeg: (jitter * 180) / Math.PI,
+        skirtDb: 10 * Math.log10(skirt),
+        snrCeilingDb: -10 * Math.log10(noise),
+        toneSnrDb,
+        measured,
+        channel,
+        // Real time is simulated time / scale
+        durationMs: (N / lSR / basebandScale) * 1e3,
+        driftHz: loDrift * (N / lSR / basebandScale) * 1e3,
+      };
+    })();
+
+    // --- I/Q imbalance: estimate on the first half, then judge before and
+    // after on the second (re-estimating on the data that set the
+    // correction would always read perfect) ---
+    const half = Math.floor(filteredI.length / 2);
+    const edge = Math.floor(filterTaps / 2) + 10;
+    const iqEstimate = estimateIqImbalance(filteredI.subarray(0, half), filteredQ.subarray(0, half), { skip: edge });
+    const corrected = correctIqImbalance(filteredI, filteredQ, iqEstimate);
+    const heldOut = (I, Q) => estimateIqImbalance(I.subarray(half), Q.subarray(half), { skip: edge });
+    const before = heldOut(filteredI, filteredQ);
+    const iqBalance = {
+      // What the sliders injected, for comparison with what was measured
+      set: {
+        gainImbalanceDb: iqGain,
+        quadratureError: (iqPhase * Math.PI) / 180,
+        dcDb: 10 * Math.log10((dcOffsetI ** 2 + dcOffsetQ ** 2) / before.power),
+        irrDb: imageRejectionDb(iqGain, (iqPhase * Math.PI) / 180),
+      },
+      before,
+      after: heldOut(corrected.I, corrected.Q),
+    };
+    const rxI = iqCorrection === "blind" ? corrected.I : filteredI;
+    const rxQ = iqCorrection === "blind" ? corrected.Q : filteredQ;
+
+    // --- Carrier recovery: derotate by whatever the LO got wrong ---
+    const carrier = carrierLoop === "off" ? null : recoverCarrier(rxI, rxQ, lSR, {
+      loop: carrierLoop, loopBandwidth: carrierBandwidth / basebandScale, damping: carrierDamping,
+    });
+    const lockedI = carrier ? carrier.I : rxI;
+    const lockedQ = carrier ? carrier.Q : rxQ;
+
+    // Once the channel filter has narrowed the band, baseband no longer
+    // needs the full RF rate
+    const decimatedRate = lSR / decimation;
+    const decimatedI = decimate(rxI, decimation);
+    const decimatedQ = decimate(rxQ, decimation);
+
+    // --- FM demodulation: captures carry real broadcast FM at real rates ---
+    const fm = isRealSignal
+      ? fmDemodulate(decimatedI, decimatedQ, decimatedRate, { method: discriminator, tau: deemphasisTau })
+      : null;
+
+    // --- AM detection: compare every detector against the modulating tone ---
+    const am = signalType === "am" && !isRealSignal ? (() => {
+      const skip = Math.floor(filterTaps / 2) + 10;
+      const detectors = AM_DETECTORS.map((d) => {
+        const output = amDemodulate(lockedI, lockedQ, d.value);
+        return { ...d, output, fit: toneFit(output, scaledModFreq, lSR, { skip }) };
+      });
+      const { output, fit } = detectors.find((d) => d.value === amDetector);
+      // Remove the carrier (DC) term and match the message amplitude
+      const gain = fit.amplitude > 0 ? amIndex / fit.amplitude : 0;
+      const recovered = output.map((v) => (v - fit.offset) * gain);
+      const original = t.map((ti) => amIndex * Math.cos(2 * Math.PI * scaledModFreq * ti));
+      return {
+        recovered,
+        original,
+        table: detectors.map(({ value, label, fit: f }) => ({ value, label, distortionPct: f.distortionPct, sinadDb: f.sinadDb })),
+      };
+    })() : null;
+
+    // --- Symbol timing: matched filter, then a timing loop picks one
+    // sample per symbol ---
+    const timing = isDigital && !isRealSignal ? (() => {
+      const sps = lSR / (symbolRate / lScaleFactor);
+      // A raised cosine is already Nyquist; rect and RRC get their matched
+      // filter, normalized to unit gain at the symbol instant
+      const matched = digitalPulse === "rc" ? null : pulseKernel(digitalPulse, sps, { rolloff: digitalRolloff });
+      if (matched) {
+        const energy = matched.reduce((sum, v) => sum + v * v, 0);
+        for (let i = 0; i < matched.length; i++) matched[i] /= energy;
+      }
+      const mI = matched ? applyFIR(lockedI, matched) : lockedI;
+      const mQ = matched ? applyFIR(lockedQ, matched) : lockedQ;
+      // Start a quarter symbol early: an arbitrary offset for the loop to
+      // pull in, clear of Gardner's unstable point half a symbol away
+      const rec = recoverTiming(mI, mQ, sps, {
+        detector: timingDetector, modulation: digitalModulation, loopBandwidth: timingBandwidth,
+        damping: timingDamping, start: sps / 4,
+      });
+      // Leave out the first third while the loop is still acquiring
+      const settled = Math.floor(rec.I.length / 3);
+      return {
+        sps,
+        error: rec.error,
+        times: rec.positions.map((p) => p / lSR),
+        symbolsI: rec.I.slice(settled),
+        symbolsQ: rec.Q.slice(settled),
+        count: rec.I.length,
+        settled,
+      };
+    })() : null;
+
+    // --- Constellation error: recovered symbols against the ideal points ---
+    const evm = timing && (() => {
+      const m = constellationError(timing.symbolsI, timing.symbolsQ, digitalModulation);
+      const points = constellation(digitalModulation);
+      // Received symbols in the ideal constellation's frame: decision + error
+      const normalizedI = m.errorI.map((e, k) => points[m.decisions[k]].I + e);
+      const normalizedQ = m.errorQ.map((e, k) => points[m.decisions[k]].Q + e);
+      return { ...m, points, normalizedI, normalizedQ, times: timing.times.slice(timing.settled) };
+    })();
+
+    // --- OFDM: CP removal → FFT → pilot channel estimate → equalize ---
+    const ofdm = ofdmSource && (() => {
+      const { frame } = ofdmSource;
+      const rx = ofdmDemodulate(lockedI, lockedQ, lSR, frame);
+      // Channel magnitude relative to its average across the band
+      let meanPower = 0;
+      for (let a = 0; a < frame.carriers.length; a++) {
+        meanPower += (rx.channelRe[a] ** 2 + rx.channelIm[a] ** 2) / frame.carriers.length;
+      }
+      const channelDb = rx.channelRe.map((re, a) => 10 * Math.log10((re * re + rx.channelIm[a] ** 2) / meanPower));
+      return { ...rx, frame, channelDb, spacing: ofdmBandwidth / ofdmSubcarriers };
+    })();
+
+    // --- Radar: pulse compression against the transmitted chirp ---
+    const radar = radarSource && (() => {
+      const replica = lfmReplica(lSR, radarSource);
+      const compressed = pulseCompress(lockedI, lockedQ, replica, { window: radarWindow });
+      const metrics = compressionMetrics(replica, lSR, { window: radarWindow });
+      // Levels in dB relative to a 0 dB target; the mixer halves the amplitude
+      const unit = 0.5;
+      const toLevel = (v) => 20 * Math.log10(Math.max(v / unit, 1e-6));
+      const envelopeDb = lockedI.map((v, i) => toLevel(Math.hypot(v, lockedQ[i])));
+      const profileDb = compressed.magnitude.map(toLevel);
+      const metresPerSample = SPEED_OF_LIGHT / 2 / (lSR * basebandScale);
+      const resolutionM = (metrics.resolution * SPEED_OF_LIGHT) / 2 / basebandScale;
+      // Range-Doppler coupling: an up-chirp's matched filter places a
+      // Doppler-shifted echo fd·T/B early
+      const measured = radarTargets.map((tg) => {
+        const shiftM = ((tg.doppler / (radarBandwidth / 1e3)) * radarWidth * SPEED_OF_LIGHT) / 2;
+        const expectedM = tg.range * 1e3 - shiftM;
+        const center = Math.round(expectedM / metresPerSample);
+        const span = Math.ceil(resolutionM / metresPerSample);
+        let best = -1;
+        for (let n = Math.max(0, center - span); n <= Math.min(profileDb.length - 1, center + span); n++) {
+          if (best < 0 || profileDb[n] > profileDb[best]) best = n;
+        }
+        return {
+          ...tg,
+          expected: expectedM / 1e3,
+          range: best < 0 ? null : (best * metresPerSample) / 1e3,
+          peakDb: best < 0 ? null : profileDb[best],
+        };
+      });
+      return {
+        envelopeDb,
+        profileDb,
+        metrics: { ...metrics, resolutionM },
+        metresPerSample,
+        measured,
+        replica,
+        timeBandwidth: radarBandwidth * radarWidth,
+      };
+    })();
+
     // --- Spectra ---
-    const inputSpectrum = fftReal(inputSignal, lSR);
-    const inputDb = toDb(inputSpectrum.magnitudes);
-    const rawIQSpectrum = fftComplex(rawI, rawQ, lSR);
-    const rawIQDb = toDb(rawIQSpectrum.magnitudes);
-    const filteredIQSpectrum = fftComplex(filteredI, filteredQ, lSR);
-    const filteredIQDb = toDb(filteredIQSpectrum.magnitudes);
-    const reconstructedSpectrum = fftReal(reconstructed, lSR);
-    const reconstructedDb = toDb(reconstructedSpectrum.magnitudes);
+    const inputSpectrum = realSpectrum(inputSignal, lSR, spectrumSettings);
+    const preselectedSpectrum = preselectFilter ? realSpectrum(rfSignal, lSR, spectrumSettings) : null;
+    const rawIQSpectrum = complexSpectrum(rawI, rawQ, lSR, spectrumSettings);
+    const filteredIQSpectrum = complexSpectrum(filteredI, filteredQ, lSR, spectrumSettings);
+    const correctedIQSpectrum = complexSpectrum(corrected.I, corrected.Q, lSR, spectrumSettings);
+    const decimatedIQSpectrum = complexSpectrum(decimatedI, decimatedQ, decimatedRate, spectrumSettings);
+    const reconstructedSpectrum = realSpectrum(reconstructed, lSR, spectrumSettings);
+
+    // --- Power levels: every spectrum shares one reference and one y-range ---
+    const isRelative = spectrumSettings.unit === "relative";
+    const levels = (spec) => toDb(spec.magnitudes, -300, isRelative ? null : {
+      ...spectrumSettings,
+      // PSD is per displayed Hz, so scale ENBW like the frequency axis
+      enbwHz: spec.enbwHz * lScaleFactor,
+      oneSided: spec.oneSided,
+    });
+    let inputDb = levels(inputSpectrum);
+    let preselectedDb = preselectedSpectrum ? levels(preselectedSpectrum) : null;
+    let rawIQDb = levels(rawIQSpectrum);
+    let filteredIQDb = levels(filteredIQSpectrum);
+    let correctedIQDb = levels(correctedIQSpectrum);
+    let decimatedIQDb = levels(decimatedIQSpectrum);
+    let reconstructedDb = levels(reconstructedSpectrum);
+    let yDomain = [-80, 0];
+    if (!isRelative) {
+      let peak = -Infinity;
+      for (const db of [inputDb, rawIQDb]) {
+        for (let i = 0; i < db.length; i++) if (db[i] > peak) peak = db[i];
+      }
+      const top = Math.ceil(peak / 10) * 10 + 10;
+      yDomain = [top - 100, top];
+    }
+    [inputDb, rawIQDb, filteredIQDb, correctedIQDb, decimatedIQDb, reconstructedDb] = [inputDb, rawIQDb, filteredIQDb, correctedIQDb, decimatedIQDb, reconstructedDb]
+      .map((db) => db.map((v) => Math.max(v, yDomain[0])));
+    if (preselectedDb) preselectedDb = preselectedDb.map((v) => Math.max(v, yDomain[0]));
+    const unitLabel = POWER_UNITS.find((u) => u.value === spectrumSettings.unit).axis;
 
     // --- SNR ---
+    // Edge samples to skip. A causal IIR's delay is not compensated, so it
+    // also shows up as reconstruction error.
+    const snrDelay = iir
+      ? Math.round(sosResponse(iir.sos, lSR, { points: 2 }).groupDelay[0])
+      : Math.floor(filterTaps / 2);
     const reconstructionSNR = (() => {
-      const delay = Math.floor(filterTaps / 2);
+      const delay = snrDelay;
       const start = delay + 10;
       const end = inputSignal.length - delay - 10;
       if (end <= start) return '0.0';
@@ -149,19 +828,70 @@ export default function App() {
       return errPow > 0 ? (10 * Math.log10(sigPow / errPow)).toFixed(1) : '∞';
     })();
 
+    // Audio-band spectra are plotted in their own relative dB, in real Hz
+    const fmSpectra = fm && (() => {
+      const mpx = fftReal(fm.mpx, decimatedRate, { window: "hann", zeroPad: "pow2" });
+      const audio = fftReal(fm.audio, fm.audioRate, { window: "hann", zeroPad: 4 });
+      return {
+        mpx: { frequencies: mpx.frequencies, db: toDb(mpx.magnitudes) },
+        audio: { frequencies: audio.frequencies, db: toDb(audio.magnitudes) },
+      };
+    })();
+
     return {
       t, inputSignal, rawI, rawQ, filteredI, filteredQ, reconstructed,
       inputSpectrum: { frequencies: inputSpectrum.frequencies.map(f => f * lScaleFactor), db: inputDb },
       rawIQSpectrum: { frequencies: rawIQSpectrum.frequencies.map(f => f * lScaleFactor), db: rawIQDb },
       filteredIQSpectrum: { frequencies: filteredIQSpectrum.frequencies.map(f => f * lScaleFactor), db: filteredIQDb },
+      correctedIQDb,
+      iqBalance,
+      lo,
+      adc,
+      noise,
+      multipath,
+      rxI,
+      rxQ,
+      decimatedIQSpectrum: { frequencies: decimatedIQSpectrum.frequencies.map(f => f * lScaleFactor), db: decimatedIQDb },
+      decimatedLength: decimatedI.length,
+      decimatedRate,
+      am,
+      fm,
+      fmSpectra,
+      timing,
+      evm,
+      ofdm,
+      radar,
+      lockedI,
+      lockedQ,
+      carrier: carrier && {
+        phaseError: carrier.phaseError,
+        frequency: carrier.frequency.map((f) => f * basebandScale),
+        // A mistuned LO spins the baseband at −Δf, so that is where the NCO settles
+        target: -loOffset,
+      },
+      // Largest factor whose new Nyquist still clears the channel filter cutoff
+      maxDecimation: Math.floor(lSR / (2 * lFilterCutoff)),
       reconstructedSpectrum: { frequencies: reconstructedSpectrum.frequencies.map(f => f * lScaleFactor), db: reconstructedDb },
+      preselectedDb,
+      filterKernel: iir ? null : sincLPFKernel(lFilterCutoff, lSR, filterTaps),
+      iir,
+      filterCutoff: lFilterCutoff,
+      sampleRate: lSR,
+      basebandScale,
+      preselectTaps: preselectFilter ? preselectFilter.length : 0,
       scaleFactor: lScaleFactor,
+      yDomain,
+      unitLabel,
+      // Two-sided spectrum has exactly one bin per FFT point
+      fftSize: rawIQSpectrum.frequencies.length,
+      binHz: (rawIQSpectrum.frequencies[1] - rawIQSpectrum.frequencies[0]) * lScaleFactor,
       reconstructionSNR,
+      snrDelay,
       isReal: isRealSignal,
       captureLabel: isRealSignal ? realCaptures[realSignalIdx].label : null,
       centerFreqMHz: isRealSignal ? realCaptures[realSignalIdx].center_freq_mhz : carrierFreqMHz,
     };
-  }, [signalType, scaledCarrier, scaledModFreq, scaledSampleRate, duration, amIndex, fmDeviation, modulatingFreq, scaleFactor, scaledFilterCutoff, filterTaps, noisePower, isRealSignal, realSignalIdx, filterBW]);
+  }, [signalType, scaledCarrier, scaledModFreq, scaledSampleRate, duration, amIndex, fmDeviation, modulatingFreq, scaleFactor, scaledFilterCutoff, filterTaps, noiseEnabled, noiseModel, noiseSpec, noiseSnr, noiseEbN0, noiseFigure, rxLevel, impulseRate, impulseRatio, noiseSeed, isRealSignal, realSignalIdx, filterBW, spectrumSettings, preselect, preselectBW, filterKind, iirFamily, iirOrder, iirRipple, iirAttenuation, iirZeroPhase, decimation, discriminator, deemphasisTau, amDetector, modulation, symbolRate, pulseShape, rolloff, bitSource, bitSeed, customBits, timingDetector, timingBandwidth, timingDamping, loOffset, loPhase, carrierLoop, carrierBandwidth, carrierDamping, isOfdm, ofdmSubcarriers, ofdmCpFraction, ofdmPilotLayout, ofdmPilotSpacing, ofdmBandwidth, isRadar, radarBandwidth, radarWidth, radarTargets, radarWindow, iqGain, iqPhase, dcOffsetI, dcOffsetQ, iqCorrection, phaseNoiseMask, phaseNoiseShift, loDrift, blocker, blockerLevel, blockerOffset, adcEnabled, adcBits, adcFullScale, adcDither, adcJitter, channelProfile, channelFading, channelDoppler, channelK, channelSeed, customTaps]);
 
   // Chart data
   const filteredIQChart = useMemo(
@@ -173,6 +903,7 @@ export default function App() {
   const inputSpectrumChart = useMemo(() => {
     const freqs = results.inputSpectrum.frequencies;
     const db = results.inputSpectrum.db;
+    const pre = results.preselectedDb;
     const center = results.centerFreqMHz * 1e6;
     const margin = center * 0.5;
     const lo = center - margin;
@@ -181,7 +912,7 @@ export default function App() {
     const step = Math.max(1, Math.floor(freqs.length / 500));
     for (let i = 0; i < freqs.length; i += step) {
       if (freqs[i] >= lo && freqs[i] <= hi) {
-        filtered.push({ f: freqs[i], mag: db[i] });
+        filtered.push(pre ? { f: freqs[i], mag: db[i], preselected: pre[i] } : { f: freqs[i], mag: db[i] });
       }
     }
     return filtered;
@@ -194,6 +925,183 @@ export default function App() {
     () => downsampleSpectrum(results.filteredIQSpectrum.frequencies, results.filteredIQSpectrum.db),
     [results],
   );
+  const adcCharts = useMemo(() => {
+    if (!results.adc) return null;
+    // A few dozen samples, enough to see the steps
+    const n = Math.min(results.t.length, 60);
+    const waveform = [];
+    for (let i = 0; i < n; i++) {
+      waveform.push({ t: results.t[i], analog: results.adc.input[i], digital: results.adc.output[i] });
+    }
+    const { frequencies, dbfs } = results.adc.spectrum;
+    let floor = 0;
+    for (const v of dbfs) floor = Math.min(floor, v);
+    return {
+      waveform,
+      spectrum: downsampleSpectrum(frequencies, dbfs),
+      yDomain: [Math.max(-160, Math.floor(floor / 10) * 10), 10],
+    };
+  }, [results]);
+  const phaseNoiseChart = useMemo(() => {
+    const mask = (PHASE_NOISE_MASKS.find((m) => m.value === phaseNoiseMask)?.mask || [])
+      .map(({ offset, level }) => ({ offset, level: level + phaseNoiseShift }));
+    return results.lo.measured.map(({ offset, level }) => ({
+      f: offset,
+      measured: level,
+      mask: phaseNoiseLevel(mask, offset),
+    }));
+  }, [results, phaseNoiseMask, phaseNoiseShift]);
+  const iqCorrectionChart = useMemo(() => {
+    const { frequencies, db } = results.filteredIQSpectrum;
+    const step = Math.max(1, Math.floor(frequencies.length / 500));
+    const data = [];
+    for (let i = 0; i < frequencies.length; i += step) {
+      data.push({ f: frequencies[i], before: db[i], after: results.correctedIQDb[i] });
+    }
+    return data;
+  }, [results]);
+  const amChart = useMemo(
+    () => results.am && downsampleForChart(results.t, { original: results.am.original, recovered: results.am.recovered }),
+    [results],
+  );
+  const fmCharts = useMemo(() => {
+    if (!results.fm) return null;
+    const { audio, audioRate } = results.fm;
+    const tAudio = new Float64Array(audio.length);
+    for (let i = 0; i < audio.length; i++) tAudio[i] = (i / audioRate) * 1e3; // ms
+    return {
+      waveform: downsampleForChart(tAudio, { audio }),
+      mpx: downsampleSpectrum(results.fmSpectra.mpx.frequencies, results.fmSpectra.mpx.db),
+      audio: downsampleSpectrum(results.fmSpectra.audio.frequencies, results.fmSpectra.audio.db),
+    };
+  }, [results]);
+  const carrierChart = useMemo(() => {
+    if (!results.carrier) return null;
+    const { phaseError, frequency, target } = results.carrier;
+    return downsampleForChart(results.t, {
+      phaseError,
+      frequency: frequency.map((f) => f / 1e3),
+      target: new Float64Array(frequency.length).fill(target / 1e3),
+    });
+  }, [results]);
+
+  // Animation: step through the signal one slice at a time
+  useEffect(() => {
+    if (!carrierPlaying) return undefined;
+    if (carrierFrame >= CARRIER_FRAMES - 1) {
+      setCarrierPlaying(false);
+      return undefined;
+    }
+    const id = setTimeout(() => setCarrierFrame((f) => f + 1), 150);
+    return () => clearTimeout(id);
+  }, [carrierPlaying, carrierFrame]);
+  const carrierAnimation = useMemo(() => {
+    if (!results.carrier) return null;
+    const N = results.t.length;
+    const length = Math.floor(N / CARRIER_FRAMES);
+    const start = carrierFrame * length;
+    const end = start + length;
+    let range = 0;
+    for (let i = 0; i < N; i++) {
+      range = Math.max(range, Math.abs(results.rxI[i]), Math.abs(results.rxQ[i]));
+    }
+    return {
+      before: { I: Array.from(results.rxI.slice(start, end)), Q: Array.from(results.rxQ.slice(start, end)) },
+      after: { I: Array.from(results.lockedI.slice(start, end)), Q: Array.from(results.lockedQ.slice(start, end)) },
+      range: range * 1.2,
+      startMs: (results.t[start] / results.basebandScale) * 1e3,
+      endMs: (results.t[Math.min(end, N - 1)] / results.basebandScale) * 1e3,
+    };
+  }, [results, carrierFrame]);
+  const evmChart = useMemo(
+    () => results.evm && downsampleForChart(results.evm.times, { I: results.evm.errorI, Q: results.evm.errorQ }),
+    [results],
+  );
+  const timingChart = useMemo(
+    () => results.timing && downsampleForChart(results.timing.times, { error: results.timing.error }),
+    [results],
+  );
+  const ofdmCharts = useMemo(() => {
+    if (!results.ofdm) return null;
+    const { frame, re, im, snrDb, channelDb, spacing } = results.ofdm;
+    const { carriers, pilot, symbols } = frame;
+    const A = carriers.length;
+    const carrierIdx = Math.min(ofdmCarrierIdx, A - 1);
+    // Equalized data cells: every subcarrier, and the chosen one alone
+    const all = { I: [], Q: [] };
+    const one = { I: [], Q: [] };
+    for (let s = 0; s < symbols; s++) {
+      for (let a = 0; a < A; a++) {
+        const cell = s * A + a;
+        if (pilot[cell]) continue;
+        all.I.push(re[cell]);
+        all.Q.push(im[cell]);
+        if (a === carrierIdx) {
+          one.I.push(re[cell]);
+          one.Q.push(im[cell]);
+        }
+      }
+    }
+    const snr = [];
+    let snrMin = Infinity, snrMax = -Infinity;
+    for (let a = 0; a < A; a++) {
+      if (Number.isNaN(snrDb[a])) continue; // pilot-only subcarrier
+      snr.push({ f: carriers[a] * spacing, snr: snrDb[a] });
+      snrMin = Math.min(snrMin, snrDb[a]);
+      snrMax = Math.max(snrMax, snrDb[a]);
+    }
+    return {
+      all,
+      one,
+      carrierIdx,
+      carrier: carriers[carrierIdx],
+      carrierSnrDb: snrDb[carrierIdx],
+      snr,
+      snrDomain: [Math.floor(Math.min(snrMin, snrMax - 10) / 5) * 5, Math.ceil(snrMax / 5) * 5 + 5],
+      channel: Array.from(carriers, (k, a) => ({ f: k * spacing, mag: channelDb[a] })),
+      points: constellation(modulation),
+    };
+  }, [results, ofdmCarrierIdx, modulation]);
+  const radarCharts = useMemo(() => {
+    if (!results.radar) return null;
+    const { envelopeDb, profileDb, metresPerSample, replica } = results.radar;
+    // Peak-hold down to chart resolution, so narrow compressed peaks survive
+    const maxPoints = 1500;
+    const bucket = Math.max(1, Math.ceil(profileDb.length / maxPoints));
+    const profile = [];
+    for (let i = 0; i < profileDb.length; i += bucket) {
+      let compressed = -Infinity, received = -Infinity;
+      for (let j = i; j < Math.min(i + bucket, profileDb.length); j++) {
+        compressed = Math.max(compressed, profileDb[j]);
+        received = Math.max(received, envelopeDb[j]);
+      }
+      profile.push({ f: (i * metresPerSample) / 1e3, compressed, received });
+    }
+    const tPulse = new Float64Array(replica.I.length);
+    for (let i = 0; i < tPulse.length; i++) tPulse[i] = (i / results.sampleRate / results.basebandScale) * 1e6; // µs
+    return { profile, pulse: downsampleForChart(tPulse, { I: replica.I, Q: replica.Q }) };
+  }, [results]);
+  const updateTarget = (index, key, value) => {
+    setRadarTargets((targets) => targets.map((tg, i) => (i === index ? { ...tg, [key]: value } : tg)));
+  };
+  const updateTap = (index, key, value) => {
+    setCustomTaps((taps) => taps.map((tap, i) => (i === index ? { ...tap, [key]: value } : tap)));
+  };
+  const channelCharts = useMemo(() => {
+    if (!results.multipath) return null;
+    const { frequencies, theory, measured } = results.multipath.response;
+    const response = frequencies.map((f, i) => ({ f, theory: theory[i], measured: measured[i] }));
+    const step = Math.max(1, Math.floor(results.t.length / 500));
+    const fade = [];
+    for (let i = 0; i < results.t.length; i += step) {
+      fade.push({ t: results.t[i], fade: Math.max(results.multipath.fade[i], -40) });
+    }
+    return { response, fade };
+  }, [results]);
+  const decimatedIQSpectrumChart = useMemo(
+    () => downsampleSpectrum(results.decimatedIQSpectrum.frequencies, results.decimatedIQSpectrum.db),
+    [results],
+  );
   const reconstructionCompareChart = useMemo(() => {
     const origFreqs = results.inputSpectrum.frequencies;
     const origDb = results.inputSpectrum.db;
@@ -211,13 +1119,15 @@ export default function App() {
         data.push({
           f: origFreqs[i],
           original: origDb[i],
-          reconstructed: i < reconFreqs.length ? reconDb[i] : -80,
+          reconstructed: i < reconFreqs.length ? reconDb[i] : results.yDomain[0],
         });
       }
     }
     return data;
   }, [results]);
 
+  const fftInfo = `${results.fftSize}-pt FFT · ${(results.binHz / 1000).toFixed(2)} kHz bins`;
+
   const handleSignalChange = (e) => {
     const val = e.target.value;
     if (val.startsWith("real_")) {
@@ -226,6 +1136,101 @@ export default function App() {
     setSignalType(val);
   };
 
+  // Receiver noise settings, shown both next to the raw baseband and with
+  // the reconstruction controls
+  const noiseSummary = results.noise && [
+    `SNR ${results.noise.snrDb.toFixed(1)} dB`,
+    results.noise.ebN0Db !== null && `Eb/N0 ${results.noise.ebN0Db.toFixed(1)} dB`,
+    results.noise.spec === "noiseFigure" && `floor ${results.noise.floorDbm.toFixed(1)} dBm`,
+  ].filter(Boolean).join(" · ");
+  const noiseControls = (
+    <>
+      <div className="control-group">
+        <label className="legend-toggle">
+          <input type="checkbox" checked={noiseEnabled} onChange={(e) => setNoiseEnabled(e.target.checked)} />
+          Receiver Noise
+        </label>
+        <select value={noiseModel} disabled={!noiseEnabled} onChange={(e) => setNoiseModel(e.target.value)}>
+          {NOISE_MODELS.map((m) => (
+            <option key={m.value} value={m.value}>{m.label}</option>
+          ))}
+        </select>
+        <span className="control-value">{noiseSummary || "off"}</span>
+      </div>
+      {noiseEnabled && (
+        <div className="control-group">
+          <label>Noise Level</label>
+          <select value={noiseSpec} onChange={(e) => setNoiseSpec(e.target.value)}>
+            {NOISE_SPECS.filter((m) => m.value !== "ebn0" || isDigital).map((m) => (
+              <option key={m.value} value={m.value}>{m.label}</option>
+            ))}
+          </select>
+          {results.noise.spec === "snr" && (
+            <>
+              <input
+                type="range" min={-10} max={60} step={1}
+                value={noiseSnr}
+                onChange={(e) => setNoiseSnr(Number(e.target.value))}
+              />
+              <span className="control-value">{noiseSnr} dB in {(filterBW / 1000).toFixed(0)} kHz</span>
+            </>
+          )}
+          {results.noise.spec === "ebn0" && (
+            <>
+              <input
+                type="range" min={-5} max={30} step={0.5}
+                value={noiseEbN0}
+                onChange={(e) => setNoiseEbN0(Number(e.target.value))}
+              />
+              <span className="control-value">Eb/N0 = {noiseEbN0.toFixed(1)} dB</span>
+            </>
+          )}
+          {results.noise.spec === "noiseFigure" && (
+            <>
+              <input
+                type="range" min={0} max={20} step={0.5}
+                value={noiseFigure}
+                onChange={(e) => setNoiseFigure(Number(e.target.value))}
+              />
+              <input
+                type="range" min={-130} max={-30} step={1}
+                value={rxLevel}
+                onChange={(e) => setRxLevel(Number(e.target.value))}
+              />
+              <span className="control-value">NF {noiseFigure.toFixed(1)} dB · signal {rxLevel} dBm</span>
+            </>
+          )}
+        </div>
+      )}
+      {noiseEnabled && noiseModel === "impulsive" && (
+        <div className="control-group">
+          <label>Impulses</label>
+          <input
+            type="range" min={0.1} max={10} step={0.1}
+            value={impulseRate}
+            onChange={(e) => setImpulseRate(Number(e.target.value))}
+          />
+          <input
+            type="range" min={10} max={50} step={1}
+            value={impulseRatio}
+            onChange={(e) => setImpulseRatio(Number(e.target.value))}
+          />
+          <span className="control-value">{impulseRate.toFixed(1)}% of samples · +{impulseRatio} dB</span>
+        </div>
+      )}
+      {noiseEnabled && (
+        <div className="control-group">
+          <label>Noise Seed</label>
+          <input
+            type="number" min={1} step={1}
+            value={noiseSeed}
+            onChange={(e) => setNoiseSeed(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+          />
+        </div>
+      )}
+    </>
+  );
+
   return (
     <div className="app">
       <header className="app-header">
@@ -252,13 +1257,18 @@ export default function App() {
                 <select value={signalType} onChange={handleSignalChange}>
                   <option value="tone">Pure Tone</option>
                   <option value="am">AM</option>
+                  <option value="digital">Digital (PSK / QAM)</option>
+                  <option value="ref_qpsk">QPSK Reference</option>
+                  <option value="ref_16qam">16-QAM Reference</option>
+                  <option value="ofdm">OFDM</option>
+                  <option value="radar">Radar (LFM pulse echoes)</option>
                   <option disabled>── Real Captures ──</option>
                   {realCaptures.map((c, i) => (
                     <option key={i} value={`real_${i}`}>📡 {c.label}</option>
                   ))}
                 </select>
               </div>
-              {!isRealSignal && signalType !== "tone" && (
+              {!isRealSignal && signalType !== "tone" && !isDigital && !isOfdm && !isRadar && (
                 <div className="control-group">
                   <label>Modulating Frequency</label>
                   <input
@@ -269,8 +1279,233 @@ export default function App() {
                   <span className="control-value">{(modulatingFreq / 1000).toFixed(0)} kHz</span>
                 </div>
               )}
+              {signalType === "am" && (
+                <div className="control-group">
+                  <label>Modulation Index</label>
+                  <input
+                    type="range" min={0.1} max={1.5} step={0.05}
+                    value={amIndex}
+                    onChange={(e) => setAmIndex(Number(e.target.value))}
+                  />
+                  <span className="control-value">
+                    m = {amIndex.toFixed(2)} ({Math.round(amIndex * 100)}%{amIndex > 1 ? ", overmodulated" : ""})
+                  </span>
+                </div>
+              )}
+              {referenceModulation && (
+                <div className="control-group">
+                  <label>Symbol Rate</label>
+                  <input
+                    type="range" min={10000} max={250000} step={10000}
+                    value={symbolRate}
+                    onChange={(e) => setSymbolRate(Number(e.target.value))}
+                  />
+                  <span className="control-value">{(symbolRate / 1000).toFixed(0)} ksym/s · RRC β = 0.35</span>
+                </div>
+              )}
+              {signalType === "digital" && (
+                <>
+                  <div className="control-group">
+                    <label>Modulation</label>
+                    <select value={modulation} onChange={(e) => setModulation(e.target.value)}>
+                      {MODULATIONS.map((m) => (
+                        <option key={m.value} value={m.value}>{m.label} ({m.bitsPerSymbol} bit{m.bitsPerSymbol > 1 ? "s" : ""}/symbol)</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="control-group">
+                    <label>Symbol Rate</label>
+                    <input
+                      type="range" min={10000} max={250000} step={10000}
+                      value={symbolRate}
+                      onChange={(e) => setSymbolRate(Number(e.target.value))}
+                    />
+                    <span className="control-value">{(symbolRate / 1000).toFixed(0)} ksym/s</span>
+                  </div>
+                  <div className="control-group">
+                    <label>Pulse Shape</label>
+                    <select value={pulseShape} onChange={(e) => setPulseShape(e.target.value)}>
+                      {PULSE_SHAPES.map((p) => (
+                        <option key={p.value} value={p.value}>{p.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {pulseShape !== "rect" && (
+                    <div className="control-group">
+                      <label>Roll-off (β)</label>
+                      <input
+                        type="range" min={0.05} max={1} step={0.05}
+                        value={rolloff}
+                        onChange={(e) => setRolloff(Number(e.target.value))}
+                      />
+                      <span className="control-value">
+                        β = {rolloff.toFixed(2)} · {((symbolRate * (1 + rolloff)) / 1000).toFixed(0)} kHz occupied
+                      </span>
+                    </div>
+                  )}
+                  <div className="control-group">
+                    <label>Bit Source</label>
+                    <select value={bitSource} onChange={(e) => setBitSource(e.target.value)}>
+                      <option value="random">Random (seeded)</option>
+                      <option value="custom">Custom bits</option>
+                    </select>
+                  </div>
+                  {bitSource === "random" ? (
+                    <div className="control-group">
+                      <label>Seed</label>
+                      <input
+                        type="number" min={1} step={1}
+                        value={bitSeed}
+                        onChange={(e) => setBitSeed(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+                      />
+                    </div>
+                  ) : (
+                    <div className="control-group">
+                      <label>Bits (repeated to fill)</label>
+                      <input
+                        type="text"
+                        value={customBits}
+                        onChange={(e) => setCustomBits(e.target.value)}
+                        style={{ fontFamily: 'JetBrains Mono, monospace' }}
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+              {isOfdm && (
+                <>
+                  <div className="control-group">
+                    <label>Subcarrier Modulation</label>
+                    <select value={modulation} onChange={(e) => setModulation(e.target.value)}>
+                      {MODULATIONS.map((m) => (
+                        <option key={m.value} value={m.value}>{m.label} ({m.bitsPerSymbol} bit{m.bitsPerSymbol > 1 ? "s" : ""}/symbol)</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="control-group">
+                    <label>Subcarriers (FFT size)</label>
+                    <select value={ofdmSubcarriers} onChange={(e) => setOfdmSubcarriers(Number(e.target.value))}>
+                      {[16, 32, 64, 128, 256].map((n) => (
+                        <option key={n} value={n}>{n}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="control-group">
+                    <label>Bandwidth</label>
+                    <input
+                      type="range" min={100000} max={400000} step={10000}
+                      value={ofdmBandwidth}
+                      onChange={(e) => setOfdmBandwidth(Number(e.target.value))}
+                    />
+                    <span className="control-value">
+                      {(ofdmBandwidth / 1000).toFixed(0)} kHz · {(ofdmBandwidth / ofdmSubcarriers / 1000).toFixed(2)} kHz spacing
+                    </span>
+                  </div>
+                  <div className="control-group">
+                    <label>Cyclic Prefix</label>
+                    <select value={ofdmCpFraction} onChange={(e) => setOfdmCpFraction(Number(e.target.value))}>
+                      {[4, 8, 16].map((d) => (
+                        <option key={d} value={d}>N/{d} ({ofdmSubcarriers / d} samples)</option>
+                      ))}
+                    </select>
+                    <span className="control-value">
+                      {((ofdmSubcarriers / ofdmBandwidth) * 1e6).toFixed(0)} µs symbol + {((ofdmSubcarriers / ofdmCpFraction / ofdmBandwidth) * 1e6).toFixed(0)} µs CP
+                    </span>
+                  </div>
+                  <div className="control-group">
+                    <label>Pilot Layout</label>
+                    <select value={ofdmPilotLayout} onChange={(e) => setOfdmPilotLayout(e.target.value)}>
+                      {PILOT_LAYOUTS.map((l) => (
+                        <option key={l.value} value={l.value}>{l.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="control-group">
+                    <label>Pilot Spacing</label>
+                    <input
+                      type="range" min={2} max={16} step={1}
+                      value={ofdmPilotSpacing}
+                      onChange={(e) => setOfdmPilotSpacing(Number(e.target.value))}
+                    />
+                    <span className="control-value">
+                      every {ofdmPilotSpacing} {ofdmPilotLayout === "block" ? "symbols" : "subcarriers"}
+                    </span>
+                  </div>
+                </>
+              )}
+              {isRadar && (
+                <>
+                  <div className="control-group">
+                    <label>Pulse Bandwidth</label>
+                    <input
+                      type="range" min={20000} max={400000} step={10000}
+                      value={radarBandwidth}
+                      onChange={(e) => setRadarBandwidth(Number(e.target.value))}
+                    />
+                    <span className="control-value">
+                      {(radarBandwidth / 1000).toFixed(0)} kHz · ΔR = c/2B = {(SPEED_OF_LIGHT / 2 / radarBandwidth / 1e3).toFixed(2)} km
+                    </span>
+                  </div>
+                  <div className="control-group">
+                    <label>Pulse Width</label>
+                    <input
+                      type="range" min={50e-6} max={1000e-6} step={50e-6}
+                      value={radarWidth}
+                      onChange={(e) => setRadarWidth(Number(e.target.value))}
+                    />
+                    <span className="control-value">
+                      {(radarWidth * 1e6).toFixed(0)} µs · T·B = {(radarBandwidth * radarWidth).toFixed(0)}
+                    </span>
+                  </div>
+                </>
+              )}
             </div>
           </div>
+          {isRadar && (
+            <div className="subsection">
+              <h3 className="subsection-title">🎯 Targets</h3>
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+                Each target returns a copy of the pulse, delayed by its round trip (2R/c), scaled by its
+                level and shifted by its Doppler frequency (positive = closing). Receiver noise is added
+                after the mixer, as for every other source.
+              </p>
+              <table style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, borderCollapse: 'collapse', marginBottom: 12 }}>
+                <thead>
+                  <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                    <th style={{ padding: '4px 16px 4px 0' }}>Range (km)</th>
+                    <th style={{ padding: '4px 16px 4px 0' }}>Level (dB)</th>
+                    <th style={{ padding: '4px 16px 4px 0' }}>Doppler (kHz)</th>
+                    <th style={{ padding: '4px 16px 4px 0' }} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {radarTargets.map((tg, i) => (
+                    <tr key={i}>
+                      {[["range", 0, 300, 0.5], ["level", -60, 0, 1], ["doppler", -50, 50, 0.5]].map(([key, min, max, step]) => (
+                        <td key={key} style={{ padding: '4px 16px 4px 0' }}>
+                          <input
+                            type="number" min={min} max={max} step={step}
+                            value={tg[key]}
+                            onChange={(e) => updateTarget(i, key, Math.min(max, Math.max(min, Number(e.target.value) || 0)))}
+                            style={{ width: 90 }}
+                          />
+                        </td>
+                      ))}
+                      <td style={{ padding: '4px 16px 4px 0' }}>
+                        <div className="mode-toggle" style={{ marginBottom: 0 }}>
+                          <button onClick={() => setRadarTargets(radarTargets.filter((_, j) => j !== i))}>Remove</button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="mode-toggle" style={{ marginBottom: 0 }}>
+                <button onClick={() => setRadarTargets([...radarTargets, { range: 150, level: -20, doppler: 0 }])}>Add target</button>
+                <button onClick={() => setRadarTargets(DEFAULT_TARGETS)}>Reset</button>
+              </div>
+            </div>
+          )}
           {isRealSignal && (
             <div className="subsection">
               <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6 }}>
@@ -279,69 +1514,575 @@ export default function App() {
             </div>
           )}
           <div className="subsection">
-            <h3 className="subsection-title">RF Spectrum</h3>
-            <SpectrumPlot
-              data={inputSpectrumChart}
-              freqUnit={isRealSignal ? "MHz" : "kHz"}
-              color={COLORS.input}
-              height={200}
-            />
-          </div>
-
-        </div>
-      </div>
-
-      {/* ===== GROUP 2: I/Q DOWNCONVERSION (Mixing + Filter) ===== */}
-      <div className="section-card">
-        <div className="section-header">
-          <h2>⚡ I/Q Downconversion</h2>
-          <p className="section-desc">
-            Mix with local oscillator at {carrierFreqMHz} MHz, then filter to extract the baseband signal
-          </p>
-        </div>
-        <div className="section-content">
-          <div className="subsection">
-            <h3 className="subsection-title">After Mixing — Raw Baseband</h3>
+            <h3 className="subsection-title">🌐 Multipath Channel</h3>
             <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
-              The input signal has been multiplied by cos and −sin at the carrier frequency,
-              producing two channels: <strong style={{ color: '#2563eb' }}>I</strong> (in-phase) and <strong style={{ color: '#dc2626' }}>Q</strong> (quadrature).
-              These aren't independent — they're the real and imaginary parts of a single complex signal:
-              x[n] = I[n] + jQ[n]. The spectrum below is a <strong>complex FFT</strong> of that combined signal,
-              which is why it shows both positive and negative frequencies.
-            </p>
-            <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
-              Notice the spike near 0 Hz — that's your actual signal content shifted down from the carrier.
-              But there's also an unwanted copy on the negative side at twice the carrier frequency (the mixing image).
-              The low-pass filter in the next step removes it. The same thing happens in every real receiver —
-              the analog or digital LPF after the mixer is specifically there to kill that image.
-              Without it, the double-frequency component would corrupt your I/Q data and
-              make the constellation diagram messy.
+              Between the transmitter and the antenna the signal arrives over several paths at once,
+              each delayed and scaled differently. Where the copies add out of phase the channel has
+              <strong> notches</strong>, spaced roughly one over the delay spread apart: a channel much
+              wider than the coherence bandwidth is <strong>frequency-selective</strong> (look for dips
+              in the spectra and in the OFDM channel estimate), a narrower one just fades up and down as
+              a whole. With Rayleigh or Rician fading each path is itself a crowd of scattered waves
+              whose phases drift at up to the Doppler frequency, so the notches sweep through the band
+              and the constellation swells, shrinks and rotates over the record. Rician adds a steady
+              line-of-sight path K dB above the scatter, which keeps the deep fades away. (The Doppler
+              here is exaggerated: a car at 100 km/h sees about 100 Hz at 1 GHz, but the record lasts
+              only a few milliseconds.) The receiver noise is referred to the signal before fading.
             </p>
             <div className="controls-grid" style={{ marginBottom: 12 }}>
               <div className="control-group">
-                <label>Receiver Noise</label>
-                <input
-                  type="range"
-                  min={0}
-                  max={1}
-                  step={0.01}
-                  value={noisePower}
-                  onChange={(e) => setNoisePower(Number(e.target.value))}
-                />
-                <span className="control-value">{noisePower.toFixed(2)}</span>
+                <label>Profile</label>
+                <select value={channelProfile} onChange={(e) => setChannelProfile(e.target.value)}>
+                  <option value="off">Off (no channel)</option>
+                  {CHANNEL_PROFILES.map((c) => (
+                    <option key={c.value} value={c.value}>{c.label}</option>
+                  ))}
+                  <option value="custom">Custom taps</option>
+                </select>
               </div>
-            </div>
-            <SpectrumPlot
-              data={rawIQSpectrumChart}
-              freqUnit={isRealSignal ? "MHz" : "kHz"}
-              color={COLORS.I}
-              height={200}
+              {channelProfile !== "off" && (
+                <>
+                  <div className="control-group">
+                    <label>Fading</label>
+                    <select value={channelFading} onChange={(e) => setChannelFading(e.target.value)}>
+                      {FADING_TYPES.map((f) => (
+                        <option key={f.value} value={f.value}>{f.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {channelFading !== "static" && (
+                    <div className="control-group">
+                      <label>Max Doppler</label>
+                      <input
+                        type="range" min={0} max={5000} step={50}
+                        value={channelDoppler}
+                        onChange={(e) => setChannelDoppler(Number(e.target.value))}
+                      />
+                      <span className="control-value">fd = {channelDoppler} Hz</span>
+                    </div>
+                  )}
+                  {channelFading === "rician" && (
+                    <div className="control-group">
+                      <label>Rician K</label>
+                      <input
+                        type="range" min={-10} max={20} step={1}
+                        value={channelK}
+                        onChange={(e) => setChannelK(Number(e.target.value))}
+                      />
+                      <span className="control-value">K = {channelK} dB</span>
+                    </div>
+                  )}
+                  {channelFading !== "static" && (
+                    <div className="control-group">
+                      <label>Seed</label>
+                      <input
+                        type="number" min={1} step={1}
+                        value={channelSeed}
+                        onChange={(e) => setChannelSeed(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+            {channelProfile === "custom" && (
+              <>
+                <table style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, borderCollapse: 'collapse', marginBottom: 12 }}>
+                  <thead>
+                    <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                      <th style={{ padding: '4px 16px 4px 0' }}>Delay (µs)</th>
+                      <th style={{ padding: '4px 16px 4px 0' }}>Power (dB)</th>
+                      <th style={{ padding: '4px 16px 4px 0' }} />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {customTaps.map((tap, i) => (
+                      <tr key={i}>
+                        {[["delay", 0, 50, 0.1], ["power", -40, 0, 1]].map(([key, min, max, step]) => (
+                          <td key={key} style={{ padding: '4px 16px 4px 0' }}>
+                            <input
+                              type="number" min={min} max={max} step={step}
+                              value={tap[key]}
+                              onChange={(e) => updateTap(i, key, Math.min(max, Math.max(min, Number(e.target.value) || 0)))}
+                              style={{ width: 90 }}
+                            />
+                          </td>
+                        ))}
+                        <td style={{ padding: '4px 16px 4px 0' }}>
+                          <div className="mode-toggle" style={{ marginBottom: 0 }}>
+                            <button disabled={customTaps.length === 1} onClick={() => setCustomTaps(customTaps.filter((_, j) => j !== i))}>Remove</button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mode-toggle" style={{ marginBottom: 12 }}>
+                  <button onClick={() => setCustomTaps([...customTaps, { delay: 2, power: -10 }])}>Add tap</button>
+                  <button onClick={() => setCustomTaps(DEFAULT_CUSTOM_TAPS)}>Reset</button>
+                </div>
+              </>
+            )}
+            {results.multipath && channelCharts && (
+              <>
+                <div className="charts-grid">
+                  <div>
+                    <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>
+                      |H(f)|² across twice the channel width
+                    </p>
+                    <SpectrumPlot
+                      data={channelCharts.response}
+                      traces={[
+                        { key: "theory", color: COLORS.preselect, label: "Mid-record" },
+                        { key: "measured", color: COLORS.I, label: "Measured (record average)" },
+                      ]}
+                      freqUnit="kHz"
+                      xLabel="Offset from carrier (kHz)"
+                      unit="dB"
+                      yDomain={[-30, 10]}
+                      height={200}
+                    />
+                  </div>
+                  <div>
+                    <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>
+                      Fade at the carrier over time
+                    </p>
+                    <WaveformPlot
+                      data={channelCharts.fade}
+                      traces={[{ key: "fade", color: COLORS.input, label: "|H(fc, t)|² (dB)" }]}
+                      yDomain={[-40, 10]}
+                      height={200}
+                    />
+                  </div>
+                </div>
+                <table style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, borderCollapse: 'collapse', marginTop: 12 }}>
+                  <tbody>
+                    {[
+                      ["Paths", `${results.multipath.taps.length}`],
+                      ["RMS delay spread", `${(results.multipath.rmsDelay * 1e6).toFixed(3)} µs`],
+                      ["Coherence bandwidth ≈ 1/(5·τrms)", Number.isFinite(results.multipath.coherenceBandwidth) ? `${(results.multipath.coherenceBandwidth / 1000).toFixed(1)} kHz` : "∞ (flat)"],
+                      ["Coherence time ≈ 0.423/fd", Number.isFinite(results.multipath.coherenceTime) ? `${(results.multipath.coherenceTime * 1e3).toFixed(2)} ms` : "∞ (static)"],
+                      ["Channel width", `${(filterBW / 1000).toFixed(0)} kHz`],
+                    ].map(([label, value]) => (
+                      <tr key={label}>
+                        <td style={{ padding: '4px 16px 4px 0' }}>{label}</td>
+                        <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{value}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {results.multipath.notches.length > 0 ? (
+                  <table style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, borderCollapse: 'collapse', marginTop: 12 }}>
+                    <thead>
+                      <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                        <th style={{ padding: '4px 16px 4px 0' }}>Notch at</th>
+                        <th style={{ padding: '4px 16px 4px 0' }}>Depth</th>
+                        <th style={{ padding: '4px 16px 4px 0' }}>|H|² mid-record</th>
+                        <th style={{ padding: '4px 16px 4px 0' }}>|H|² measured</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.multipath.notches.map((n) => (
+                        <tr key={n.frequency}>
+                          <td style={{ padding: '4px 16px 4px 0' }}>{n.frequency >= 0 ? "+" : ""}{(n.frequency / 1000).toFixed(1)} kHz</td>
+                          <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{n.depth.toFixed(1)} dB</td>
+                          <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{n.level.toFixed(1)} dB</td>
+                          <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{n.measured === null ? "— (no signal there)" : `${n.measured.toFixed(1)} dB`}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : (
+                  <p className="chart-desc" style={{ marginTop: 12 }}>No notches deeper than 6 dB inside the channel: it is flat across this width.</p>
+                )}
+              </>
+            )}
+          </div>
+          <div className="subsection">
+            <h3 className="subsection-title">🎚️ Pre-selection Filter</h3>
+            <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+              Real receivers put a band-pass filter between the antenna and the mixer, so strong
+              stations outside the band of interest never reach it. Compare three ways of designing
+              that band-pass: a fixed 101-tap Blackman windowed sinc, a Kaiser design that picks its own
+              length to meet 0.1 dB ripple and 60 dB attenuation, and a Parks-McClellan equiripple
+              design with the same number of taps as the Kaiser one.
+            </p>
+            <div className="controls-grid">
+              <div className="control-group">
+                <label>Pre-selection</label>
+                <select value={preselect} onChange={(e) => setPreselect(e.target.value)}>
+                  <option value="off">Off</option>
+                  <option value="window">Windowed sinc (Blackman)</option>
+                  <option value="kaiser">Kaiser (spec-driven)</option>
+                  <option value="equiripple">Equiripple (Parks-McClellan)</option>
+                </select>
+                {preselect !== "off" && (
+                  <span className="control-value">{results.preselectTaps} taps</span>
+                )}
+              </div>
+              {preselect !== "off" && (
+                <div className="control-group">
+                  <label>Pre-selection Bandwidth</label>
+                  <input
+                    type="range" min={100000} max={1000000} step={50000}
+                    value={preselectBW}
+                    onChange={(e) => setPreselectBW(Number(e.target.value))}
+                  />
+                  <span className="control-value">{(preselectBW / 1000).toFixed(0)} kHz</span>
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="subsection">
+            <h3 className="subsection-title">🔢 ADC</h3>
+            <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+              Everything so far has been exact arithmetic. A real receiver digitises the pre-selected RF
+              with an ADC that knows only 2<sup>N</sup> levels between ±full scale. Rounding each sample
+              to the nearest level adds up to ½ LSB of error — for a full-scale sine, a noise floor
+              6.02·N + 1.76 dB down. Back the signal off from full scale and you lose SNR dB for dB; push
+              it past full scale and it clips, spraying harmonics everywhere. With the pure tone the
+              error repeats every cycle, so it piles up in spurs instead of spreading out as noise:
+              add dither and the spurs dissolve into a slightly higher, flat floor. Aperture jitter —
+              the sampling clock wobbling in time — turns the signal's slope into noise, capping SNR at
+              −20·log<sub>10</sub>(2π·f·σ) whatever the bit depth, which is why jitter matters most at
+              high RF. The measured figures (SINAD, ENOB, SFDR) need the pure tone as a test signal;
+              SQNR is measured for any signal as input power over everything the converter added.
+            </p>
+            <div className="controls-grid" style={{ marginBottom: 12 }}>
+              <div className="control-group">
+                <label>ADC</label>
+                <div className="mode-toggle" style={{ marginBottom: 0 }}>
+                  <button className={!adcEnabled ? "active" : ""} onClick={() => setAdcEnabled(false)}>Ideal</button>
+                  <button className={adcEnabled ? "active" : ""} onClick={() => setAdcEnabled(true)}>Quantised</button>
+                </div>
+              </div>
+              {adcEnabled && (
+                <>
+                  <div className="control-group">
+                    <label>Resolution</label>
+                    <input
+                      type="range" min={1} max={16} step={1}
+                      value={adcBits}
+                      onChange={(e) => setAdcBits(Number(e.target.value))}
+                    />
+                    <span className="control-value">{adcBits} bit{adcBits > 1 ? "s" : ""} · {2 ** adcBits} levels</span>
+                  </div>
+                  <div className="control-group">
+                    <label>Full Scale</label>
+                    <input
+                      type="range" min={0.25} max={4} step={0.05}
+                      value={adcFullScale}
+                      onChange={(e) => setAdcFullScale(Number(e.target.value))}
+                    />
+                    <span className="control-value">±{adcFullScale.toFixed(2)}</span>
+                  </div>
+                  <div className="control-group">
+                    <label>Dither</label>
+                    <select value={adcDither} onChange={(e) => setAdcDither(e.target.value)}>
+                      {DITHER_TYPES.map((d) => (
+                        <option key={d.value} value={d.value}>{d.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="control-group">
+                    <label>Aperture Jitter</label>
+                    <input
+                      type="range" min={0} max={1000} step={5}
+                      value={adcJitter}
+                      onChange={(e) => setAdcJitter(Number(e.target.value))}
+                    />
+                    <span className="control-value">σ = {adcJitter} ps</span>
+                  </div>
+                </>
+              )}
+            </div>
+            {adcEnabled && adcCharts && (
+              <>
+                <div className="charts-grid">
+                  <div>
+                    <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>
+                      First {adcCharts.waveform.length} samples: analog vs. digitised
+                    </p>
+                    <WaveformPlot
+                      data={adcCharts.waveform}
+                      traces={[
+                        { key: "analog", color: COLORS.input, label: "Analog" },
+                        { key: "digital", color: COLORS.preselect, label: "ADC output" },
+                      ]}
+                      height={200}
+                    />
+                  </div>
+                  <table style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, borderCollapse: 'collapse', alignSelf: 'start' }}>
+                    <tbody>
+                      {[
+                        ["LSB", `${results.adc.lsb.toPrecision(3)}`],
+                        ["Clipped samples", `${(results.adc.clippedFraction * 100).toFixed(2)}%`],
+                        ["Theory, full-scale sine", `${results.adc.theoryDb.toFixed(1)} dB`],
+                        ...(results.adc.metrics.backoffDb !== null ? [
+                          ["Theory at this level", `${idealSqnrDb(adcBits, results.adc.metrics.backoffDb).toFixed(1)} dB (${results.adc.metrics.backoffDb.toFixed(1)} dB back-off)`],
+                        ] : []),
+                        ["Jitter limit", Number.isFinite(results.adc.jitterLimitDb) ? `${results.adc.jitterLimitDb.toFixed(1)} dB` : "—"],
+                        ["Measured SQNR", `${results.adc.metrics.sqnrDb.toFixed(1)} dB`],
+                        ...(results.adc.metrics.sinadDb !== null ? [
+                          ["Measured SINAD", `${results.adc.metrics.sinadDb.toFixed(1)} dB`],
+                          ["ENOB", `${results.adc.metrics.enob.toFixed(2)} bits`],
+                          ["SFDR", `${results.adc.metrics.sfdrDb.toFixed(1)} dB`],
+                        ] : []),
+                      ].map(([label, value]) => (
+                        <tr key={label}>
+                          <td style={{ padding: '4px 16px 4px 0' }}>{label}</td>
+                          <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{value}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>
+                  ADC output spectrum, whole Nyquist band (Blackman-Harris)
+                </p>
+                <SpectrumPlot
+                  data={adcCharts.spectrum}
+                  freqUnit={isRealSignal ? "MHz" : "kHz"}
+                  color={COLORS.preselect}
+                  unit="dBFS"
+                  yDomain={adcCharts.yDomain}
+                  height={200}
+                />
+              </>
+            )}
+          </div>
+          <div className="subsection">
+            <h3 className="subsection-title">RF Spectrum</h3>
+            <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+              A single FFT with a rectangular window leaks energy from strong components into
+              every other bin. A tapered window (Hann, Blackman-Harris, Kaiser) trades a wider
+              main lobe for much lower side lobes. Welch averaging splits the signal into
+              overlapping segments and averages their spectra — the noise floor gets smoother,
+              but each bin gets wider. Zero padding only interpolates between bins: the curve
+              looks smoother, but two tones closer than one true bin still can't be told apart.
+              These settings apply to every spectrum on the page. Switch the power units
+              away from "relative to peak" to put every spectrum on one absolute scale — then
+              you can watch the noise floor rise with receiver noise, or drop when the filter narrows.
+            </p>
+            <SpectrumPlot
+              data={inputSpectrumChart}
+              freqUnit={isRealSignal ? "MHz" : "kHz"}
+              color={COLORS.input}
+              height={200}
+              traces={results.preselectedDb ? [
+                { key: 'mag', color: COLORS.input, label: 'Antenna' },
+                { key: 'preselected', color: COLORS.preselect, label: 'After pre-selection' },
+              ] : null}
+              unit={results.unitLabel}
+              yDomain={results.yDomain}
+              settings={spectrumSettings}
+              onSettingsChange={setSpectrumSettings}
+              fftInfo={fftInfo}
             />
           </div>
+
+        </div>
+      </div>
+
+      {/* ===== GROUP 2: I/Q DOWNCONVERSION (Mixing + Filter) ===== */}
+      <div className="section-card">
+        <div className="section-header">
+          <h2>⚡ I/Q Downconversion</h2>
+          <p className="section-desc">
+            Mix with local oscillator at {carrierFreqMHz} MHz, then filter to extract the baseband signal
+          </p>
+        </div>
+        <div className="section-content">
+          <div className="subsection">
+            <h3 className="subsection-title">After Mixing — Raw Baseband</h3>
+            <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+              The input signal has been multiplied by cos and −sin at the carrier frequency,
+              producing two channels: <strong style={{ color: '#2563eb' }}>I</strong> (in-phase) and <strong style={{ color: '#dc2626' }}>Q</strong> (quadrature).
+              These aren't independent — they're the real and imaginary parts of a single complex signal:
+              x[n] = I[n] + jQ[n]. The spectrum below is a <strong>complex FFT</strong> of that combined signal,
+              which is why it shows both positive and negative frequencies.
+            </p>
+            <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+              Notice the spike near 0 Hz — that's your actual signal content shifted down from the carrier.
+              But there's also an unwanted copy on the negative side at twice the carrier frequency (the mixing image).
+              The low-pass filter in the next step removes it. The same thing happens in every real receiver —
+              the analog or digital LPF after the mixer is specifically there to kill that image.
+              Without it, the double-frequency component would corrupt your I/Q data and
+              make the constellation diagram messy.
+            </p>
+            <div className="controls-grid" style={{ marginBottom: 12 }}>
+              {noiseControls}
+              <div className="control-group">
+                <label>LO Frequency Offset</label>
+                <input
+                  type="range" min={-20000} max={20000} step={500}
+                  value={loOffset}
+                  onChange={(e) => setLoOffset(Number(e.target.value))}
+                />
+                <span className="control-value">Δf = {(loOffset / 1000).toFixed(1)} kHz</span>
+              </div>
+              <div className="control-group">
+                <label>LO Phase Offset</label>
+                <input
+                  type="range" min={-180} max={180} step={5}
+                  value={loPhase}
+                  onChange={(e) => setLoPhase(Number(e.target.value))}
+                />
+                <span className="control-value">φ = {loPhase}°</span>
+              </div>
+              <div className="control-group">
+                <label>I/Q Gain Imbalance</label>
+                <input
+                  type="range" min={-3} max={3} step={0.1}
+                  value={iqGain}
+                  onChange={(e) => setIqGain(Number(e.target.value))}
+                />
+                <span className="control-value">ε = {iqGain.toFixed(1)} dB</span>
+              </div>
+              <div className="control-group">
+                <label>Quadrature Error</label>
+                <input
+                  type="range" min={-20} max={20} step={0.5}
+                  value={iqPhase}
+                  onChange={(e) => setIqPhase(Number(e.target.value))}
+                />
+                <span className="control-value">ψ = {iqPhase.toFixed(1)}°</span>
+              </div>
+              <div className="control-group">
+                <label>DC Offset (I / Q)</label>
+                <input
+                  type="range" min={-0.3} max={0.3} step={0.01}
+                  value={dcOffsetI}
+                  onChange={(e) => setDcOffsetI(Number(e.target.value))}
+                />
+                <input
+                  type="range" min={-0.3} max={0.3} step={0.01}
+                  value={dcOffsetQ}
+                  onChange={(e) => setDcOffsetQ(Number(e.target.value))}
+                />
+                <span className="control-value">{dcOffsetI.toFixed(2)} / {dcOffsetQ.toFixed(2)}</span>
+              </div>
+            </div>
+            <SpectrumPlot
+              data={rawIQSpectrumChart}
+              freqUnit={isRealSignal ? "MHz" : "kHz"}
+              color={COLORS.I}
+              height={200}
+              unit={results.unitLabel}
+              yDomain={results.yDomain}
+              settings={spectrumSettings}
+              onSettingsChange={setSpectrumSettings}
+              fftInfo={fftInfo}
+            />
+          </div>
+          <div className="subsection">
+            <h3 className="subsection-title">〰️ LO Phase Noise &amp; Drift</h3>
+            <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+              The LO above is still a perfect sinusoid, merely mistuned. A real one also drifts as it
+              warms up and jitters in phase from moment to moment. Datasheets give the jitter as a
+              <strong> phase noise mask</strong>: noise power in dBc/Hz at each offset from the carrier,
+              falling away with distance. Mixing copies it onto every signal, with two effects. The
+              close-in noise inside the channel rotates the wanted signal at random — the constellation
+              smears along arcs and the SNR can never exceed 1/σ², however quiet the antenna. The
+              far-out skirt does its harm through <strong>reciprocal mixing</strong>: add a strong
+              blocker next door and its copy of the skirt falls straight into the channel, where no
+              filter can take it out again — watch the noise floor of the filtered spectrum rise around
+              the wanted signal. The carrier loop tracks the slow part of the jitter and drift, but not
+              the fast part. (Drift is exaggerated here: real oscillators drift a few Hz per second,
+              but this whole record lasts only {results.lo.durationMs.toFixed(1)} ms.)
+            </p>
+            <div className="controls-grid" style={{ marginBottom: 12 }}>
+              <div className="control-group">
+                <label>Phase Noise Mask</label>
+                <select value={phaseNoiseMask} onChange={(e) => setPhaseNoiseMask(e.target.value)}>
+                  {PHASE_NOISE_MASKS.map((m) => (
+                    <option key={m.value} value={m.value}>{m.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="control-group">
+                <label>Mask Shift</label>
+                <input
+                  type="range" min={-20} max={20} step={1}
+                  value={phaseNoiseShift}
+                  onChange={(e) => setPhaseNoiseShift(Number(e.target.value))}
+                />
+                <span className="control-value">{phaseNoiseShift > 0 ? "+" : ""}{phaseNoiseShift} dB</span>
+              </div>
+              <div className="control-group">
+                <label>LO Drift</label>
+                <input
+                  type="range" min={-5000} max={5000} step={250}
+                  value={loDrift}
+                  onChange={(e) => setLoDrift(Number(e.target.value))}
+                />
+                <span className="control-value">{(loDrift / 1000).toFixed(2)} kHz/ms · {(results.lo.driftHz / 1000).toFixed(1)} kHz over the record</span>
+              </div>
+              <div className="control-group">
+                <label className="legend-toggle">
+                  <input type="checkbox" checked={blocker} onChange={(e) => setBlocker(e.target.checked)} />
+                  Blocker
+                </label>
+                <input
+                  type="range" min={0} max={60} step={5}
+                  value={blockerLevel}
+                  disabled={!blocker}
+                  onChange={(e) => setBlockerLevel(Number(e.target.value))}
+                />
+                <input
+                  type="range" min={150000} max={isRealSignal ? 600000 : 1200000} step={25000}
+                  value={blockerOffset}
+                  disabled={!blocker}
+                  onChange={(e) => setBlockerOffset(Number(e.target.value))}
+                />
+                <span className="control-value">+{blockerLevel} dB at +{(blockerOffset / 1000).toFixed(0)} kHz</span>
+              </div>
+            </div>
+            <div className="charts-grid">
+              <div>
+                <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>
+                  LO phase noise: mask vs. generated
+                </p>
+                {phaseNoiseChart.length ? (
+                  <SpectrumPlot
+                    data={phaseNoiseChart}
+                    traces={[
+                      { key: "mask", color: COLORS.preselect, label: "Mask" },
+                      { key: "measured", color: COLORS.I, label: "Generated" },
+                    ]}
+                    xLabel="Offset from carrier (Hz, log spaced)"
+                    unit="dBc/Hz"
+                    yDomain={[-160, -20]}
+                    height={200}
+                  />
+                ) : (
+                  <p className="chart-desc">Ideal LO: no phase noise.</p>
+                )}
+              </div>
+              <table style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, borderCollapse: 'collapse', alignSelf: 'start' }}>
+                <tbody>
+                  {[
+                    ["RMS phase jitter (in channel)", `${results.lo.jitterDeg.toFixed(2)}°`],
+                    ["Reciprocal mixing (in channel)", blocker && Number.isFinite(results.lo.skirtDb) ? `${results.lo.skirtDb.toFixed(1)} dBc` : "—"],
+                    ["SNR ceiling from the LO", Number.isFinite(results.lo.snrCeilingDb) ? `${results.lo.snrCeilingDb.toFixed(1)} dB` : "∞"],
+                    ...(results.lo.toneSnrDb !== null ? [["Measured tone SNR", `${results.lo.toneSnrDb.toFixed(1)} dB`]] : []),
+                    ...(results.evm ? [["Measured MER", `${results.evm.merDb.toFixed(1)} dB`]] : []),
+                    ...(results.ofdm ? [["Measured OFDM MER", `${results.ofdm.merDb.toFixed(1)} dB`]] : []),
+                  ].map(([label, value]) => (
+                    <tr key={label}>
+                      <td style={{ padding: '4px 16px 4px 0' }}>{label}</td>
+                      <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{value}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
           <div className="subsection">
             <h3 className="subsection-title">🔧 After Low-Pass Filter</h3>
             <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
-              A windowed-sinc filter at {(filterBW / 1000).toFixed(0)} kHz with {filterTaps} taps has removed the
+              {filterKind === "fir"
+                ? <>A windowed-sinc filter at {(filterBW / 1000).toFixed(0)} kHz with {filterTaps} taps</>
+                : <>An order-{iirOrder} {IIR_FAMILIES.find((f) => f.value === iirFamily).label} filter at {(filterBW / 1000).toFixed(0)} kHz</>} has removed the
               double-frequency image, leaving only the clean baseband signal. Compare this
               with the raw spectrum above — the high-frequency spike is gone. What remains
               is just the modulation content sitting within a narrow band around 0 Hz. The
@@ -356,6 +2097,13 @@ export default function App() {
               decoding, and classification happens on this filtered I/Q data.
             </p>
             <div className="controls-grid" style={{ marginBottom: 12 }}>
+              <div className="control-group">
+                <label>Filter Type</label>
+                <select value={filterKind} onChange={(e) => setFilterKind(e.target.value)}>
+                  <option value="fir">FIR (windowed sinc)</option>
+                  <option value="iir">IIR (biquad cascade)</option>
+                </select>
+              </div>
               <div className="control-group">
                 <label>Filter Bandwidth</label>
                 <input
@@ -368,26 +2116,122 @@ export default function App() {
                 />
                 <span className="control-value">{(filterBW / 1000).toFixed(0)} kHz</span>
               </div>
-              <div className="control-group">
-                <label>Filter Taps</label>
-                <input
-                  type="range"
-                  min={11}
-                  max={501}
-                  step={10}
-                  value={filterTaps}
-                  onChange={(e) => setFilterTaps(Number(e.target.value))}
-                />
-                <span className="control-value">{filterTaps} taps</span>
-              </div>
+              {filterKind === "fir" ? (
+                <div className="control-group">
+                  <label>Filter Taps</label>
+                  <input
+                    type="range"
+                    min={11}
+                    max={501}
+                    step={10}
+                    value={filterTaps}
+                    onChange={(e) => setFilterTaps(Number(e.target.value))}
+                  />
+                  <span className="control-value">{filterTaps} taps</span>
+                </div>
+              ) : (
+                <>
+                  <div className="control-group">
+                    <label>IIR Family</label>
+                    <select value={iirFamily} onChange={(e) => setIirFamily(e.target.value)}>
+                      {IIR_FAMILIES.map((f) => (
+                        <option key={f.value} value={f.value}>{f.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="control-group">
+                    <label>Order</label>
+                    <input
+                      type="range" min={1} max={12} step={1}
+                      value={iirOrder}
+                      onChange={(e) => setIirOrder(Number(e.target.value))}
+                    />
+                    <span className="control-value">{iirOrder} poles ({Math.ceil(iirOrder / 2)} sections)</span>
+                  </div>
+                  {(iirFamily === "chebyshev1" || iirFamily === "elliptic") && (
+                    <div className="control-group">
+                      <label>Passband Ripple</label>
+                      <input
+                        type="range" min={0.1} max={3} step={0.1}
+                        value={iirRipple}
+                        onChange={(e) => setIirRipple(Number(e.target.value))}
+                      />
+                      <span className="control-value">{iirRipple.toFixed(1)} dB</span>
+                    </div>
+                  )}
+                  {(iirFamily === "chebyshev2" || iirFamily === "elliptic") && (
+                    <div className="control-group">
+                      <label>Stopband Attenuation</label>
+                      <input
+                        type="range" min={20} max={100} step={5}
+                        value={iirAttenuation}
+                        onChange={(e) => setIirAttenuation(Number(e.target.value))}
+                      />
+                      <span className="control-value">{iirAttenuation} dB</span>
+                    </div>
+                  )}
+                  <div className="control-group">
+                    <label>Phase</label>
+                    <select value={iirZeroPhase ? "zero" : "causal"} onChange={(e) => setIirZeroPhase(e.target.value === "zero")}>
+                      <option value="causal">Causal (one pass)</option>
+                      <option value="zero">Zero-phase (forward-backward)</option>
+                    </select>
+                  </div>
+                </>
+              )}
             </div>
             <SpectrumPlot
               data={filteredIQSpectrumChart}
               freqUnit={isRealSignal ? "MHz" : "kHz"}
               color={COLORS.I}
               height={200}
+              unit={results.unitLabel}
+              yDomain={results.yDomain}
             />
           </div>
+          <div className="subsection">
+            <h3 className="subsection-title">🔍 Filter Response Inspector</h3>
+            {!results.iir && (
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+                What the low-pass filter above actually does. The impulse response is the windowed sinc
+                itself — more taps means a longer sinc and a steeper skirt. Notice that the measured −3 dB
+                point sits <em>below</em> the requested cutoff: a windowed-sinc design is only −6 dB at its
+                cutoff, and the window smears the edge further. The phase is a straight line and the group
+                delay is flat at (taps − 1) / 2 samples — the hallmark of a symmetric (linear-phase) FIR,
+                which delays every frequency equally and so never distorts the waveform shape. The pipeline
+                compensates that delay when filtering, so the SNR calculation only uses the delay figure to
+                skip the start-up transient at each edge.
+              </p>
+            )}
+            {results.iir && (
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+                What the low-pass filter above actually does. The IIR cascade reaches a steep skirt with a
+                handful of poles, but pays in phase: the group delay is no longer flat and peaks near the band
+                edge, so different frequencies arrive at different times. Butterworth is maximally flat at the −3 dB cutoff; Chebyshev I and elliptic
+                put the cutoff at the passband-ripple edge; Chebyshev II puts it where the stopband floor
+                begins. Zero-phase mode runs the cascade forward and then backward — the phase cancels and
+                the magnitude is squared, but it needs the whole record, so it only works offline.
+              </p>
+            )}
+            <FilterResponsePanel
+              kernel={results.filterKernel}
+              sos={results.iir ? results.iir.sos : null}
+              sampleRate={results.sampleRate}
+              cutoff={results.filterCutoff}
+              freqScale={results.basebandScale}
+              delayGuess={results.snrDelay}
+            />
+            {results.iir && (
+              <div style={{ marginTop: 16, maxWidth: 420 }}>
+                <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Pole-zero plot</p>
+                <p className="chart-desc" style={{ marginBottom: 8 }}>
+                  Poles (×) crowd the unit circle as the order rises or the ripple grows — that is what makes the
+                  skirt steep, and what erodes the stability margin. Zeros (○) on the circle are the stopband notches.
+                </p>
+                <PoleZeroPlot poles={results.iir.poles} zeros={results.iir.zeros} />
+              </div>
+            )}
+          </div>
           <div className="subsection">
             <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Clean I/Q time domain</p>
             <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
@@ -398,6 +2242,10 @@ export default function App() {
               <br />In all cases, I and Q together form a complex number at each instant — amplitude = √(I²+Q²), phase = arctan(Q/I). That's everything a demodulator needs.
             </p>
             <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+              The ▶ buttons play a stage through your speakers. Synthetic signals play at the simulation's own
+              scaled-down rate, so their {scaledCarrier / 1000} kHz internal carrier is audible as a whistle and the
+              noise and filter settings change what you hear. The clips are short ({(results.t.length / results.sampleRate * 1e3).toFixed(0)} ms
+              here), so turn on Loop to listen for longer.
             </p>
             <div className="legend">
               <span className="legend-item">
@@ -415,6 +2263,132 @@ export default function App() {
                 { key: "I", color: COLORS.I, label: "I" },
                 { key: "Q", color: COLORS.Q, label: "Q" },
               ]}
+              audio={[
+                { label: "Input", samples: results.inputSignal, sampleRate: results.sampleRate },
+                { label: "Raw I", samples: results.rawI, sampleRate: results.sampleRate },
+                { label: "Filtered I", samples: results.filteredI, sampleRate: results.sampleRate },
+                { label: "Filtered Q", samples: results.filteredQ, sampleRate: results.sampleRate },
+                { label: "Reconstructed", samples: results.reconstructed, sampleRate: results.sampleRate },
+              ]}
+            />
+          </div>
+          <div className="subsection">
+            <h3 className="subsection-title">🩹 I/Q Imbalance Correction</h3>
+            <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+              A real mixer's two branches never match exactly. Set a gain imbalance or quadrature error
+              under I/Q Downconversion and every signal grows a mirror image on the opposite side of 0 Hz;
+              a DC offset adds a spike at 0 Hz itself. The <strong>image rejection ratio</strong> (IRR)
+              says how far below the signal the image sits — around 25–40 dB for an uncalibrated
+              receiver. The blind correction needs no pilot: with a perfect mixer I and Q would carry
+              equal, uncorrelated power, so it removes the means (DC), rescales Q to I's power (gain)
+              and subtracts the part of Q that correlates with I (phase). It learns from the first half
+              of the signal and is judged on the second; with only a few hundred symbols or cycles to
+              average over, both readings carry a few tenths of a dB and a few degrees of statistical
+              error, which sets how deep the image can be pushed. It needs a signal that moves around the I/Q
+              plane — FM, digital or noise; a pure tone must be pulled off DC with an LO offset first,
+              and AM with the LO in phase leaves Q empty. Real captures carry their own receiver's
+              imbalance too.
+            </p>
+            <div className="charts-grid">
+              <div>
+                <div className="mode-toggle" style={{ marginBottom: 12 }}>
+                  <button className={iqCorrection === "off" ? "active" : ""} onClick={() => setIqCorrection("off")}>Off</button>
+                  <button className={iqCorrection === "blind" ? "active" : ""} onClick={() => setIqCorrection("blind")}>Blind correction</button>
+                </div>
+                <p className="chart-desc" style={{ marginBottom: 8 }}>
+                  {iqCorrection === "blind"
+                    ? "Everything downstream (carrier recovery, constellation, demodulation) uses the corrected I/Q."
+                    : "Correction is computed but not applied: the rest of the receiver sees the raw imbalance."}
+                </p>
+              </div>
+              <table style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, borderCollapse: 'collapse', alignSelf: 'start' }}>
+                <thead>
+                  <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                    <th style={{ padding: '4px 16px 4px 0' }}>Measurement</th>
+                    <th style={{ padding: '4px 16px 4px 0' }}>Set</th>
+                    <th style={{ padding: '4px 16px 4px 0' }}>Before</th>
+                    <th style={{ padding: '4px 16px 4px 0' }}>After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    ["Gain imbalance", (e) => `${e.gainImbalanceDb.toFixed(2)} dB`],
+                    ["Quadrature error", (e) => `${((e.quadratureError * 180) / Math.PI).toFixed(2)}°`],
+                    ["DC offset", (e) => `${Math.max(e.dcDb, -99).toFixed(1)} dBc`],
+                    ["Image rejection", (e) => `${Math.min(e.irrDb, 99).toFixed(1)} dB`],
+                  ].map(([label, format]) => (
+                    <tr key={label}>
+                      <td style={{ padding: '4px 16px 4px 0' }}>{label}</td>
+                      <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{format(results.iqBalance.set)}</td>
+                      <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{format(results.iqBalance.before)}</td>
+                      <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{format(results.iqBalance.after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="legend">
+              <span className="legend-item">
+                <span className="legend-dot" style={{ background: COLORS.preselect }} />
+                Before correction
+              </span>
+              <span className="legend-item">
+                <span className="legend-dot" style={{ background: COLORS.I }} />
+                After correction
+              </span>
+            </div>
+            <SpectrumPlot
+              data={iqCorrectionChart}
+              traces={[
+                { key: "before", color: COLORS.preselect, label: "Before" },
+                { key: "after", color: COLORS.I, label: "After" },
+              ]}
+              freqUnit={isRealSignal ? "MHz" : "kHz"}
+              unit={results.unitLabel}
+              yDomain={results.yDomain}
+              height={200}
+            />
+          </div>
+          <div className="subsection">
+            <h3 className="subsection-title">⬇️ Decimation</h3>
+            <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+              After the channel filter, almost all of the baseband spectrum is empty — the signal only
+              occupies ±{(filterBW / 2000).toFixed(0)} kHz, yet it is still sampled at the full rate. Decimating
+              by M keeps one sample in M, dividing the sample rate (and every later processing cost) by M.
+              A polyphase decimator does this without waste: its anti-aliasing filter only computes the
+              samples that are kept. Push M past the point where the new Nyquist frequency drops below the
+              channel cutoff and the decimator's own filter starts cutting into the signal.
+            </p>
+            <div className="controls-grid" style={{ marginBottom: 12 }}>
+              <div className="control-group">
+                <label>Decimation Factor</label>
+                <select value={decimation} onChange={(e) => setDecimation(Number(e.target.value))}>
+                  {DECIMATION_FACTORS.map((m) => (
+                    <option key={m} value={m}>M = {m}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="control-group">
+                <label>Sample Rate</label>
+                <span className="control-value">
+                  {formatRate(results.sampleRate * results.basebandScale)} → {formatRate(results.sampleRate * results.basebandScale / decimation)}
+                </span>
+                <span className="control-value">{results.decimatedLength} samples</span>
+              </div>
+              <div className="control-group">
+                <label>Alias-Free Limit</label>
+                <span className="control-value" style={{ color: decimation > results.maxDecimation ? COLORS.Q : undefined }}>
+                  M ≤ {results.maxDecimation}{decimation > results.maxDecimation ? " — filter band is being cut" : ""}
+                </span>
+              </div>
+            </div>
+            <SpectrumPlot
+              data={decimatedIQSpectrumChart}
+              freqUnit={isRealSignal ? "MHz" : "kHz"}
+              color={COLORS.I}
+              height={200}
+              unit={results.unitLabel}
+              yDomain={results.yDomain}
             />
           </div>
         </div>
@@ -437,8 +2411,9 @@ export default function App() {
               <li><strong>Filter quality</strong> — more taps = sharper rolloff = less distortion at the band edge</li>
               <li><strong>Filter cutoff vs signal bandwidth</strong> — cutoff must pass all modulation content without clipping it</li>
               <li><strong>Modulation type</strong> — a pure tone is easiest; wideband FM spreads energy near the filter edge where distortion occurs</li>
-              <li><strong>Real hardware factors</strong> — ADC bit depth, oscillator phase noise, and analog imperfections (not modeled here)</li>
-              <li><strong>Receiver noise</strong> — thermal noise added before filtering simulates real-world conditions. Crank it up to see how the filter fights noise</li>
+              <li><strong>Real hardware factors</strong> — the ADC's bit depth, clipping and clock jitter (set under the ADC), and the mixer's I/Q imbalance, DC offset and the LO's phase noise and drift (set under I/Q Downconversion)</li>
+              <li><strong>Receiver noise</strong> — noise added before filtering simulates real-world conditions. Set it as an SNR, an Eb/N0 or a noise figure against a received level, and try the coloured and impulsive models as well as white. Crank it up to see how the filter fights noise</li>
+              <li><strong>Propagation</strong> — multipath echoes notch the channel and fading makes the whole signal swell and sink over time (set under Multipath Channel); no filter can undo either, only an equalizer</li>
             </ul>
             <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 8 }}>
               SNR quality brackets:
@@ -461,13 +2436,18 @@ export default function App() {
                     <select value={signalType} onChange={handleSignalChange}>
                       <option value="tone">Pure Tone</option>
                       <option value="am">AM</option>
+                      <option value="digital">Digital (PSK / QAM)</option>
+                      <option value="ref_qpsk">QPSK Reference</option>
+                      <option value="ref_16qam">16-QAM Reference</option>
+                      <option value="ofdm">OFDM</option>
+                      <option value="radar">Radar (LFM pulse echoes)</option>
                       <option disabled>── Real Captures ──</option>
                       {realCaptures.map((c, i) => (
                         <option key={i} value={`real_${i}`}>📡 {c.label}</option>
                       ))}
                     </select>
                   </div>
-                  {!isRealSignal && signalType !== "tone" && (
+                  {!isRealSignal && signalType !== "tone" && !isDigital && !isOfdm && !isRadar && (
                     <div className="control-group">
                       <label>Modulating Frequency</label>
                       <input
@@ -495,35 +2475,26 @@ export default function App() {
                     />
                     <span className="control-value">{(filterBW / 1000).toFixed(0)} kHz</span>
                   </div>
-                  <div className="control-group">
-                    <label>Taps</label>
-                    <input
-                      type="range"
-                      min={11}
-                      max={501}
-                      step={10}
-                      value={filterTaps}
-                      onChange={(e) => setFilterTaps(Number(e.target.value))}
-                    />
-                    <span className="control-value">{filterTaps} taps</span>
-                  </div>
+                  {filterKind === "fir" && (
+                    <div className="control-group">
+                      <label>Taps</label>
+                      <input
+                        type="range"
+                        min={11}
+                        max={501}
+                        step={10}
+                        value={filterTaps}
+                        onChange={(e) => setFilterTaps(Number(e.target.value))}
+                      />
+                      <span className="control-value">{filterTaps} taps</span>
+                    </div>
+                  )}
                 </div>
               </div>
               <div>
                 <h4 style={{ fontSize: 12, fontWeight: 600, color: 'var(--text-secondary)', textTransform: 'uppercase', letterSpacing: 0.5, marginBottom: 12 }}>Noise</h4>
                 <div className="controls-grid">
-                  <div className="control-group">
-                    <label>Receiver Noise</label>
-                    <input
-                      type="range"
-                      min={0}
-                      max={1}
-                      step={0.01}
-                      value={noisePower}
-                      onChange={(e) => setNoisePower(Number(e.target.value))}
-                    />
-                    <span className="control-value">{noisePower.toFixed(2)}</span>
-                  </div>
+                  {noiseControls}
                 </div>
               </div>
             </div>
@@ -555,6 +2526,8 @@ export default function App() {
               data={reconstructionCompareChart}
               freqUnit={isRealSignal ? "MHz" : "kHz"}
               height={200}
+              unit={results.unitLabel}
+              yDomain={results.yDomain}
               traces={[
                 { key: 'original', color: COLORS.input, label: 'Original' },
                 { key: 'reconstructed', color: COLORS.output, label: 'Reconstructed' },
@@ -581,17 +2554,602 @@ export default function App() {
               <br /><strong>Pure tone</strong> → single point (fixed amplitude and phase)
               <br /><strong>AM</strong> → line (amplitude changes, phase stays constant)
               <br /><strong>FM</strong> → circle (constant amplitude, rotating phase)
-              <br /><strong>BPSK</strong> → two points (real systems)
-              <br /><strong>QPSK</strong> → four points in a square (real systems)
-              <br /><strong>16-QAM</strong> → 4×4 grid (real systems)
+              <br /><strong>BPSK</strong> → two points (pick the Digital source)
+              <br /><strong>QPSK</strong> → four points in a square
+              <br /><strong>16-QAM</strong> → 4×4 grid; 64-QAM → 8×8
+              <br />With rectangular pulses the samples sit on the points for a whole symbol; with (root)
+              raised-cosine pulses they only pass through them at the symbol instants, tracing the
+              transitions in between — and a wide enough channel filter is needed to keep the clusters tight.
+              <br /><strong>OFDM</strong> → a Gaussian-looking cloud: the sum of many subcarriers looks like
+              noise until the receiver's FFT pulls them apart
               <br /><strong>Noise</strong> → random cloud around the origin
             </p>
-            <ConstellationPlot
-              I={Array.from(results.filteredI)}
-              Q={Array.from(results.filteredQ)}
-              color={COLORS.output}
-              size={350}
-            />
+            {results.timing ? (
+              <div className="charts-grid">
+                <div>
+                  <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>All samples</p>
+                  <ConstellationPlot
+                    I={Array.from(results.lockedI)}
+                    Q={Array.from(results.lockedQ)}
+                    color={COLORS.output}
+                    size={350}
+                  />
+                </div>
+                <div>
+                  <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Recovered symbol instants</p>
+                  <ConstellationPlot
+                    I={Array.from(results.timing.symbolsI)}
+                    Q={Array.from(results.timing.symbolsQ)}
+                    color={COLORS.I}
+                    size={350}
+                  />
+                </div>
+              </div>
+            ) : (
+              <ConstellationPlot
+                I={Array.from(results.lockedI)}
+                Q={Array.from(results.lockedQ)}
+                color={COLORS.output}
+                size={350}
+              />
+            )}
+          </div>
+          <div className="subsection">
+            <h3 className="subsection-title">🔁 Carrier Recovery</h3>
+            <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+              A real receiver's local oscillator is never tuned exactly to the transmitter's. A
+              frequency error Δf (set under I/Q Downconversion) makes the whole constellation spin at
+              −Δf; a phase error just tilts it. A carrier loop measures the leftover rotation with a
+              phase detector and steers an NCO to undo it, through the same proportional-integral loop
+              filter the timing loop uses. The <strong>PLL</strong> locks to the phase of the signal
+              itself, so it needs a carrier to be present (a tone or AM). A <strong>Costas</strong> loop
+              strips BPSK or QPSK modulation first, so it can lock with the carrier suppressed. It may
+              settle on any of the 2 or 4 symmetric phases, which is why real links add a known preamble
+              or differential coding. When the offset is larger than the loop can pull in, it never
+              locks; widen the bandwidth and it locks faster, but noise moves the NCO more.
+            </p>
+            <div className="controls-grid" style={{ marginBottom: 12 }}>
+              <div className="control-group">
+                <label>Carrier Loop</label>
+                <select value={carrierLoop} onChange={(e) => setCarrierLoop(e.target.value)}>
+                  <option value="off">Off</option>
+                  {CARRIER_LOOPS.map((l) => (
+                    <option key={l.value} value={l.value}>{l.label}</option>
+                  ))}
+                </select>
+              </div>
+              {carrierLoop !== "off" && (
+                <>
+                  <div className="control-group">
+                    <label>Loop Bandwidth</label>
+                    <input
+                      type="range" min={1000} max={50000} step={1000}
+                      value={carrierBandwidth}
+                      onChange={(e) => setCarrierBandwidth(Number(e.target.value))}
+                    />
+                    <span className="control-value">Bn = {(carrierBandwidth / 1000).toFixed(0)} kHz</span>
+                  </div>
+                  <div className="control-group">
+                    <label>Damping</label>
+                    <input
+                      type="range" min={0.3} max={2} step={0.05}
+                      value={carrierDamping}
+                      onChange={(e) => setCarrierDamping(Number(e.target.value))}
+                    />
+                    <span className="control-value">ζ = {carrierDamping.toFixed(2)}</span>
+                  </div>
+                </>
+              )}
+            </div>
+            {carrierChart && (
+              <>
+                <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Phase error (rad)</p>
+                <WaveformPlot
+                  data={carrierChart}
+                  traces={[{ key: "phaseError", color: COLORS.preselect, label: "Phase error" }]}
+                />
+                <p className="chart-desc" style={{ marginBottom: 4, marginTop: 16, fontWeight: 600 }}>NCO frequency (kHz)</p>
+                <WaveformPlot
+                  data={carrierChart}
+                  traces={[
+                    { key: "target", color: COLORS.input, label: "−Δf" },
+                    { key: "frequency", color: COLORS.output, label: "NCO" },
+                  ]}
+                />
+                <div style={{ display: 'flex', alignItems: 'center', gap: 12, margin: '16px 0 4px' }}>
+                  <div className="mode-toggle" style={{ marginBottom: 0 }}>
+                    <button
+                      className={carrierPlaying ? "active" : ""}
+                      onClick={() => {
+                        if (!carrierPlaying && carrierFrame >= CARRIER_FRAMES - 1) setCarrierFrame(0);
+                        setCarrierPlaying(!carrierPlaying);
+                      }}
+                    >
+                      {carrierPlaying ? "⏸ Pause" : "▶ Play lock-in"}
+                    </button>
+                  </div>
+                  <input
+                    type="range" min={0} max={CARRIER_FRAMES - 1} step={1}
+                    value={carrierFrame}
+                    onChange={(e) => {
+                      setCarrierPlaying(false);
+                      setCarrierFrame(Number(e.target.value));
+                    }}
+                  />
+                  <span className="control-value">
+                    {carrierAnimation.startMs.toFixed(3)}–{carrierAnimation.endMs.toFixed(3)} ms
+                  </span>
+                </div>
+                <div className="charts-grid">
+                  <div>
+                    <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Before the loop</p>
+                    <ConstellationPlot
+                      I={carrierAnimation.before.I}
+                      Q={carrierAnimation.before.Q}
+                      color={COLORS.output}
+                      size={300}
+                      range={carrierAnimation.range}
+                    />
+                  </div>
+                  <div>
+                    <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>After the loop</p>
+                    <ConstellationPlot
+                      I={carrierAnimation.after.I}
+                      Q={carrierAnimation.after.Q}
+                      color={COLORS.I}
+                      size={300}
+                      range={carrierAnimation.range}
+                    />
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+          {timingChart && (
+            <div className="subsection">
+              <h3 className="subsection-title">⏱️ Symbol Timing Recovery</h3>
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+                A receiver has to decide where in each symbol to sample, without knowing the
+                transmitter's clock. The I/Q is first run through a filter matched to the pulse
+                (for root raised cosine pulses, the other half of the raised cosine), then a timing
+                loop steps through it one symbol at a time: a cubic interpolator evaluates the signal
+                between samples, a timing error detector measures how early or late that strobe was,
+                and a proportional-integral loop filter nudges the next one. The <strong>Gardner</strong> detector
+                compares the two strobes with the sample halfway between them and needs no symbol
+                decisions. <strong>Mueller-Müller</strong> uses one sample per symbol and its decisions (the
+                nearest {MODULATIONS.find((m) => m.value === digitalModulation).label} point), so it wants
+                the carrier already locked. Widening the loop bandwidth speeds up acquisition
+                but leaves more jitter on the recovered symbols. The constellation on the right leaves
+                out the first third of the {results.timing.count} symbols, while the loop is still acquiring.
+              </p>
+              <div className="controls-grid" style={{ marginBottom: 12 }}>
+                <div className="control-group">
+                  <label>Error Detector</label>
+                  <select value={timingDetector} onChange={(e) => setTimingDetector(e.target.value)}>
+                    {TIMING_DETECTORS.map((d) => (
+                      <option key={d.value} value={d.value}>{d.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="control-group">
+                  <label>Loop Bandwidth</label>
+                  <input
+                    type="range" min={0.005} max={0.1} step={0.005}
+                    value={timingBandwidth}
+                    onChange={(e) => setTimingBandwidth(Number(e.target.value))}
+                  />
+                  <span className="control-value">Bn·T = {timingBandwidth.toFixed(3)}</span>
+                </div>
+                <div className="control-group">
+                  <label>Damping</label>
+                  <input
+                    type="range" min={0.3} max={2} step={0.05}
+                    value={timingDamping}
+                    onChange={(e) => setTimingDamping(Number(e.target.value))}
+                  />
+                  <span className="control-value">ζ = {timingDamping.toFixed(2)}</span>
+                </div>
+                <div className="control-group">
+                  <label>Samples per Symbol</label>
+                  <span className="control-value">{results.timing.sps.toFixed(2)}</span>
+                </div>
+              </div>
+              <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Timing error per symbol</p>
+              <WaveformPlot
+                data={timingChart}
+                traces={[{ key: "error", color: COLORS.preselect, label: "Timing error" }]}
+              />
+            </div>
+          )}
+          {results.evm && (
+            <div className="subsection">
+              <h3 className="subsection-title">📏 Constellation Measurements</h3>
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+                Every recovered symbol is compared with the nearest ideal
+                {" "}{MODULATIONS.find((m) => m.value === digitalModulation).label} point (crosses), after
+                scaling and rotating the whole constellation to fit. The difference is the error
+                vector. <strong>EVM</strong> is its RMS (and peak) size relative to the constellation's
+                RMS amplitude; <strong>MER</strong> is the same ratio as signal-to-error power, so with
+                only noise it is the SNR at the symbol instants. Fitting where the ideal I and Q axes
+                land also separates out hardware errors: an <strong>IQ offset</strong> shifts every
+                point, <strong>gain imbalance</strong> stretches one axis, and <strong>quadrature
+                error</strong> shears the grid into a parallelogram. Decisions are only meaningful once
+                the carrier and timing loops have locked, so a spinning constellation reads as garbage.
+              </p>
+              <div className="charts-grid">
+                <ConstellationPlot
+                  I={Array.from(results.evm.normalizedI)}
+                  Q={Array.from(results.evm.normalizedQ)}
+                  reference={results.evm.points}
+                  color={COLORS.I}
+                  size={320}
+                />
+                <table style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, borderCollapse: 'collapse', alignSelf: 'start' }}>
+                  <thead>
+                    <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                      <th style={{ padding: '4px 16px 4px 0' }}>Measurement</th>
+                      <th style={{ padding: '4px 16px 4px 0' }}>Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      ["EVM (RMS)", `${results.evm.evmRmsPct.toFixed(2)}% · ${results.evm.evmRmsDb.toFixed(1)} dB`],
+                      ["EVM (peak)", `${results.evm.evmPeakPct.toFixed(2)}% · ${results.evm.evmPeakDb.toFixed(1)} dB`],
+                      ["MER", `${results.evm.merDb.toFixed(1)} dB`],
+                      ["IQ offset", `${results.evm.iqOffsetDb.toFixed(1)} dB`],
+                      ["Gain imbalance", results.evm.gainImbalanceDb === null ? "—" : `${results.evm.gainImbalanceDb.toFixed(2)} dB`],
+                      ["Quadrature error", results.evm.quadratureErrorDeg === null ? "—" : `${results.evm.quadratureErrorDeg.toFixed(2)}°`],
+                      ["Symbols", `${results.evm.errorI.length}`],
+                    ].map(([label, value]) => (
+                      <tr key={label}>
+                        <td style={{ padding: '4px 16px 4px 0' }}>{label}</td>
+                        <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{value}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Per-symbol error vector</p>
+              <WaveformPlot
+                data={evmChart}
+                traces={[
+                  { key: "I", color: COLORS.I, label: "I error" },
+                  { key: "Q", color: COLORS.Q, label: "Q error" },
+                ]}
+              />
+            </div>
+          )}
+          {ofdmCharts && (
+            <div className="subsection">
+              <h3 className="subsection-title">📶 OFDM Receiver</h3>
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+                OFDM splits the band into {results.ofdm.frame.subcarriers} subcarriers
+                {" "}{(results.ofdm.spacing / 1000).toFixed(2)} kHz apart, each carrying its own slow
+                {" "}{MODULATIONS.find((m) => m.value === modulation).label} symbol. The receiver
+                drops each symbol's <strong>cyclic prefix</strong>, takes an FFT over the rest — one
+                bin per subcarrier — and divides out the channel, estimated from known
+                {" "}<strong>pilot</strong> cells: a <strong>comb</strong> puts pilots on every Nth
+                subcarrier of every symbol and interpolates across frequency in between; a
+                {" "}<strong>block</strong> layout sends every Nth symbol as all pilots and holds that
+                estimate. DC and {results.ofdm.frame.guard} subcarriers at each edge are left empty.
+                The prefix is what makes the per-subcarrier divide enough: delays shorter than it, such
+                as a causal IIR channel filter's, only tilt the phase across the band. Narrow the channel
+                filter below the OFDM bandwidth, or add an LO offset (which breaks the subcarriers'
+                orthogonality), and watch the per-subcarrier SNR.
+              </p>
+              <div className="charts-grid">
+                <div>
+                  <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>
+                    All data subcarriers · MER {results.ofdm.merDb.toFixed(1)} dB
+                  </p>
+                  <ConstellationPlot
+                    I={ofdmCharts.all.I}
+                    Q={ofdmCharts.all.Q}
+                    reference={ofdmCharts.points}
+                    color={COLORS.I}
+                    size={320}
+                  />
+                </div>
+                <div>
+                  <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>
+                    Subcarrier {ofdmCharts.carrier} ({((ofdmCharts.carrier * results.ofdm.spacing) / 1000).toFixed(1)} kHz) ·
+                    {" "}{ofdmCharts.one.I.length === 0 ? "pilots only" : `SNR ${ofdmCharts.carrierSnrDb.toFixed(1)} dB`}
+                  </p>
+                  <ConstellationPlot
+                    I={ofdmCharts.one.I}
+                    Q={ofdmCharts.one.Q}
+                    reference={ofdmCharts.points}
+                    range={1.6}
+                    color={COLORS.Q}
+                    size={320}
+                  />
+                </div>
+              </div>
+              <div className="controls-grid">
+                <div className="control-group">
+                  <label>Subcarrier</label>
+                  <input
+                    type="range" min={0} max={results.ofdm.frame.carriers.length - 1} step={1}
+                    value={ofdmCharts.carrierIdx}
+                    onChange={(e) => setOfdmCarrierIdx(Number(e.target.value))}
+                  />
+                  <span className="control-value">
+                    #{ofdmCharts.carrier} of {results.ofdm.frame.carriers.length} active · {results.ofdm.frame.symbols} symbols
+                  </span>
+                </div>
+              </div>
+              <div className="charts-grid">
+                <div>
+                  <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>SNR per subcarrier</p>
+                  <SpectrumPlot
+                    data={ofdmCharts.snr}
+                    traces={[{ key: "snr", color: COLORS.output, label: "SNR" }]}
+                    freqUnit="kHz"
+                    yDomain={ofdmCharts.snrDomain}
+                    height={200}
+                  />
+                </div>
+                <div>
+                  <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Channel estimate |Ĥ| (relative)</p>
+                  <SpectrumPlot
+                    data={ofdmCharts.channel}
+                    freqUnit="kHz"
+                    color={COLORS.preselect}
+                    yDomain={[-20, 10]}
+                    height={200}
+                  />
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* ===== SECTION 6: DEMODULATION ===== */}
+      <div className="section-card">
+        <div className="section-header">
+          <h2>📻 Demodulation</h2>
+          <p className="section-desc">
+            Recover the message from the filtered baseband I/Q
+          </p>
+        </div>
+        <div className="section-content">
+          {radarCharts && (
+            <div className="subsection">
+              <h3 className="subsection-title">📡 Radar Pulse Compression</h3>
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+                The transmitter sends a {(radarWidth * 1e6).toFixed(0)} µs pulse that sweeps
+                {" "}{(radarBandwidth / 1000).toFixed(0)} kHz (below, at baseband). Received as is, every echo
+                is that long, so echoes closer than {((radarWidth * SPEED_OF_LIGHT) / 2 / 1e3).toFixed(0)} km
+                overlap and weak ones sit under the noise. The <strong>matched filter</strong> correlates
+                the received I/Q with a replica of the pulse: each echo collapses into a peak about c/2B
+                wide, and it collects the whole pulse's energy, lifting it {(10 * Math.log10(results.radar.timeBandwidth)).toFixed(0)} dB
+                (the time-bandwidth product) further above the noise than a plain pulse of that
+                bandwidth would be. The price is <strong>range sidelobes</strong> — −13 dB for the
+                first — that can bury a weak target beside a strong one. Weighting the replica with a
+                window lowers them at the cost of a wider peak and a little SNR; with a small T·B the
+                chirp's spectrum is not flat and the windows fall short of their usual sidelobe levels.
+                Doppler shifts an LFM echo's peak in range by fd·T/B.
+              </p>
+              <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Transmitted pulse (µs)</p>
+              <WaveformPlot
+                data={radarCharts.pulse}
+                traces={[
+                  { key: "I", color: COLORS.I, label: "I" },
+                  { key: "Q", color: COLORS.Q, label: "Q" },
+                ]}
+                height={150}
+                audio={[{ label: "Pulse I", samples: results.radar.replica.I, sampleRate: results.sampleRate }]}
+              />
+              <div className="controls-grid" style={{ marginTop: 16 }}>
+                <div className="control-group">
+                  <label>Sidelobe Window</label>
+                  <select value={radarWindow} onChange={(e) => setRadarWindow(e.target.value)}>
+                    {SIDELOBE_WINDOWS.map((w) => (
+                      <option key={w.value} value={w.value}>{w.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Range profile (dB re a 0 dB target)</p>
+              <div className="legend">
+                <span className="legend-item">
+                  <span className="legend-dot" style={{ background: COLORS.input }} />
+                  Received envelope
+                </span>
+                <span className="legend-item">
+                  <span className="legend-dot" style={{ background: COLORS.output }} />
+                  After matched filter
+                </span>
+              </div>
+              <SpectrumPlot
+                data={radarCharts.profile}
+                traces={[
+                  { key: "received", color: COLORS.input, label: "Received" },
+                  { key: "compressed", color: COLORS.output, label: "Compressed" },
+                ]}
+                freqUnit="km"
+                xLabel="Range (km)"
+                yDomain={[-80, 10]}
+                height={260}
+              />
+              <div className="charts-grid" style={{ marginTop: 16 }}>
+                <table style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, borderCollapse: 'collapse', alignSelf: 'start' }}>
+                  <thead>
+                    <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                      <th style={{ padding: '4px 16px 4px 0' }}>Window</th>
+                      <th style={{ padding: '4px 16px 4px 0' }}>{SIDELOBE_WINDOWS.find((w) => w.value === radarWindow).label}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      ["Peak sidelobe", `${results.radar.metrics.peakSidelobeDb.toFixed(1)} dB`],
+                      ["Resolution (−3 dB)", `${(results.radar.metrics.resolutionM / 1e3).toFixed(2)} km`],
+                      ["SNR loss", `${results.radar.metrics.snrLossDb.toFixed(2)} dB`],
+                    ].map(([label, value]) => (
+                      <tr key={label}>
+                        <td style={{ padding: '4px 16px 4px 0' }}>{label}</td>
+                        <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{value}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <table style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, borderCollapse: 'collapse', alignSelf: 'start' }}>
+                  <thead>
+                    <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                      <th style={{ padding: '4px 16px 4px 0' }}>Target</th>
+                      <th style={{ padding: '4px 16px 4px 0' }}>Expected</th>
+                      <th style={{ padding: '4px 16px 4px 0' }}>Peak at</th>
+                      <th style={{ padding: '4px 16px 4px 0' }}>Level</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.radar.measured.map((tg, i) => (
+                      <tr key={i}>
+                        <td style={{ padding: '4px 16px 4px 0' }}>{tg.level} dB{tg.doppler ? `, ${tg.doppler} kHz` : ""}</td>
+                        <td style={{ padding: '4px 16px 4px 0' }}>{tg.expected.toFixed(2)} km</td>
+                        <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{tg.range === null ? "—" : `${tg.range.toFixed(2)} km`}</td>
+                        <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{tg.peakDb === null ? "—" : `${tg.peakDb.toFixed(1)} dB`}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+          {amChart && (
+            <div className="subsection">
+              <h3 className="subsection-title">AM Detector</h3>
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+                AM carries the message in the amplitude, so the simplest receiver just takes the
+                magnitude √(I²+Q²) — the envelope detector, the digital twin of a diode and RC filter.
+                It works as long as the envelope 1 + m·cos(…) never goes negative. Past 100%
+                modulation the carrier's phase flips during the troughs, the magnitude folds those
+                troughs back up, and the recovered tone distorts. A synchronous detector multiplies by
+                a local oscillator locked to the carrier instead, keeping the sign: it is distortion-free
+                at any modulation depth. The square-law detector (I²+Q²) squares the envelope, which
+                adds a second harmonic at m/4 of the tone even when nothing is overmodulated.
+              </p>
+              <div className="controls-grid" style={{ marginBottom: 12 }}>
+                <div className="control-group">
+                  <label>Detector</label>
+                  <select value={amDetector} onChange={(e) => setAmDetector(e.target.value)}>
+                    {AM_DETECTORS.map((d) => (
+                      <option key={d.value} value={d.value}>{d.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="control-group">
+                  <label>Modulation Index</label>
+                  <input
+                    type="range" min={0.1} max={1.5} step={0.05}
+                    value={amIndex}
+                    onChange={(e) => setAmIndex(Number(e.target.value))}
+                  />
+                  <span className="control-value">m = {amIndex.toFixed(2)}</span>
+                </div>
+              </div>
+              <table style={{ fontFamily: 'JetBrains Mono, monospace', fontSize: 13, marginBottom: 12, borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                    <th style={{ padding: '4px 16px 4px 0' }}>Detector</th>
+                    <th style={{ padding: '4px 16px 4px 0' }}>THD+N</th>
+                    <th style={{ padding: '4px 16px 4px 0' }}>SINAD</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.am.table.map((d) => (
+                    <tr key={d.value} style={{ fontWeight: d.value === amDetector ? 600 : 400 }}>
+                      <td style={{ padding: '4px 16px 4px 0' }}>{d.label}</td>
+                      <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{d.distortionPct.toFixed(2)}%</td>
+                      <td style={{ padding: '4px 16px 4px 0' }} className="control-value">{d.sinadDb.toFixed(1)} dB</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="legend">
+                <span className="legend-item">
+                  <span className="legend-dot" style={{ background: COLORS.input }} />
+                  Original modulating tone
+                </span>
+                <span className="legend-item">
+                  <span className="legend-dot" style={{ background: COLORS.audio }} />
+                  Recovered ({AM_DETECTORS.find((d) => d.value === amDetector).label.toLowerCase()})
+                </span>
+              </div>
+              <WaveformPlot
+                data={amChart}
+                traces={[
+                  { key: "original", color: COLORS.input, label: "Original" },
+                  { key: "recovered", color: COLORS.audio, label: "Recovered" },
+                ]}
+                audio={[
+                  { label: "Original", samples: results.am.original, sampleRate: results.sampleRate },
+                  { label: "Recovered", samples: results.am.recovered, sampleRate: results.sampleRate },
+                ]}
+              />
+            </div>
+          )}
+          <div className="subsection">
+            <h3 className="subsection-title">FM Discriminator</h3>
+            {!fmCharts ? (
+              <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6 }}>
+                Select one of the real FM captures to hear what the broadcast carries — the synthetic
+                signals run at a scaled-down rate, so they have no real audio band.
+              </p>
+            ) : (
+              <>
+                <p style={{ fontSize: 14, color: 'var(--text-secondary)', lineHeight: 1.6, marginBottom: 12 }}>
+                  FM puts the message in the instantaneous frequency, which is the rate of change of the
+                  I/Q phase. The discriminator measures the phase step between consecutive samples —
+                  either by differencing the unwrapped phase, or (the polar discriminator) by taking the
+                  angle of x[n]·x*[n−1], which needs no unwrapping. Its output is the broadcast
+                  multiplex: mono audio up to 15 kHz, the 19 kHz stereo pilot, the stereo difference
+                  signal around 38 kHz and RDS data at 57 kHz. Transmitters boost the treble before
+                  modulating (pre-emphasis); the receiver's de-emphasis low-pass undoes it, taking the
+                  high-frequency hiss down with it. Resampling to {(results.fm.audioRate / 1000).toFixed(0)} kHz
+                  keeps only the mono audio.
+                </p>
+                <div className="controls-grid" style={{ marginBottom: 12 }}>
+                  <div className="control-group">
+                    <label>Discriminator</label>
+                    <select value={discriminator} onChange={(e) => setDiscriminator(e.target.value)}>
+                      <option value="polar">Polar (x[n]·x*[n−1])</option>
+                      <option value="phase">Differentiated phase</option>
+                    </select>
+                  </div>
+                  <div className="control-group">
+                    <label>De-emphasis</label>
+                    <select value={deemphasisTau} onChange={(e) => setDeemphasisTau(Number(e.target.value))}>
+                      {DEEMPHASIS_OPTIONS.map((o) => (
+                        <option key={o.value} value={o.value}>{o.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="control-group">
+                    <label>Rates</label>
+                    <span className="control-value">
+                      {formatRate(results.decimatedRate)} → {formatRate(results.fm.audioRate)} audio
+                    </span>
+                  </div>
+                </div>
+                <p className="chart-desc" style={{ marginBottom: 4, fontWeight: 600 }}>Discriminator output (multiplex)</p>
+                <SpectrumPlot data={fmCharts.mpx} freqUnit="kHz" color={COLORS.output} height={200} />
+                <p className="chart-desc" style={{ marginBottom: 4, marginTop: 16, fontWeight: 600 }}>
+                  Demodulated audio ({results.fm.audio.length} samples, normalized to ±75 kHz deviation)
+                </p>
+                <WaveformPlot
+                  data={fmCharts.waveform}
+                  traces={[{ key: "audio", color: COLORS.audio, label: "Audio" }]}
+                  audio={[
+                    { label: "Multiplex", samples: results.fm.mpx, sampleRate: results.decimatedRate },
+                    { label: "Audio", samples: results.fm.audio, sampleRate: results.fm.audioRate },
+                  ]}
+                />
+                <p className="chart-desc" style={{ marginBottom: 4, marginTop: 16, fontWeight: 600 }}>Audio spectrum</p>
+                <SpectrumPlot data={fmCharts.audio} freqUnit="kHz" color={COLORS.audio} height={200} />
+              </>
+            )}
           </div>
         </div>
       </div>